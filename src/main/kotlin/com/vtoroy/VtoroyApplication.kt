@@ -2,10 +2,12 @@ package com.vtoroy
 
 import org.springframework.boot.autoconfigure.SpringBootApplication
 import org.springframework.boot.runApplication
+import org.springframework.scheduling.annotation.EnableScheduling
 
 @SpringBootApplication(exclude = [
     org.springframework.ai.autoconfigure.transformers.TransformersEmbeddingModelAutoConfiguration::class
 ])
+@EnableScheduling
 class VtoroyApplication
 
 fun main(args: Array<String>) {
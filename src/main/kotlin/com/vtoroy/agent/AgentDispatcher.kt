@@ -3,6 +3,8 @@ package com.vtoroy.agent
 import com.vtoroy.agent.contract.SubAgent
 import com.vtoroy.agent.contract.AgentSelection
 import com.vtoroy.entity.ChatMessage
+import kotlinx.coroutines.CancellationException
+import kotlinx.coroutines.runInterruptible
 import mu.KotlinLogging
 import org.springframework.ai.anthropic.AnthropicChatModel
 import org.springframework.ai.chat.messages.SystemMessage
@@ -95,10 +97,12 @@ class AgentDispatcher(
         """.trimIndent()
         
         return try {
-            val response = chatModel.call(Prompt(listOf(
-                SystemMessage(systemPrompt),
-                UserMessage("Выбери агента для: $query")
-            )))
+            val response = runInterruptible {
+                chatModel.call(Prompt(listOf(
+                    SystemMessage(systemPrompt),
+                    UserMessage("Выбери агента для: $query")
+                )))
+            }
             
             val selectedAgentName = response.result.output.content.trim()
             val selectedAgent = agents.find { it.name == selectedAgentName }
@@ -111,6 +115,8 @@ class AgentDispatcher(
                 AgentSelection(agents.first(), 0.5, "Fallback to first available")
             }
             
+        } catch (e: CancellationException) {
+            throw e
         } catch (e: Exception) {
             logger.error(e) { "AI agent selection failed, using first available agent" }
             AgentSelection(agents.first(), 0.3, "Error fallback")
@@ -7,7 +7,9 @@ import com.vtoroy.entity.ChatMessage
 import com.vtoroy.entity.MessageRole
 import com.vtoroy.service.ThinkingService
 import com.vtoroy.util.RetryUtil
+import kotlinx.coroutines.CancellationException
 import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.runInterruptible
 import kotlinx.coroutines.withContext
 import mu.KotlinLogging
 import org.springframework.ai.anthropic.AnthropicChatModel
@@ -111,12 +113,14 @@ class ObsidianAgent(
                     UserMessage(userPrompt)
                 ))
 
-                val response = chatModel.call(prompt).result.output.content.trim().lowercase()
+                val response = runInterruptible { chatModel.call(prompt) }.result.output.content.trim().lowercase()
                 val canHandle = response.contains("true")
 
                 logger.debug { "ObsidianAgent.canHandle('$query'): $canHandle (AI: '$response')" }
                 canHandle
             }
+        } catch (e: CancellationException) {
+            throw e
         } catch (e: Exception) {
             logger.error(e) { "Error in AI-based canHandle, defaulting to false" }
             false
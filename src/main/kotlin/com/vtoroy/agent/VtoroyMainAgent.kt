@@ -1,10 +1,16 @@
 package com.vtoroy.agent
 
 import com.vtoroy.agent.contract.SubAgent
+import com.vtoroy.dto.ChatAttachment
+import com.vtoroy.dto.ChatReference
 import com.vtoroy.entity.ChatMessage
 import com.vtoroy.service.KnowledgeService
 import com.vtoroy.service.ThinkingService
 import com.vtoroy.util.RetryUtil
+import kotlinx.coroutines.CancellationException
+import kotlinx.coroutines.ensureActive
+import kotlinx.coroutines.reactive.asFlow
+import kotlinx.coroutines.runInterruptible
 import kotlinx.coroutines.withContext
 import kotlinx.coroutines.Dispatchers
 import mu.KotlinLogging
@@ -40,44 +46,74 @@ class VtoroyMainAgent(
     /**
      * Main entry point - processes user queries
      * С retry logic и ThinkingService интеграцией
+     * references - заметки и теги, явно выбранные пользователем в поле ввода
+     * attachments - текстовые файлы, прикреплённые к сообщению
+     * onToken - получает текст ответа по мере генерации (диалог и поиск по базе знаний);
+     * ответы суб-агентов не стримятся и приходят только итоговой строкой
      */
-    suspend fun processQuery(query: String, sessionId: String, chatHistory: List<ChatMessage>): String {
+    suspend fun processQuery(
+        query: String,
+        sessionId: String,
+        chatHistory: List<ChatMessage>,
+        references: List<ChatReference> = emptyList(),
+        attachments: List<ChatAttachment> = emptyList(),
+        onToken: (suspend (String) -> Unit)? = null
+    ): String {
         logger.info { "Processing query: '$query' for session: $sessionId" }
+        val referencedQuery = withReferences(query, references)
+        // Выбор агента и подхода видит только имена файлов, содержимое получает обработчик
+        val routingQuery = withAttachmentNames(referencedQuery, attachments)
+        val agentQuery = withAttachments(referencedQuery, attachments)
 
         return withContext(Dispatchers.IO) {
             try {
                 // Send initial thought через ThinkingService
                 thinkingService.sendThought(sessionId, "🎯 Анализирую запрос: «$query»", "start")
+                if (references.isNotEmpty()) {
+                    thinkingService.sendThought(sessionId, "📎 Ссылки: ${references.joinToString { it.display() }}", "references")
+                }
+                if (attachments.isNotEmpty()) {
+                    thinkingService.sendThought(sessionId, "📄 Вложения: ${attachments.joinToString { it.name }}", "attachments")
+                }
 
                 // Try to find suitable sub-agent
-                val agentSelection = agentDispatcher.selectAgent(query, chatHistory)
+                val agentSelection = agentDispatcher.selectAgent(routingQuery, chatHistory)
+                ensureActive()
 
                 if (agentSelection != null) {
                     // Delegate to sub-agent
                     thinkingService.sendThought(sessionId, "🤖 Делегирую ${agentSelection.agent.name}", "delegate")
-                    val result = agentSelection.agent.handle(query, chatHistory)
+                    val result = agentSelection.agent.handle(agentQuery, chatHistory)
+                    // Агенты ловят исключения сами и могут вернуть ответ уже остановленного запроса
+                    ensureActive()
                     thinkingService.finishThinking(sessionId, "✅ Выполнено!")
                     result
                 } else {
                     // Handle directly - check if it's knowledge search or dialogue
-                    val approach = determineApproach(query, chatHistory)
+                    val approach = determineApproach(routingQuery, chatHistory)
+                    ensureActive()
 
                     when (approach) {
                         "knowledge_search" -> {
                             thinkingService.sendThought(sessionId, "🔍 Ищу в базе знаний...", "search")
-                            val result = handleKnowledgeSearch(query, chatHistory)
+                            val result = handleKnowledgeSearch(agentQuery, chatHistory, onToken)
                             thinkingService.finishThinking(sessionId, "✅ Поиск завершен!")
                             result
                         }
                         else -> {
                             thinkingService.sendThought(sessionId, "💬 Отвечаю в диалоге...", "dialogue")
-                            val result = handleDialogue(query, chatHistory)
+                            val result = handleDialogue(agentQuery, chatHistory, onToken)
                             thinkingService.finishThinking(sessionId, "✅ Ответ готов!")
                             result
                         }
                     }
                 }
 
+            } catch (e: CancellationException) {
+                // Stopped from the UI - don't turn cancellation into an answer
+                logger.info { "Query cancelled for session: $sessionId" }
+                thinkingService.finishThinking(sessionId, "⏹️ Остановлено")
+                throw e
             } catch (e: Exception) {
                 logger.error(e) { "Error processing query: '$query'" }
                 thinkingService.finishThinking(sessionId, "❌ Произошла ошибка")
@@ -86,6 +122,53 @@ class VtoroyMainAgent(
         }
     }
     
+    /**
+     * Явные ссылки дописываются к запросу: агенты и парсер берут точные
+     * пути и теги отсюда, а не угадывают их по тексту
+     */
+    private fun withReferences(query: String, references: List<ChatReference>): String {
+        if (references.isEmpty()) return query
+
+        val lines = references.joinToString("\n") { reference ->
+            when (reference.type) {
+                "tag" -> "- тег: ${reference.display()}"
+                else -> "- заметка: ${reference.value}"
+            }
+        }
+        return "$query\n\nВыбрано пользователем (точные значения, использовать как есть):\n$lines"
+    }
+
+    private fun withAttachmentNames(query: String, attachments: List<ChatAttachment>): String {
+        if (attachments.isEmpty()) return query
+
+        return "$query\n\nПриложены файлы: ${attachments.joinToString { "${it.name} (${it.type})" }}"
+    }
+
+    /**
+     * Вложения идут после запроса отдельными блоками: имя и тип файла,
+     * frontmatter строками "ключ: значение", затем содержимое как есть
+     */
+    private fun withAttachments(query: String, attachments: List<ChatAttachment>): String {
+        if (attachments.isEmpty()) return query
+
+        val blocks = attachments.joinToString("\n\n") { attachment ->
+            val frontmatter = attachment.frontmatter.entries.joinToString("\n") { (key, value) ->
+                val text = if (value is Collection<*>) value.joinToString(", ") else value.toString()
+                "$key: $text"
+            }
+            buildString {
+                append("=== Файл: ${attachment.name} (${attachment.type}) ===\n")
+                if (frontmatter.isNotEmpty()) append("Frontmatter:\n$frontmatter\n---\n")
+                append(attachment.content.trim())
+                append("\n=== Конец файла: ${attachment.name} ===")
+            }
+        }
+        return "$query\n\nФайлы, приложенные пользователем (их нет в базе знаний, читать отсюда):\n\n$blocks"
+    }
+
+    private fun ChatReference.display(): String =
+        if (type == "tag") "#${value.removePrefix("#")}" else value
+
     /**
      * AI-based approach determination (Claude Code principles - no hardcoded keywords!)
      * С retry logic для надежности
@@ -118,13 +201,15 @@ class VtoroyMainAgent(
                     UserMessage(userPrompt)
                 ))
 
-                val response = chatModel.call(prompt).result.output.content.trim().lowercase()
+                val response = runInterruptible { chatModel.call(prompt) }.result.output.content.trim().lowercase()
                 val approach = if (response.contains("knowledge_search")) "knowledge_search" else "dialogue"
 
                 logger.debug { "AI determined approach for '$query': $approach (response: '$response')" }
                 approach
             }
 
+        } catch (e: CancellationException) {
+            throw e
         } catch (e: Exception) {
             logger.error(e) { "Error in AI approach determination, defaulting to dialogue" }
             "dialogue"
@@ -134,7 +219,11 @@ class VtoroyMainAgent(
     /**
      * Handle knowledge search using vector database
      */
-    private suspend fun handleKnowledgeSearch(query: String, chatHistory: List<ChatMessage>): String {
+    private suspend fun handleKnowledgeSearch(
+        query: String,
+        chatHistory: List<ChatMessage>,
+        onToken: (suspend (String) -> Unit)? = null
+    ): String {
         logger.debug { "Searching knowledge base for: '$query'" }
         
         val knowledgeFiles = knowledgeService.searchKnowledge(query, 5)
@@ -160,15 +249,17 @@ class VtoroyMainAgent(
         """.trimIndent()
         
         val messages = buildMessagesWithHistory(chatHistory, query, systemPrompt)
-        val response = chatModel.call(Prompt(messages))
-        
-        return response.result.output.content
+        return generate(messages, onToken)
     }
     
     /**
      * Handle general dialogue
      */
-    private suspend fun handleDialogue(query: String, chatHistory: List<ChatMessage>): String {
+    private suspend fun handleDialogue(
+        query: String,
+        chatHistory: List<ChatMessage>,
+        onToken: (suspend (String) -> Unit)? = null
+    ): String {
         logger.debug { "Processing dialogue: '$query'" }
         
         val systemPrompt = """
@@ -192,9 +283,29 @@ class VtoroyMainAgent(
         """.trimIndent()
         
         val messages = buildMessagesWithHistory(chatHistory, query, systemPrompt)
-        val response = chatModel.call(Prompt(messages))
-        
-        return response.result.output.content
+        return generate(messages, onToken)
+    }
+    
+    /**
+     * Ответ модели целиком или, если передан onToken, потоком: куски текста
+     * отдаются по мере прихода, а собранный ответ возвращается в конце
+     */
+    private suspend fun generate(messages: List<Message>, onToken: (suspend (String) -> Unit)?): String {
+        if (onToken == null) {
+            // Блокирующий вызов прерывается при отмене, чтобы не тратить токены впустую
+            return runInterruptible { chatModel.call(Prompt(messages)) }.result.output.content
+        }
+
+        val answer = StringBuilder()
+        chatModel.stream(Prompt(messages)).asFlow().collect { chunk ->
+            // Служебные события потока (начало/конец сообщения) приходят без текста
+            val text = chunk.result?.output?.content
+            if (!text.isNullOrEmpty()) {
+                answer.append(text)
+                onToken(text)
+            }
+        }
+        return answer.toString()
     }
     
     /**
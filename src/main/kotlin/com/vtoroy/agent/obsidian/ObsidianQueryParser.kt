@@ -5,6 +5,8 @@ import com.vtoroy.dto.ObsidianAction
 import com.vtoroy.entity.ChatMessage
 import com.vtoroy.entity.MessageRole
 import com.vtoroy.service.ThinkingService
+import kotlinx.coroutines.CancellationException
+import kotlinx.coroutines.runInterruptible
 import mu.KotlinLogging
 import org.springframework.ai.anthropic.AnthropicChatModel
 import org.springframework.ai.chat.messages.SystemMessage
@@ -46,6 +48,7 @@ class ObsidianQueryParser(
         ПРАВИЛА:
         1. Если нет имени/названия - используй ASK_USER
         2. НЕ придумывай данные
+        3. Если в запросе есть блок «Выбрано пользователем» - бери path и теги оттуда без изменений
 
         Отвечай JSON: {"action": "...", "parameters": {...}}
         """.trimIndent()
@@ -95,7 +98,7 @@ class ObsidianQueryParser(
                 UserMessage(userPrompt)
             ))
 
-            val response = chatModel.call(prompt)
+            val response = runInterruptible { chatModel.call(prompt) }
             val fullResponse = response.result.output.content.trim()
 
             // Извлекаем рассуждение и JSON
@@ -125,6 +128,8 @@ class ObsidianQueryParser(
             logger.debug { "Parsed action: ${parsedAction.type}, parameters: ${parsedAction.parameters}" }
             parsedAction
 
+        } catch (e: CancellationException) {
+            throw e
         } catch (e: Exception) {
             logger.error(e) { "Error parsing query, falling back to search" }
             ParsedQuery(ObsidianAction.SEARCH_VAULT, mapOf("query" to query))
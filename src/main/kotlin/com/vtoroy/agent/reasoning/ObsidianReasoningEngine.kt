@@ -3,6 +3,8 @@ package com.vtoroy.agent.reasoning
 import com.vtoroy.dto.*
 import com.vtoroy.entity.ChatMessage
 import com.vtoroy.service.knowledge.ObsidianVaultManager
+import kotlinx.coroutines.CancellationException
+import kotlinx.coroutines.runInterruptible
 import mu.KotlinLogging
 import org.springframework.ai.anthropic.AnthropicChatModel
 import org.springframework.ai.chat.messages.SystemMessage
@@ -117,12 +119,14 @@ class ObsidianReasoningEngine(
         val prompt = buildReasoningPrompt(context, chatHistory)
         
         return try {
-            val response = chatModel.call(prompt)
+            val response = runInterruptible { chatModel.call(prompt) }
             val content = response.result.output.content.trim()
             
             logger.debug { "Step $stepNumber AI response: $content" }
             
             parseReasoningResponse(content, stepNumber)
+        } catch (e: CancellationException) {
+            throw e
         } catch (e: Exception) {
             logger.error(e) { "Error in reasoning step $stepNumber" }
             ReasoningResult.Error("Ошибка обработки: ${e.message}")
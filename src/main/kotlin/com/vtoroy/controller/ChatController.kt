@@ -1,19 +1,31 @@
 package com.vtoroy.controller
 
+import com.fasterxml.jackson.databind.ObjectMapper
+import com.vtoroy.dto.ChatHistoryMessage
+import com.vtoroy.dto.ChatHistoryResponse
 import com.vtoroy.dto.ChatRequest
 import com.vtoroy.dto.ChatResponse
+import com.vtoroy.dto.ChatSeedRequest
+import com.vtoroy.dto.ChatStreamEvent
 import com.vtoroy.service.VtoroyService
 import jakarta.validation.Valid
+import kotlinx.coroutines.CancellationException
 import kotlinx.coroutines.runBlocking
 import mu.KotlinLogging
+import org.springframework.http.HttpStatus
+import org.springframework.http.MediaType
 import org.springframework.http.ResponseEntity
 import org.springframework.web.bind.annotation.*
+import org.springframework.web.servlet.mvc.method.annotation.StreamingResponseBody
+import java.io.IOException
+import java.io.OutputStream
 
 @RestController
 @RequestMapping("/api/chat")
 @CrossOrigin(origins = ["*"])
 class ChatController(
-    private val vtoroyService: VtoroyService
+    private val vtoroyService: VtoroyService,
+    private val objectMapper: ObjectMapper
 ) {
     private val logger = KotlinLogging.logger {}
     
@@ -22,8 +34,17 @@ class ChatController(
         logger.debug { "Received chat request for session: ${request.sessionId}" }
         
         return@runBlocking try {
-            val response = vtoroyService.chat(request.query, request.sessionId)
+            val response = vtoroyService.chat(request.query, request.sessionId, request.references, request.attachments)
             ResponseEntity.ok(response)
+        } catch (e: CancellationException) {
+            logger.info { "Chat request cancelled for session: ${request.sessionId}" }
+            ResponseEntity.ok(
+                ChatResponse(
+                    response = "⏹️ Запрос остановлен",
+                    sessionId = request.sessionId,
+                    metadata = mapOf("cancelled" to true)
+                )
+            )
         } catch (e: Exception) {
             logger.error(e) { "Error processing chat request" }
             ResponseEntity.internalServerError().body(
@@ -35,4 +56,115 @@ class ChatController(
             )
         }
     }
+    
+    /**
+     * Тот же чат, но ответ приходит по мере генерации: NDJSON, по событию
+     * ChatStreamEvent в строке. Последняя строка - done с полным ответом и metadata
+     * (или cancelled/error), после неё поток закрывается
+     */
+    @PostMapping("/stream", produces = [MediaType.APPLICATION_NDJSON_VALUE])
+    fun chatStream(@Valid @RequestBody request: ChatRequest): ResponseEntity<StreamingResponseBody> {
+        logger.debug { "Received streaming chat request for session: ${request.sessionId}" }
+        
+        val body = StreamingResponseBody { output ->
+            var disconnected = false
+            runBlocking {
+                try {
+                    val response = vtoroyService.chat(
+                        request.query,
+                        request.sessionId,
+                        request.references,
+                        request.attachments
+                    ) { text ->
+                        try {
+                            output.writeEvent(ChatStreamEvent(type = "delta", text = text))
+                        } catch (e: IOException) {
+                            // Читать ответ больше некому - останавливаем генерацию, а не тратим токены
+                            disconnected = true
+                            throw CancellationException("Client disconnected")
+                        }
+                    }
+                    output.writeEvent(ChatStreamEvent(type = "done", result = response))
+                } catch (e: IOException) {
+                    logger.debug { "Streaming chat client disconnected for session: ${request.sessionId}" }
+                } catch (e: CancellationException) {
+                    if (disconnected) {
+                        logger.debug { "Streaming chat client disconnected for session: ${request.sessionId}" }
+                    } else {
+                        logger.info { "Streaming chat request cancelled for session: ${request.sessionId}" }
+                        output.tryWriteEvent(ChatStreamEvent(type = "cancelled"))
+                    }
+                } catch (e: Exception) {
+                    logger.error(e) { "Error processing streaming chat request" }
+                    output.tryWriteEvent(ChatStreamEvent(type = "error", message = e.message ?: "Unknown error"))
+                }
+            }
+        }
+        return ResponseEntity.ok()
+            .contentType(MediaType.APPLICATION_NDJSON)
+            .header("Cache-Control", "no-cache")
+            .header("X-Accel-Buffering", "no") // nginx must not hold the stream back
+            .body(body)
+    }
+    
+    private fun OutputStream.writeEvent(event: ChatStreamEvent) {
+        write(objectMapper.writeValueAsBytes(event))
+        write('\n'.code)
+        flush()
+    }
+    
+    // Последняя строка потока: если клиент уже ушёл, писать её некуда и это не ошибка
+    private fun OutputStream.tryWriteEvent(event: ChatStreamEvent) {
+        try {
+            writeEvent(event)
+        } catch (e: IOException) {
+            logger.debug { "Could not write ${event.type} event, client disconnected" }
+        }
+    }
+    
+    @PostMapping("/{sessionId}/cancel")
+    fun cancel(@PathVariable sessionId: String): ResponseEntity<Map<String, Any>> {
+        val cancelled = vtoroyService.cancelChat(sessionId)
+        return ResponseEntity.ok(mapOf(
+            "sessionId" to sessionId,
+            "cancelled" to cancelled
+        ))
+    }
+    
+    @GetMapping("/{sessionId}/history")
+    fun history(@PathVariable sessionId: String): ResponseEntity<ChatHistoryResponse> {
+        logger.debug { "Loading chat history for session: $sessionId" }
+        
+        val messages = vtoroyService.getSessionHistory(sessionId).map { message ->
+            ChatHistoryMessage(
+                role = message.role.name.lowercase(),
+                content = message.content,
+                createdAt = message.createdAt
+            )
+        }
+        return ResponseEntity.ok(ChatHistoryResponse(sessionId = sessionId, messages = messages))
+    }
+    
+    /**
+     * Seeds a new session with history up to the branch point of another conversation
+     */
+    @PostMapping("/{sessionId}/history")
+    fun seedHistory(
+        @PathVariable sessionId: String,
+        @Valid @RequestBody request: ChatSeedRequest
+    ): ResponseEntity<Map<String, Any>> {
+        logger.debug { "Seeding session $sessionId with ${request.history.size} messages" }
+        
+        if (!vtoroyService.seedSession(sessionId, request.history)) {
+            return ResponseEntity.status(HttpStatus.CONFLICT).body(mapOf(
+                "error" to "Session already exists",
+                "message" to "Session $sessionId already has a history",
+                "sessionId" to sessionId
+            ))
+        }
+        return ResponseEntity.status(HttpStatus.CREATED).body(mapOf(
+            "sessionId" to sessionId,
+            "messages" to request.history.size
+        ))
+    }
 }
\ No newline at end of file
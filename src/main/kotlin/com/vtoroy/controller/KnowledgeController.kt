@@ -8,6 +8,7 @@ import com.vtoroy.service.KnowledgeService
 import jakarta.validation.Valid
 import kotlinx.coroutines.runBlocking
 import mu.KotlinLogging
+import org.springframework.http.HttpStatus
 import org.springframework.http.ResponseEntity
 import org.springframework.web.bind.annotation.*
 
@@ -60,12 +61,18 @@ class KnowledgeController(
         logger.info { "Starting knowledge sync for source: ${request.sourceId}" }
         
         return@runBlocking try {
-            val result = knowledgeService.syncAllSources()
+            val result = knowledgeService.syncSource(request.sourceId)
             ResponseEntity.ok(mapOf(
                 "message" to "Sync completed successfully",
                 "sourceId" to request.sourceId,
                 "itemsProcessed" to result
             ))
+        } catch (e: NoSuchElementException) {
+            ResponseEntity.status(HttpStatus.NOT_FOUND).body(mapOf(
+                "error" to "Source not found",
+                "message" to (e.message ?: "Unknown source"),
+                "sourceId" to request.sourceId
+            ))
         } catch (e: Exception) {
             logger.error(e) { "Error syncing source ${request.sourceId}" }
             ResponseEntity.internalServerError().body(mapOf(
@@ -79,10 +86,11 @@ class KnowledgeController(
     @GetMapping("/sources")
     fun getSources(): ResponseEntity<Map<String, Any>> = runBlocking {
         return@runBlocking try {
-            val statuses = knowledgeService.getSourceStatuses()
+            val names = knowledgeService.getSourceNames()
             ResponseEntity.ok(mapOf(
-                "sources" to statuses.keys,
-                "totalSources" to statuses.size
+                "sources" to names.keys,
+                "displayNames" to names,
+                "totalSources" to names.size
             ))
         } catch (e: Exception) {
             logger.error(e) { "Error getting sources" }
@@ -96,8 +104,12 @@ class KnowledgeController(
     @GetMapping("/sources/{sourceId}/status")
     fun getSourceStatus(@PathVariable sourceId: String): ResponseEntity<Map<String, Any>> = runBlocking {
         return@runBlocking try {
-            val statuses = knowledgeService.getSourceStatuses()
-            val status = statuses[sourceId] ?: throw IllegalArgumentException("Source not found: $sourceId")
+            val status = knowledgeService.getSourceStatus(sourceId)
+                ?: return@runBlocking ResponseEntity.status(HttpStatus.NOT_FOUND).body(mapOf(
+                    "error" to "Source not found",
+                    "message" to "Source not found: $sourceId",
+                    "sourceId" to sourceId
+                ))
             ResponseEntity.ok(mapOf("status" to status))
         } catch (e: Exception) {
             logger.error(e) { "Error getting source status: $sourceId" }
@@ -118,7 +130,7 @@ class KnowledgeController(
         logger.info { "Searching knowledge for query: '$query', limit: $limit, source: ${source ?: "all"}" }
         
         return@runBlocking try {
-            val results = knowledgeService.searchKnowledge(query, limit)
+            val results = knowledgeService.searchKnowledge(query, limit, source)
             ResponseEntity.ok(mapOf(
                 "query" to query,
                 "source" to (source ?: "all"),
@@ -147,7 +159,7 @@ class KnowledgeController(
         logger.info { "Searching knowledge for query: '${request.query}', limit: ${request.limit}, source: ${request.sourceFilter ?: "all"}" }
         
         return@runBlocking try {
-            val results = knowledgeService.searchKnowledge(request.query, request.limit)
+            val results = knowledgeService.searchKnowledge(request.query, request.limit, request.sourceFilter)
             ResponseEntity.ok(mapOf(
                 "query" to request.query,
                 "source" to (request.sourceFilter ?: "all"),
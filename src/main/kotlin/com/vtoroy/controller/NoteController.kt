@@ -0,0 +1,129 @@
+package com.vtoroy.controller
+
+import com.vtoroy.dto.CreateNoteRequest
+import com.vtoroy.dto.MarkdownNote
+import com.vtoroy.dto.ObsidianResult
+import com.vtoroy.service.knowledge.ObsidianVaultManager
+import kotlinx.coroutines.runBlocking
+import mu.KotlinLogging
+import org.springframework.http.HttpStatus
+import org.springframework.http.ResponseEntity
+import org.springframework.web.bind.annotation.*
+
+/**
+ * Доступ к заметкам Obsidian из веб-интерфейса: просмотр заметок и
+ * сохранение экспортированных разговоров в выбранную папку vault
+ */
+@RestController
+@RequestMapping("/api/notes")
+@CrossOrigin(origins = ["*"])
+class NoteController(
+    private val vaultManager: ObsidianVaultManager
+) {
+    private val logger = KotlinLogging.logger {}
+
+    /**
+     * Заметка с обратными ссылками. path - путь в vault или цель wiki-ссылки
+     */
+    @GetMapping
+    fun getNote(@RequestParam path: String): ResponseEntity<Map<String, Any>> = runBlocking {
+        logger.debug { "Reading note for viewer: $path" }
+
+        return@runBlocking when (val result = vaultManager.readNoteByLink(path)) {
+            is ObsidianResult.Success<*> -> {
+                val note = result.data as MarkdownNote
+                val backlinks = when (val backlinksResult = vaultManager.getBacklinks(note.path)) {
+                    is ObsidianResult.Success<*> -> (backlinksResult.data as List<*>).filterIsInstance<String>()
+                    is ObsidianResult.Error -> {
+                        logger.warn { "Failed to get backlinks for ${note.path}: ${backlinksResult.message}" }
+                        emptyList()
+                    }
+                }
+                ResponseEntity.ok(mapOf("note" to note.copy(backlinks = backlinks - note.path)))
+            }
+            is ObsidianResult.Error -> {
+                // Error without cause means the note simply does not exist
+                val status = when (result.cause) {
+                    null -> HttpStatus.NOT_FOUND
+                    is IllegalArgumentException -> HttpStatus.BAD_REQUEST
+                    else -> HttpStatus.INTERNAL_SERVER_ERROR
+                }
+                ResponseEntity.status(status).body(mapOf(
+                    "error" to "Failed to read note",
+                    "message" to result.message,
+                    "path" to path
+                ))
+            }
+        }
+    }
+
+    /**
+     * Папки vault для выбора места сохранения. Скрытые (.obsidian, .trash
+     * и всё внутри них) не показываются - туда заметки не пишутся
+     */
+    @GetMapping("/folders")
+    fun getFolders(): ResponseEntity<Map<String, Any>> = runBlocking {
+        return@runBlocking when (val result = vaultManager.listFolders()) {
+            is ObsidianResult.Success<*> -> ResponseEntity.ok(mapOf(
+                "folders" to (result.data as List<*>).filterIsInstance<String>().filterNot { isHidden(it) }
+            ))
+            is ObsidianResult.Error -> ResponseEntity.internalServerError().body(mapOf(
+                "error" to "Failed to list folders",
+                "message" to result.message
+            ))
+        }
+    }
+
+    /**
+     * Все теги vault для автодополнения #тегов в поле ввода
+     */
+    @GetMapping("/tags")
+    fun getTags(): ResponseEntity<Map<String, Any>> = runBlocking {
+        return@runBlocking when (val result = vaultManager.getAllTags()) {
+            is ObsidianResult.Success<*> -> ResponseEntity.ok(mapOf(
+                "tags" to (result.data as List<*>).filterIsInstance<String>()
+            ))
+            is ObsidianResult.Error -> ResponseEntity.internalServerError().body(mapOf(
+                "error" to "Failed to list tags",
+                "message" to result.message
+            ))
+        }
+    }
+
+    /**
+     * Новая заметка (например, экспорт разговора). Существующие заметки не перезаписываются
+     */
+    @PostMapping
+    fun createNote(@RequestBody request: CreateNoteRequest): ResponseEntity<Map<String, Any>> = runBlocking {
+        logger.info { "Saving note from web UI: ${request.path}" }
+        
+        if (isHidden(request.path)) {
+            return@runBlocking ResponseEntity.badRequest().body(mapOf(
+                "error" to "Failed to create note",
+                "message" to "Notes cannot be saved to hidden folders",
+                "path" to request.path
+            ))
+        }
+
+        return@runBlocking when (val result = vaultManager.createNote(request)) {
+            is ObsidianResult.Success<*> -> ResponseEntity.status(HttpStatus.CREATED).body(mapOf("note" to result.data as MarkdownNote))
+            is ObsidianResult.Error -> {
+                // Error without cause means the note already exists
+                val status = when (result.cause) {
+                    null -> HttpStatus.CONFLICT
+                    is IllegalArgumentException -> HttpStatus.BAD_REQUEST
+                    else -> HttpStatus.INTERNAL_SERVER_ERROR
+                }
+                ResponseEntity.status(status).body(mapOf(
+                    "error" to "Failed to create note",
+                    "message" to result.message,
+                    "path" to request.path
+                ))
+            }
+        }
+    }
+
+    // Any path segment starting with a dot: .obsidian, .trash, .git
+    private fun isHidden(path: String): Boolean =
+        path.split('/', '\\').any { it.startsWith(".") }
+}
@@ -5,6 +5,7 @@ import mu.KotlinLogging
 import org.springframework.boot.info.BuildProperties
 import org.springframework.http.MediaType
 import org.springframework.http.ResponseEntity
+import org.springframework.scheduling.annotation.Scheduled
 import org.springframework.web.bind.annotation.*
 import org.springframework.web.servlet.mvc.method.annotation.SseEmitter
 import java.time.LocalDateTime
@@ -90,6 +91,25 @@ class SystemController(
         return emitter
     }
     
+    /**
+     * Heartbeat для потоков логов - без него тихий поток неотличим от зависшего
+     */
+    @Scheduled(fixedRate = 15000)
+    fun sendLogHeartbeats() {
+        logEmitters.forEach { (emitterId, emitter) ->
+            try {
+                emitter.send(
+                    SseEmitter.event()
+                        .name("heartbeat")
+                        .data(mapOf("timestamp" to LocalDateTime.now().format(DateTimeFormatter.ISO_LOCAL_DATE_TIME)))
+                )
+            } catch (e: Exception) {
+                logger.debug { "Heartbeat failed for log stream $emitterId: ${e.message}" }
+                emitter.complete() // onCompletion removes the emitter and its log listener
+            }
+        }
+    }
+    
     @GetMapping("/logs/recent")
     fun getRecentLogs(@RequestParam(defaultValue = "100") lines: Int): ResponseEntity<Map<String, Any>> {
         return try {
@@ -108,7 +128,7 @@ class SystemController(
             
             // Добавляем информацию о текущем состоянии
             allLogs.add(mapOf(
-                "timestamp" to LocalDateTime.now().format(DateTimeFormatter.ofPattern("HH:mm:ss")),
+                "timestamp" to LocalDateTime.now().format(DateTimeFormatter.ISO_LOCAL_DATE_TIME),
                 "level" to "INFO",
                 "logger" to "SystemController",
                 "message" to "Logs requested - showing last $lines entries"
@@ -124,7 +144,7 @@ class SystemController(
             ResponseEntity.ok(mapOf(
                 "logs" to listOf(
                     mapOf(
-                        "timestamp" to LocalDateTime.now().format(DateTimeFormatter.ofPattern("HH:mm:ss")),
+                        "timestamp" to LocalDateTime.now().format(DateTimeFormatter.ISO_LOCAL_DATE_TIME),
                         "level" to "ERROR",
                         "logger" to "SystemController",
                         "message" to "Не удалось загрузить логи: ${e.message}"
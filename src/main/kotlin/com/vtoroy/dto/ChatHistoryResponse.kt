@@ -0,0 +1,20 @@
+package com.vtoroy.dto
+
+import java.time.LocalDateTime
+
+/**
+ * Server-side transcript of a chat session
+ */
+data class ChatHistoryResponse(
+    val sessionId: String,
+    val messages: List<ChatHistoryMessage>
+)
+
+/**
+ * Single stored message of a chat session
+ */
+data class ChatHistoryMessage(
+    val role: String,
+    val content: String,
+    val createdAt: LocalDateTime
+)
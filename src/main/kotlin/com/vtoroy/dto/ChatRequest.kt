@@ -1,6 +1,8 @@
 package com.vtoroy.dto
 
+import jakarta.validation.Valid
 import jakarta.validation.constraints.NotBlank
+import jakarta.validation.constraints.Pattern
 import jakarta.validation.constraints.Size
 
 data class ChatRequest(
@@ -10,5 +12,43 @@ data class ChatRequest(
     
     @field:NotBlank(message = "Session ID cannot be blank")
     @field:Size(max = 100, message = "Session ID is too long")
-    val sessionId: String
-)
\ No newline at end of file
+    val sessionId: String,
+    
+    @field:Valid
+    @field:Size(max = 20, message = "Too many references")
+    val references: List<ChatReference> = emptyList(),
+    
+    @field:Valid
+    @field:Size(max = 5, message = "Too many attachments")
+    val attachments: List<ChatAttachment> = emptyList()
+)
+
+/**
+ * Ссылка, выбранная в поле ввода: @заметка (путь в vault) или #тег
+ */
+data class ChatReference(
+    @field:Pattern(regexp = "note|tag", message = "Reference type must be note or tag")
+    val type: String,
+    
+    @field:NotBlank(message = "Reference value cannot be blank")
+    @field:Size(max = 500, message = "Reference value is too long")
+    val value: String
+)
+
+/**
+ * Текстовый файл, прикреплённый в поле ввода (его нет в vault).
+ * Frontmatter Markdown разобран на клиенте, content - текст без него
+ */
+data class ChatAttachment(
+    @field:NotBlank(message = "Attachment name cannot be blank")
+    @field:Size(max = 255, message = "Attachment name is too long")
+    val name: String,
+    
+    @field:Pattern(regexp = "markdown|text|json|csv", message = "Attachment type must be markdown, text, json or csv")
+    val type: String,
+    
+    @field:Size(max = 102400, message = "Attachment is too large")
+    val content: String,
+    
+    val frontmatter: Map<String, Any?> = emptyMap()
+)
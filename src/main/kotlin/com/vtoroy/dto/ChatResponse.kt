@@ -1,5 +1,6 @@
 package com.vtoroy.dto
 
+import com.fasterxml.jackson.annotation.JsonInclude
 import java.time.LocalDateTime
 
 data class ChatResponse(
@@ -7,4 +8,17 @@ data class ChatResponse(
     val sessionId: String,
     val timestamp: LocalDateTime = LocalDateTime.now(),
     val metadata: Map<String, Any>? = null
-)
\ No newline at end of file
+)
+
+/**
+ * Строка NDJSON-потока /api/chat/stream:
+ * delta - очередной кусок текста ответа, done - итоговый ответ с metadata,
+ * cancelled - запрос остановлен, error - ошибка обработки
+ */
+@JsonInclude(JsonInclude.Include.NON_NULL)
+data class ChatStreamEvent(
+    val type: String,
+    val text: String? = null,
+    val result: ChatResponse? = null,
+    val message: String? = null
+)
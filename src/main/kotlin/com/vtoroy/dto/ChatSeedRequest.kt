@@ -0,0 +1,29 @@
+package com.vtoroy.dto
+
+import jakarta.validation.Valid
+import jakarta.validation.constraints.NotBlank
+import jakarta.validation.constraints.NotEmpty
+import jakarta.validation.constraints.Pattern
+import jakarta.validation.constraints.Size
+
+/**
+ * Готовая история для новой сессии - ветка разговора из веб-интерфейса
+ */
+data class ChatSeedRequest(
+    @field:Valid
+    @field:NotEmpty(message = "History cannot be empty")
+    @field:Size(max = 500, message = "History is too long")
+    val history: List<ChatSeedMessage>
+)
+
+/**
+ * Сообщение истории в хронологическом порядке
+ */
+data class ChatSeedMessage(
+    @field:Pattern(regexp = "user|assistant", message = "Role must be user or assistant")
+    val role: String,
+    
+    @field:NotBlank(message = "Content cannot be blank")
+    @field:Size(max = 50000, message = "Content is too long")
+    val content: String
+)
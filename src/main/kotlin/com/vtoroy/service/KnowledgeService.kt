@@ -31,6 +31,10 @@ class KnowledgeService(
     // Cache for query embeddings - avoids recalculating identical queries
     private val queryEmbeddingCache = ConcurrentHashMap<String, FloatArray>()
     
+    // Sync bookkeeping per source - sources themselves don't track it
+    private val lastSyncTimes = ConcurrentHashMap<String, Long>()
+    private val syncingSources = ConcurrentHashMap.newKeySet<String>()
+    
     init {
         logger.info { "KnowledgeService initialized with ${knowledgeSources.size} sources: ${knowledgeSources.map { it.sourceId }}" }
     }
@@ -39,18 +43,57 @@ class KnowledgeService(
      * Получает статусы всех источников знаний
      */
     suspend fun getSourceStatuses(): Map<String, KnowledgeSourceStatus> {
-        return knowledgeSources.associate { source ->
-            try {
-                source.sourceId to source.getStatus()
-            } catch (e: Exception) {
-                logger.error(e) { "Failed to get status for source ${source.sourceId}" }
-                source.sourceId to KnowledgeSourceStatus(
-                    sourceId = source.sourceId,
-                    isActive = false,
-                    errorMessage = e.message
-                )
-            }
+        return knowledgeSources.associate { source -> source.sourceId to statusOf(source) }
+    }
+    
+    /**
+     * Зарегистрированные источники: ID и отображаемое имя.
+     * Статусы не считаются - источники не опрашиваются
+     */
+    fun getSourceNames(): Map<String, String> {
+        return knowledgeSources.associate { source -> source.sourceId to source.displayName }
+    }
+    
+    /**
+     * Статус одного источника (null - такого источника нет).
+     * Считает только его, без обхода остальных источников
+     */
+    suspend fun getSourceStatus(sourceId: String): KnowledgeSourceStatus? {
+        val source = knowledgeSources.find { it.sourceId == sourceId } ?: return null
+        return statusOf(source)
+    }
+    
+    private suspend fun statusOf(source: KnowledgeSource): KnowledgeSourceStatus {
+        val status = try {
+            source.getStatus()
+        } catch (e: Exception) {
+            logger.error(e) { "Failed to get status for source ${source.sourceId}" }
+            KnowledgeSourceStatus(
+                sourceId = source.sourceId,
+                isActive = false,
+                errorMessage = e.message
+            )
+        }
+        return enrichStatus(source, status)
+    }
+    
+    /**
+     * Дополняет статус источника данными, которые знает только сервис
+     */
+    private suspend fun enrichStatus(source: KnowledgeSource, status: KnowledgeSourceStatus): KnowledgeSourceStatus {
+        val indexedCount = try {
+            withContext(Dispatchers.IO) { knowledgeFileRepository.countBySource(source.sourceId) }
+        } catch (e: Exception) {
+            logger.warn(e) { "Failed to count indexed items for source ${source.sourceId}" }
+            0L
         }
+        
+        return status.copy(
+            displayName = status.displayName ?: source.displayName,
+            lastSync = lastSyncTimes[source.sourceId] ?: status.lastSync,
+            syncInProgress = status.syncInProgress || source.sourceId in syncingSources,
+            indexedCount = indexedCount
+        )
     }
     
     /**
@@ -80,13 +123,7 @@ class KnowledgeService(
         
         for (source in availableSources) {
             try {
-                logger.info { "Syncing data from ${source.sourceId}" }
-                val items = source.syncData()
-                
-                val indexedCount = indexKnowledgeItems(items)
-                totalItemsIndexed += indexedCount
-                
-                logger.info { "Source ${source.sourceId} synced $indexedCount items" }
+                totalItemsIndexed += syncSourceData(source)
             } catch (e: Exception) {
                 logger.error(e) { "Error syncing from source ${source.sourceId}" }
             }
@@ -98,6 +135,37 @@ class KnowledgeService(
         return totalItemsIndexed
     }
     
+    /**
+     * Синхронизирует один источник знаний по его ID.
+     * NoSuchElementException - источника с таким ID нет
+     */
+    suspend fun syncSource(sourceId: String): Int {
+        val source = knowledgeSources.find { it.sourceId == sourceId }
+            ?: throw NoSuchElementException("Source not found: $sourceId")
+        
+        if (!source.isAvailable()) {
+            throw IllegalStateException("Source is not available: $sourceId")
+        }
+        
+        return syncSourceData(source)
+    }
+    
+    private suspend fun syncSourceData(source: KnowledgeSource): Int {
+        syncingSources.add(source.sourceId)
+        try {
+            logger.info { "Syncing data from ${source.sourceId}" }
+            val items = source.syncData()
+            
+            val indexedCount = indexKnowledgeItems(items)
+            lastSyncTimes[source.sourceId] = System.currentTimeMillis()
+            
+            logger.info { "Source ${source.sourceId} synced $indexedCount items" }
+            return indexedCount
+        } finally {
+            syncingSources.remove(source.sourceId)
+        }
+    }
+    
     /**
      * Индексирует элементы знаний в векторную БД
      */
@@ -143,15 +211,21 @@ class KnowledgeService(
     
     /**
      * Поиск в векторной базе знаний
+     * Если указан source - ищет только в документах этого источника
      */
-    suspend fun searchKnowledge(query: String, limit: Int = 10): List<KnowledgeFile> = withContext(Dispatchers.IO) {
+    suspend fun searchKnowledge(query: String, limit: Int = 10, source: String? = null): List<KnowledgeFile> = withContext(Dispatchers.IO) {
         try {
             // Check cache first
             val embedding = queryEmbeddingCache.getOrPut(generateChecksum(query)) {
                 embeddingModel.embed(query)
             }
             
-            knowledgeFileRepository.findSimilarDocuments(PGvector(embedding).toString(), limit)
+            val queryVector = PGvector(embedding).toString()
+            if (source.isNullOrBlank() || source == "all") {
+                knowledgeFileRepository.findSimilarDocuments(queryVector, limit)
+            } else {
+                knowledgeFileRepository.findSimilarDocumentsBySource(queryVector, source, limit)
+            }
         } catch (e: Exception) {
             logger.error(e) { "Error during knowledge search for query: $query" }
             emptyList()
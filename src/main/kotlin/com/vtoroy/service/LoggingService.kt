@@ -5,6 +5,7 @@ import ch.qos.logback.classic.spi.ILoggingEvent
 import ch.qos.logback.core.AppenderBase
 import mu.KotlinLogging
 import org.slf4j.LoggerFactory
+import org.springframework.beans.factory.annotation.Value
 import org.springframework.stereotype.Service
 import java.time.LocalDateTime
 import java.time.format.DateTimeFormatter
@@ -18,7 +19,9 @@ class LoggingService {
     private val logger = KotlinLogging.logger {}
     private val logBuffer = ConcurrentLinkedQueue<LogEntry>()
     private val logListeners = CopyOnWriteArrayList<(LogEntry) -> Unit>()
-    private val maxBufferSize = 500
+    
+    @Value("\${vtoroy.logs.buffer-size:2000}")
+    private var maxBufferSize: Int = 2000
     
     data class LogEntry(
         val timestamp: String,
@@ -48,9 +51,9 @@ class LoggingService {
                             timestamp = LocalDateTime.ofInstant(
                                 java.time.Instant.ofEpochMilli(event.timeStamp), 
                                 java.time.ZoneId.systemDefault()
-                            ).format(DateTimeFormatter.ofPattern("HH:mm:ss")),
+                            ).format(DateTimeFormatter.ISO_LOCAL_DATE_TIME),
                             level = event.level.toString(),
-                            logger = event.loggerName.substringAfterLast('.'),
+                            logger = event.loggerName, // Полное имя - UI фильтрует по пакетам
                             message = event.formattedMessage
                         )
                         
@@ -94,37 +97,37 @@ class LoggingService {
             // Создаем стартовые логи с основной информацией
             val startupLogs = listOf(
                 LogEntry(
-                    timestamp = LocalDateTime.now().minusSeconds(30).format(DateTimeFormatter.ofPattern("HH:mm:ss")),
+                    timestamp = LocalDateTime.now().minusSeconds(30).format(DateTimeFormatter.ISO_LOCAL_DATE_TIME),
                     level = "INFO",
                     logger = "VtoroyApplication",
                     message = "Starting Vtoroy Digital Copy..."
                 ),
                 LogEntry(
-                    timestamp = LocalDateTime.now().minusSeconds(25).format(DateTimeFormatter.ofPattern("HH:mm:ss")),
+                    timestamp = LocalDateTime.now().minusSeconds(25).format(DateTimeFormatter.ISO_LOCAL_DATE_TIME),
                     level = "INFO", 
                     logger = "VtoroyApplication",
                     message = "Spring Boot application started successfully"
                 ),
                 LogEntry(
-                    timestamp = LocalDateTime.now().minusSeconds(20).format(DateTimeFormatter.ofPattern("HH:mm:ss")),
+                    timestamp = LocalDateTime.now().minusSeconds(20).format(DateTimeFormatter.ISO_LOCAL_DATE_TIME),
                     level = "INFO",
                     logger = "DataSource",
                     message = "PostgreSQL connection established"
                 ),
                 LogEntry(
-                    timestamp = LocalDateTime.now().minusSeconds(15).format(DateTimeFormatter.ofPattern("HH:mm:ss")),
+                    timestamp = LocalDateTime.now().minusSeconds(15).format(DateTimeFormatter.ISO_LOCAL_DATE_TIME),
                     level = "INFO",
                     logger = "PgVectorStore", 
                     message = "Vector store initialized with pgvector"
                 ),
                 LogEntry(
-                    timestamp = LocalDateTime.now().minusSeconds(10).format(DateTimeFormatter.ofPattern("HH:mm:ss")),
+                    timestamp = LocalDateTime.now().minusSeconds(10).format(DateTimeFormatter.ISO_LOCAL_DATE_TIME),
                     level = "INFO",
                     logger = "TomcatWebServer",
                     message = "Tomcat started on port 8080"
                 ),
                 LogEntry(
-                    timestamp = LocalDateTime.now().minusSeconds(5).format(DateTimeFormatter.ofPattern("HH:mm:ss")),
+                    timestamp = LocalDateTime.now().minusSeconds(5).format(DateTimeFormatter.ISO_LOCAL_DATE_TIME),
                     level = "INFO",
                     logger = "SystemController",
                     message = "Log monitoring system ready"
@@ -1,6 +1,7 @@
 package com.vtoroy.service
 
 import mu.KotlinLogging
+import org.springframework.scheduling.annotation.Scheduled
 import org.springframework.stereotype.Service
 import org.springframework.web.servlet.mvc.method.annotation.SseEmitter
 import java.util.concurrent.ConcurrentHashMap
@@ -100,6 +101,21 @@ class ThinkingService {
         }
     }
 
+    /**
+     * Heartbeat для открытых потоков - по нему клиент отличает тишину от оборванного соединения
+     */
+    @Scheduled(fixedRate = 15000)
+    fun sendHeartbeats() {
+        emitters.forEach { (sessionId, emitter) ->
+            try {
+                emitter.send(SseEmitter.event().name("heartbeat").data(mapOf("timestamp" to System.currentTimeMillis())))
+            } catch (e: Exception) {
+                logger.debug { "Heartbeat failed for session: $sessionId, removing emitter" }
+                emitters.remove(sessionId, emitter)
+            }
+        }
+    }
+
     /**
      * Получает статус активных подключений
      */
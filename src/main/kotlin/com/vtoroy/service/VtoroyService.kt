@@ -2,17 +2,25 @@ package com.vtoroy.service
 
 import com.fasterxml.jackson.databind.ObjectMapper
 import com.vtoroy.agent.VtoroyMainAgent
+import com.vtoroy.dto.ChatAttachment
+import com.vtoroy.dto.ChatReference
 import com.vtoroy.dto.ChatResponse
+import com.vtoroy.dto.ChatSeedMessage
 import com.vtoroy.entity.ChatMessage
 import com.vtoroy.entity.ChatSession
 import com.vtoroy.entity.MessageRole
 import com.vtoroy.repository.ChatMessageRepository
 import com.vtoroy.repository.ChatSessionRepository
+import kotlinx.coroutines.CancellationException
+import kotlinx.coroutines.Job
+import kotlinx.coroutines.async
+import kotlinx.coroutines.coroutineScope
 import mu.KotlinLogging
 import org.springframework.beans.factory.annotation.Value
 import org.springframework.stereotype.Service
 import org.springframework.transaction.annotation.Transactional
 import java.time.LocalDateTime
+import java.util.concurrent.ConcurrentHashMap
 
 @Service
 class VtoroyService(
@@ -29,8 +37,18 @@ class VtoroyService(
     @Value("\${vtoroy.vector-search.max-results}")
     private var maxSearchResults: Int = 5
     
+    // Запросы в работе по sessionId - чтобы UI мог их остановить. В одной сессии их
+    // может быть несколько (две вкладки, повтор очереди), поэтому хранится набор
+    private val activeRequests = ConcurrentHashMap<String, MutableSet<Job>>()
+    
     @Transactional
-    suspend fun chat(query: String, sessionId: String): ChatResponse {
+    suspend fun chat(
+        query: String,
+        sessionId: String,
+        references: List<ChatReference> = emptyList(),
+        attachments: List<ChatAttachment> = emptyList(),
+        onToken: (suspend (String) -> Unit)? = null
+    ): ChatResponse {
         logger.debug { "Processing chat for session: $sessionId" }
         
         // Get or create session
@@ -44,8 +62,22 @@ class VtoroyService(
         logger.debug { "Loaded ${chatHistory.size} messages from history" }
         
         try {
-            // Обрабатываем запрос через VtoroyMainAgent
-            val responseContent = vtoroyMainAgent.processQuery(query, sessionId, chatHistory)
+            // Обрабатываем запрос через VtoroyMainAgent (отменяемо через cancelChat)
+            val responseContent = coroutineScope {
+                val request = async { vtoroyMainAgent.processQuery(query, sessionId, chatHistory, references, attachments, onToken) }
+                // compute/computeIfPresent keep add and remove atomic per session
+                activeRequests.compute(sessionId) { _, jobs ->
+                    (jobs ?: ConcurrentHashMap.newKeySet()).apply { add(request) }
+                }
+                try {
+                    request.await()
+                } finally {
+                    activeRequests.computeIfPresent(sessionId) { _, jobs ->
+                        jobs.remove(request)
+                        jobs.ifEmpty { null }
+                    }
+                }
+            }
             
             // Save assistant message
             saveMessage(session, MessageRole.ASSISTANT, responseContent)
@@ -59,12 +91,57 @@ class VtoroyService(
                 sessionId = sessionId,
                 metadata = mapOf("history_size" to chatHistory.size)
             )
+        } catch (e: CancellationException) {
+            logger.info { "Chat cancelled for session: $sessionId" }
+            throw e
         } catch (e: Exception) {
             logger.error(e) { "Error in VtoroyMainAgent: ${e.message}" }
             throw e
         }
     }
     
+    /**
+     * Cancels all in-flight chat requests of a session, if any
+     */
+    fun cancelChat(sessionId: String): Boolean {
+        val requests = activeRequests[sessionId]?.toList().orEmpty()
+        if (requests.isEmpty()) return false
+        logger.info { "Cancelling ${requests.size} chat request(s) for session: $sessionId" }
+        requests.forEach { it.cancel(CancellationException("Cancelled by user")) }
+        return true
+    }
+    
+    /**
+     * Full transcript of a session in chronological order (for restoring the web UI)
+     */
+    @Transactional(readOnly = true)
+    fun getSessionHistory(sessionId: String): List<ChatMessage> {
+        return chatMessageRepository.findBySessionIdOrderByCreatedAtDesc(sessionId)
+            .filter { it.role == MessageRole.USER || it.role == MessageRole.ASSISTANT }
+            .reversed()
+    }
+    
+    /**
+     * Creates a session with a ready-made history (a branch of another conversation).
+     * Returns false if the session already exists
+     */
+    @Transactional
+    fun seedSession(sessionId: String, history: List<ChatSeedMessage>): Boolean {
+        if (chatSessionRepository.existsById(sessionId)) {
+            return false
+        }
+        
+        logger.info { "Creating session $sessionId with ${history.size} seeded messages" }
+        val session = chatSessionRepository.save(ChatSession(id = sessionId))
+        
+        // Порядок истории определяется created_at, поэтому разводим время сообщений
+        val start = LocalDateTime.now()
+        history.forEachIndexed { index, message ->
+            saveMessage(session, MessageRole.valueOf(message.role.uppercase()), message.content, start.plusNanos(index * 1_000L))
+        }
+        return true
+    }
+    
     private fun loadChatHistory(sessionId: String): List<ChatMessage> {
         val messages = chatMessageRepository.findBySessionIdOrderByCreatedAtDesc(sessionId)
         // Берем последние N сообщений и переворачиваем в хронологический порядок
@@ -78,7 +155,12 @@ class VtoroyService(
         }
     }
     
-    private fun saveMessage(session: ChatSession, role: MessageRole, content: String) {
+    private fun saveMessage(
+        session: ChatSession,
+        role: MessageRole,
+        content: String,
+        createdAt: LocalDateTime = LocalDateTime.now()
+    ) {
         val metadata = objectMapper.createObjectNode().apply {
             put("sessionId", session.id)
         }
@@ -87,7 +169,8 @@ class VtoroyService(
             session = session,
             role = role,
             content = content,
-            metadata = metadata
+            metadata = metadata,
+            createdAt = createdAt
         )
         chatMessageRepository.save(message)
     }
@@ -53,6 +53,42 @@ class ObsidianVaultManager(
         }
     }
     
+    /**
+     * Read a note by wiki-link target: exact path first, then by file name anywhere
+     * in the vault, the way Obsidian resolves [[Note]] links
+     */
+    suspend fun readNoteByLink(link: String): ObsidianResult {
+        val target = link.substringBefore('|').substringBefore('#').trim()
+        if (target.isEmpty()) {
+            return ObsidianResult.Error("Note not found: $link")
+        }
+        
+        val direct = readNote(target)
+        if (direct is ObsidianResult.Success<*>) {
+            return direct
+        }
+        
+        return try {
+            val fileName = target.substringAfterLast('/').removeSuffix(".md")
+            val match = Files.walk(vaultPath).use { paths ->
+                paths.filter { Files.isRegularFile(it) }
+                    .filter { !isHidden(it) }
+                    .filter { it.fileName.toString().equals("$fileName.md", ignoreCase = true) }
+                    .findFirst()
+                    .orElse(null)
+            } ?: return direct
+            
+            ObsidianResult.Success(loadNote(match))
+        } catch (e: Exception) {
+            logger.error(e) { "Failed to resolve note link: $link" }
+            ObsidianResult.Error("Failed to read note: ${e.message}", e)
+        }
+    }
+    
+    // Any segment inside the vault starting with a dot: .obsidian, .trash, .git
+    private fun isHidden(path: Path): Boolean =
+        vaultPath.relativize(path).any { it.toString().startsWith(".") }
+    
     /**
      * Search notes in vault
      */
@@ -343,7 +379,9 @@ class ObsidianVaultManager(
         val cleanPath = notePath.removePrefix("/").let { 
             if (it.endsWith(".md")) it else "$it.md" 
         }
-        return vaultPath.resolve(cleanPath)
+        val resolved = vaultPath.resolve(cleanPath).normalize()
+        require(resolved.startsWith(vaultPath.normalize())) { "Path is outside of vault: $notePath" }
+        return resolved
     }
     
     private fun loadNote(path: Path): MarkdownNote {
@@ -54,5 +54,7 @@ data class KnowledgeSourceStatus(
     val lastSync: Long? = null,
     val itemCount: Int = 0,
     val errorMessage: String? = null,
-    val syncInProgress: Boolean = false
+    val syncInProgress: Boolean = false,
+    val displayName: String? = null,   // Заполняется KnowledgeService
+    val indexedCount: Long = 0         // Документов в векторной БД, заполняется KnowledgeService
 )
\ No newline at end of file
@@ -1,5 +1,6 @@
 package com.vtoroy.util
 
+import kotlinx.coroutines.CancellationException
 import kotlinx.coroutines.delay
 import mu.KotlinLogging
 
@@ -33,6 +34,8 @@ object RetryUtil {
         repeat(maxAttempts) { attempt ->
             try {
                 return block()
+            } catch (e: CancellationException) {
+                throw e // cancellation is not a failure to retry
             } catch (e: Exception) {
                 lastException = e
                 if (attempt < maxAttempts - 1) {
@@ -64,6 +67,8 @@ object RetryUtil {
         repeat(maxAttempts) { attempt ->
             try {
                 return block()
+            } catch (e: CancellationException) {
+                throw e // cancellation is not a failure to retry
             } catch (e: Exception) {
                 // Проверяем нужно ли retry для этого типа исключения
                 val shouldRetry = retryOn.isEmpty() || retryOn.any { it.isInstance(e) }
@@ -0,0 +1,342 @@
+// Vtoroy AI Assistant - Pixel avatar of the assistant
+//
+// Кадр рисуется в ImageData размером с пиксельную сетку и одним drawImage
+// масштабируется на все видимые канвасы (большой на приветствии и компактный
+// в шапке). Расстояния и углы клеток считаются один раз. Анимация стоит, когда
+// ни один канвас не виден или вкладка браузера скрыта; при prefers-reduced-motion
+// кадр перерисовывается только при смене состояния или темы.
+class AIAvatar {
+    constructor(canvases, options = {}) {
+        this.size = options.gridSize || 40;
+        this.labels = options.labels || [];
+        this.views = canvases.map(canvas => ({ canvas, ctx: canvas.getContext('2d'), visible: false }));
+
+        this.buffer = document.createElement('canvas');
+        this.buffer.width = this.size;
+        this.buffer.height = this.size;
+        this.bufferCtx = this.buffer.getContext('2d');
+        this.image = this.bufferCtx.createImageData(this.size, this.size);
+
+        // Geometry of every cell relative to the center, computed once
+        const center = this.size / 2;
+        this.distance = new Float32Array(this.size * this.size);
+        this.angle = new Float32Array(this.size * this.size);
+        for (let i = 0; i < this.distance.length; i++) {
+            const dx = (i % this.size) - center;
+            const dy = Math.floor(i / this.size) - center;
+            this.distance[i] = Math.sqrt(dx * dx + dy * dy);
+            this.angle[i] = Math.atan2(dy, dx);
+        }
+
+        this.brainActivity = new Float32Array(this.size * this.size).map(() => Math.random() * 0.3);
+        this.particles = [];
+        this.time = 0;
+        this.blinkFrames = 0;
+        this.lipSync = false;         // speech is playing, the mouth follows articulate()
+        this.mouthOpen = 0;
+        this.lastArticulation = -Infinity;
+        this.frame = null;
+        this.lastFrameAt = 0;
+
+        this.mode = 'idle';           // state derived from the app
+        this.flashMode = null;        // short-lived state on top of it (answer arrived, request failed)
+        this.flashTimer = null;
+        this.renderedMode = null;
+
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.updateColors();
+        this.observeVisibility();
+    }
+
+    static modes = ['idle', 'thinking', 'searching', 'acting', 'speaking', 'syncing', 'waiting', 'error', 'offline'];
+    static frameMs = 33;
+
+    // Thinking SSE event type -> avatar state while the request runs
+    static eventModes = {
+        search: 'searching',
+        delegate: 'acting',
+        step_start: 'acting',
+        obsidian_action: 'acting',
+        error: 'error'
+    };
+
+    static modeForEvent(type) {
+        return AIAvatar.eventModes[type] || 'thinking';
+    }
+
+    // Per-state animation parameters
+    static motion = {
+        idle: { pulse: 0.05, activity: 0.1, particles: 0.05 },
+        thinking: { pulse: 0.12, activity: 0.6, particles: 0.08 },
+        searching: { pulse: 0.08, activity: 0.3, particles: 0.05 },
+        acting: { pulse: 0.12, activity: 0.5, particles: 0.1 },
+        speaking: { pulse: 0.08, activity: 0.3, particles: 0.1 },
+        syncing: { pulse: 0.06, activity: 0.2, particles: 0.3 },
+        waiting: { pulse: 0.03, activity: 0.05, particles: 0.02 },
+        error: { pulse: 0.2, activity: 0.2, particles: 0 },
+        offline: { pulse: 0.01, activity: 0, particles: 0 }
+    };
+
+    observeVisibility() {
+        if (typeof IntersectionObserver === 'undefined') {
+            this.views.forEach(view => { view.visible = true; });
+        } else {
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    const view = this.views.find(item => item.canvas === entry.target);
+                    if (view) view.visible = entry.isIntersecting;
+                });
+                this.updateLoop();
+            });
+            this.views.forEach(view => observer.observe(view.canvas));
+        }
+
+        document.addEventListener('visibilitychange', () => this.updateLoop());
+        this.reducedMotion.addEventListener('change', () => this.updateLoop());
+        this.updateLoop();
+    }
+
+    // Run the animation only when someone can see it
+    updateLoop() {
+        const visible = this.views.some(view => view.visible);
+        const animate = visible && !document.hidden && !this.reducedMotion.matches;
+
+        if (animate && !this.frame) {
+            this.frame = requestAnimationFrame((timestamp) => this.tick(timestamp));
+        } else if (!animate && this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+
+        if (!animate && visible) {
+            this.render();
+        }
+    }
+
+    tick(timestamp) {
+        this.frame = requestAnimationFrame((next) => this.tick(next));
+        if (timestamp - this.lastFrameAt < AIAvatar.frameMs) return;
+
+        this.lastFrameAt = timestamp;
+        this.time++;
+        this.step();
+        this.render();
+    }
+
+    getMode() {
+        return this.flashMode || this.mode;
+    }
+
+    setMode(mode) {
+        this.mode = AIAvatar.modes.includes(mode) ? mode : 'idle';
+        this.refresh();
+    }
+
+    // Show a state for a moment, then return to the app-derived one
+    flash(mode, durationMs) {
+        clearTimeout(this.flashTimer);
+        this.flashMode = mode;
+        this.flashTimer = setTimeout(() => {
+            this.flashMode = null;
+            this.refresh();
+        }, durationMs);
+        this.refresh();
+    }
+
+    setLipSync(active) {
+        this.lipSync = active;
+        this.mouthOpen = 0;
+    }
+
+    // Word boundary of the utterance being spoken: open the mouth, it closes over the next frames
+    articulate() {
+        this.mouthOpen = 1;
+        this.lastArticulation = this.time;
+    }
+
+    refresh() {
+        const mode = this.getMode();
+        if (mode !== this.renderedMode) {
+            this.renderedMode = mode;
+            this.renderLabel();
+        }
+        if (!this.frame) {
+            this.updateLoop();
+        }
+    }
+
+    renderLabel() {
+        const text = i18n.t(`avatar.${this.getMode()}`);
+        this.labels.forEach(label => { label.textContent = text; });
+        this.views.forEach(view => { view.canvas.title = text; });
+    }
+
+    // Re-read the palette after a theme switch (--avatar-* variables in style.css)
+    updateColors() {
+        const style = getComputedStyle(document.documentElement);
+        const read = (name, fallback) => AIAvatar.toRgb(style.getPropertyValue(name).trim() || fallback);
+        this.palette = {
+            background: read('--avatar-bg', '#0a0a0a'),
+            base: read('--avatar-base', '#00ff88'),
+            accent: read('--avatar-accent', '#00ffaa'),
+            particle: read('--avatar-particle', '#00ffcc'),
+            error: read('--error', '#ef4444'),
+            muted: read('--text-muted', '#6b7280')
+        };
+        if (!this.frame) {
+            this.updateLoop();
+        }
+    }
+
+    // Any CSS color -> [r, g, b], resolved by the canvas itself
+    static toRgb(color) {
+        if (!AIAvatar.probe) {
+            AIAvatar.probe = document.createElement('canvas').getContext('2d', { willReadFrequently: true });
+        }
+        const ctx = AIAvatar.probe;
+        ctx.clearRect(0, 0, 1, 1);
+        ctx.fillStyle = '#000000';
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, 1, 1);
+        const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+        return [r, g, b];
+    }
+
+    // Advance brain activity, blinking and particles by one frame
+    step() {
+        const motion = AIAvatar.motion[this.getMode()];
+
+        if (Math.random() < motion.activity) {
+            const index = Math.floor(Math.random() * this.brainActivity.length);
+            this.brainActivity[index] = Math.min(1, this.brainActivity[index] + 0.5);
+        }
+        for (let i = 0; i < this.brainActivity.length; i++) {
+            this.brainActivity[i] *= 0.98;
+        }
+
+        this.mouthOpen *= 0.8;
+
+        if (this.blinkFrames > 0) {
+            this.blinkFrames--;
+        } else if (Math.random() < 0.01) {
+            this.blinkFrames = 4;
+        }
+
+        if (Math.random() < motion.particles) {
+            this.particles.push({
+                x: Math.random() * this.size,
+                y: this.size,
+                vx: (Math.random() - 0.5) * 0.5,
+                vy: -Math.random() * 0.5 - (this.getMode() === 'syncing' ? 1 : 0.5),
+                life: 1
+            });
+        }
+        this.particles = this.particles.filter(particle => {
+            particle.x += particle.vx;
+            particle.y += particle.vy;
+            particle.life -= 0.02;
+            return particle.life > 0;
+        });
+    }
+
+    // Alpha-blend a color into the frame
+    blend(index, color, alpha) {
+        const data = this.image.data;
+        const offset = index * 4;
+        data[offset] += (color[0] - data[offset]) * alpha;
+        data[offset + 1] += (color[1] - data[offset + 1]) * alpha;
+        data[offset + 2] += (color[2] - data[offset + 2]) * alpha;
+    }
+
+    render() {
+        const size = this.size;
+        const mode = this.getMode();
+        const palette = this.palette;
+        const motion = AIAvatar.motion[mode];
+        const data = this.image.data;
+
+        const center = size / 2;
+        const radius = size / 3;
+        const outline = mode === 'error' ? palette.error : mode === 'offline' ? palette.muted : palette.base;
+        const accent = mode === 'error' ? palette.error : mode === 'offline' ? palette.muted : palette.accent;
+        const spinning = mode === 'syncing' || mode === 'acting';
+        const arc = (this.time * (mode === 'syncing' ? 0.08 : 0.15)) % (Math.PI * 2) - Math.PI;
+        const scanY = mode === 'searching' ? (this.time * 0.4) % size : -1;
+        const eyeY = center - 3;
+        const eyesClosed = mode === 'offline' || this.blinkFrames > 0;
+        const mouthY = center + 5;
+        // Voices without boundary events leave the mouth on the generic loop
+        const lipSync = this.lipSync && this.time - this.lastArticulation < 30;
+        const mouthWidth = lipSync ? 1 + this.mouthOpen * 5 : 4 + Math.sin(this.time * 0.2) * 2;
+        const mouthHeight = lipSync && this.mouthOpen > 0.4 ? 2 : 1;
+        const waitingDots = Math.floor(this.time / 15) % 4;
+
+        for (let i = 0; i < size * size; i++) {
+            const x = i % size;
+            const y = Math.floor(i / size);
+            const distance = this.distance[i];
+            const offset = i * 4;
+            data[offset] = palette.background[0];
+            data[offset + 1] = palette.background[1];
+            data[offset + 2] = palette.background[2];
+            data[offset + 3] = 255;
+
+            // Head outline; syncing/acting run an arc around it like a spinner
+            if (distance < radius && distance > radius - 2) {
+                let gap = Math.abs(this.angle[i] - arc);
+                gap = Math.min(gap, Math.PI * 2 - gap);
+                this.blend(i, spinning && gap < 0.9 ? accent : outline, 1);
+            }
+
+            // Brain pattern
+            if (distance < radius - 2) {
+                const pulse = Math.sin(this.time * motion.pulse + distance * 0.3) * 0.5 + 0.5;
+                const intensity = this.brainActivity[i] * pulse;
+                if (intensity > 0.3) {
+                    this.blend(i, accent, Math.min(1, intensity));
+                }
+                if (scanY >= 0 && Math.abs(y - scanY) < 1) {
+                    this.blend(i, accent, 0.6);
+                }
+            }
+
+            // Eyes: closed line when blinking or offline, crosses on error
+            for (const eyeX of [center - 5, center + 5]) {
+                const ex = x - eyeX;
+                const ey = y - eyeY;
+                if (Math.abs(ex) >= 2 || Math.abs(ey) >= 2) continue;
+
+                if (mode === 'error') {
+                    if (Math.abs(ex) === Math.abs(ey)) this.blend(i, outline, 1);
+                } else if (!eyesClosed || ey === 0) {
+                    this.blend(i, outline, 1);
+                }
+            }
+
+            // Mouth: moves while speaking, "..." while waiting for the user
+            if (mode === 'speaking' && Math.abs(x - center) < mouthWidth && Math.abs(y - mouthY) < mouthHeight) {
+                this.blend(i, accent, 1);
+            } else if (mode === 'waiting' && y === mouthY) {
+                const dot = [-3, 0, 3].indexOf(x - center);
+                if (dot !== -1 && dot < waitingDots) {
+                    this.blend(i, accent, 1);
+                }
+            }
+        }
+
+        this.particles.forEach(particle => {
+            const x = Math.floor(particle.x);
+            const y = Math.floor(particle.y);
+            if (x >= 0 && x < size && y >= 0 && y < size) {
+                this.blend(y * size + x, palette.particle, particle.life);
+            }
+        });
+
+        this.bufferCtx.putImageData(this.image, 0, 0);
+        this.views.forEach(view => {
+            if (!view.visible) return;
+            view.ctx.imageSmoothingEnabled = false;
+            view.ctx.drawImage(this.buffer, 0, 0, view.canvas.width, view.canvas.height);
+        });
+    }
+}
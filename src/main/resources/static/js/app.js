@@ -1,20 +1,53 @@
 // Vtoroy AI Assistant - Frontend Application
 class VtoroyApp {
     constructor() {
-        this.sessionId = this.generateSessionId();
+        this.sessionStore = new SessionStore();
+        this.preferences = new Preferences();
+        this.sessionId = this.sessionStore.getActiveSessionId() || this.generateSessionId();
         this.isOnline = false;
-        this.isLoading = false;
+        this.lastHealthState = null;
         this.currentTab = 'chat';
-        this.logsPaused = false;
-        this.logsEventSource = null;
-        this.thinkingEventSource = null;
+        this.logsStream = null;
+        this.thinkingStream = null;
+        this.seenLogKeys = new Set();
         this.currentThinkingElement = null;
+        this.thinkingTimeline = null;
+        this.activeRequest = null;
+        this.chatStream = new ChatStream('/api/chat/stream');
+        this.streamingAnswer = '';
+        this.streamingFrame = null;
+        this.attachmentFiles = new Map(); // attachment id -> file with contents, kept in memory only
+        this.outbox = new Outbox();
+        this.outbox.resetInterrupted();
+        this.flushingOutbox = false;
+        this.syncingKnowledge = false;
+        this.healthMonitor = new HealthMonitor({
+            onCheck: (snapshot) => this.handleHealthCheck(snapshot)
+        });
+        this.markdown = new MarkdownRenderer({
+            copyLabel: i18n.t('markdown.copy'),
+            copiedLabel: i18n.t('markdown.copied')
+        });
+        
+        document.documentElement.lang = i18n.locale;
+        i18n.translatePage();
+        this.themeManager = new ThemeManager(this.preferences);
+        this.themeManager.start();
+        this.speechReader = new SpeechReader(this.preferences, {
+            onStart: () => this.handleSpeechChange(),
+            onBoundary: () => {
+                if (this.aiAvatar) this.aiAvatar.articulate();
+            },
+            onEnd: () => this.handleSpeechChange()
+        });
         
         this.initializeElements();
+        this.registerSlashCommands();
+        this.registerActions();
         this.bindEvents();
         this.switchTab('chat'); // Initialize with chat tab
-        this.checkStatus();
-        this.updateSessionDisplay();
+        this.healthMonitor.start();
+        this.switchSession(this.sessionId);
         this.loadVersion();
         this.initializeAIAvatar();
     }
@@ -23,16 +56,65 @@ class VtoroyApp {
     initializeElements() {
         this.statusDot = document.getElementById('status-dot');
         this.statusText = document.getElementById('status-text');
+        this.streamIndicator = document.getElementById('stream-indicator');
+        this.streamIndicatorText = document.getElementById('stream-indicator-text');
+        this.localeSelect = document.getElementById('locale-select');
+        this.themeSelect = document.getElementById('theme-select');
+        this.speechControls = document.getElementById('speech-controls');
+        this.speechAutoRead = document.getElementById('speech-auto-read');
+        this.speechVoiceSelect = document.getElementById('speech-voice');
+        this.speechRateSelect = document.getElementById('speech-rate');
+        this.shortcutsButton = document.getElementById('shortcuts-button');
         this.messagesContainer = document.getElementById('messages-container');
+        this.welcomeMessage = this.messagesContainer.querySelector('.welcome-message');
         this.messageInput = document.getElementById('message-input');
         this.sendButton = document.getElementById('send-button');
-        this.loadingOverlay = document.getElementById('loading-overlay');
+        this.stopButton = document.getElementById('stop-button');
+        
+        // Slash commands: popup listens on the textarea before the send shortcut below
+        this.slashCommands = new SlashCommandRegistry();
+        this.slashPopup = new SlashCommandPopup(this.messageInput, document.getElementById('slash-popup'), {
+            registry: this.slashCommands,
+            onChange: () => {
+                this.autoResizeTextarea();
+                this.updateSendButton();
+            }
+        });
+        
+        // @note / #tag references, sent to the agent alongside the query
+        this.composerReferences = new ComposerReferences(
+            this.messageInput,
+            document.getElementById('reference-popup'),
+            document.getElementById('reference-chips'),
+            {
+                onChange: () => {
+                    this.autoResizeTextarea();
+                    this.updateSendButton();
+                }
+            }
+        );
+        
+        // Text files attached to the next message (paperclip or drag-and-drop onto the input area)
+        this.composerAttachments = new ComposerAttachments({
+            button: document.getElementById('attach-button'),
+            fileInput: document.getElementById('attachment-input'),
+            dropZone: this.messageInput.closest('.input-area'),
+            chips: document.getElementById('attachment-chips'),
+            preview: document.getElementById('attachment-preview')
+        }, {
+            onChange: () => this.updateSendButton()
+        });
         this.currentSessionElement = document.getElementById('current-session');
         this.knowledgePanel = document.getElementById('knowledge-panel');
         this.knowledgeClose = document.getElementById('knowledge-close');
         this.syncButton = document.getElementById('sync-button');
         this.knowledgeStats = document.getElementById('knowledge-stats');
         
+        // Session sidebar elements
+        this.sessionsList = document.getElementById('sessions-list');
+        this.newSessionButton = document.getElementById('new-session-button');
+        this.exportSessionButton = document.getElementById('export-session-button');
+        
         // Tab elements
         this.tabs = document.querySelectorAll('.tab');
         this.tabPanels = document.querySelectorAll('.tab-panel');
@@ -40,12 +122,108 @@ class VtoroyApp {
         // Knowledge tab elements
         this.syncButtonLarge = document.getElementById('sync-button-large');
         this.knowledgeStatsLarge = document.getElementById('knowledge-stats-large');
+        this.knowledgeDashboard = new KnowledgeDashboard(document.getElementById('knowledge-sources'), {
+            onSynced: () => this.checkKnowledgeStatus(),
+            onSyncStateChange: () => this.updateAvatar()
+        });
+        this.knowledgeSearch = new KnowledgeSearch({
+            input: document.getElementById('knowledge-search-input'),
+            sourceSelect: document.getElementById('knowledge-search-source'),
+            limitSelect: document.getElementById('knowledge-search-limit'),
+            status: document.getElementById('knowledge-search-status'),
+            results: document.getElementById('knowledge-search-results')
+        }, {
+            onAsk: (filePath) => this.askAboutFile(filePath),
+            onOpen: (filePath) => this.noteViewer.open(filePath)
+        });
+        
+        // Note viewer drawer
+        this.noteViewer = new NoteViewer({
+            panel: document.getElementById('note-viewer'),
+            title: document.getElementById('note-viewer-title'),
+            body: document.getElementById('note-viewer-body'),
+            backButton: document.getElementById('note-back'),
+            forwardButton: document.getElementById('note-forward'),
+            closeButton: document.getElementById('note-close')
+        }, { markdown: this.markdown });
         
         // Logs elements
         this.logsContainer = document.getElementById('logs-container');
         this.logsPauseBtn = document.getElementById('logs-pause');
         this.logsClearBtn = document.getElementById('logs-clear');
         this.logsDownloadBtn = document.getElementById('logs-download');
+        this.logViewer = new LogViewer({
+            container: this.logsContainer,
+            levelButtons: document.querySelectorAll('.log-level-toggle'),
+            loggerInput: document.getElementById('logs-logger-filter'),
+            loggerList: document.getElementById('logs-logger-options'),
+            searchInput: document.getElementById('logs-search'),
+            regexToggle: document.getElementById('logs-regex'),
+            capacitySelect: document.getElementById('logs-capacity'),
+            stats: document.getElementById('logs-stats')
+        });
+        this.logExportDialog = new LogExportDialog(document.getElementById('log-export-dialog'), {
+            logViewer: this.logViewer
+        });
+        
+        // Analytics tab: aggregated over stored transcripts, drawn on canvas
+        this.analyticsDashboard = new AnalyticsDashboard({
+            panel: document.getElementById('analytics-panel'),
+            periodSelect: document.getElementById('analytics-period'),
+            exportJsonButton: document.getElementById('analytics-export-json'),
+            exportCsvButton: document.getElementById('analytics-export-csv'),
+            stats: {
+                requests: document.getElementById('analytics-requests'),
+                latency: document.getElementById('analytics-latency'),
+                reasoning: document.getElementById('analytics-reasoning'),
+                errorRate: document.getElementById('analytics-error-rate')
+            },
+            charts: {
+                latency: document.getElementById('analytics-latency-chart'),
+                tools: document.getElementById('analytics-tools-chart'),
+                approaches: document.getElementById('analytics-approaches-chart'),
+                errors: document.getElementById('analytics-errors-chart')
+            }
+        }, { sessionStore: this.sessionStore });
+        
+        // System tab: health components, thinking connections, version and uptime
+        this.systemDashboard = new SystemDashboard({
+            panel: document.getElementById('system-panel'),
+            refreshButton: document.getElementById('system-refresh'),
+            polling: document.getElementById('system-polling'),
+            components: document.getElementById('system-components'),
+            connections: document.getElementById('system-connections'),
+            stats: {
+                state: document.getElementById('system-state'),
+                latency: document.getElementById('system-latency'),
+                availability: document.getElementById('system-availability'),
+                uptime: document.getElementById('system-uptime'),
+                version: document.getElementById('system-version')
+            },
+            charts: {
+                latency: document.getElementById('system-latency-chart'),
+                uptime: document.getElementById('system-uptime-chart')
+            }
+        }, {
+            monitor: this.healthMonitor,
+            getSessionId: () => this.sessionId
+        });
+        
+        // Conversation export / import
+        this.conversationExportDialog = new ConversationExportDialog(document.getElementById('conversation-export-dialog'), {
+            sessionStore: this.sessionStore,
+            getSessionId: () => this.sessionId,
+            generateSessionId: () => this.generateSessionId(),
+            onImported: (sessionId) => this.switchSession(sessionId)
+        });
+        
+        // Keyboard shortcuts, command palette and the "?" cheat sheet share one action registry
+        this.shortcuts = new ShortcutManager(this.preferences);
+        this.commandPalette = new CommandPalette(document.getElementById('command-palette'), {
+            shortcuts: this.shortcuts,
+            getExtraItems: () => this.getSessionPaletteItems()
+        });
+        this.shortcutCheatSheet = new ShortcutCheatSheet(document.getElementById('shortcuts-dialog'), this.shortcuts);
     }
 
     // Bind event listeners
@@ -53,6 +231,40 @@ class VtoroyApp {
         // Send message on button click
         this.sendButton.addEventListener('click', () => this.sendMessage());
         
+        // Stop in-flight request
+        this.stopButton.addEventListener('click', () => this.cancelRequest());
+        
+        // Language switcher
+        this.initLocaleSelect();
+        i18n.onChange(() => this.applyLocale());
+        
+        // Theme switcher; canvases redraw with the new palette
+        this.renderThemeSelect();
+        this.themeSelect.addEventListener('change', () => this.themeManager.setChoice(this.themeSelect.value));
+        this.themeManager.onChange(() => this.applyTheme());
+        
+        // Read-aloud settings; the voice list arrives asynchronously in some browsers
+        this.renderSpeechControls();
+        this.speechReader.onVoicesChanged(() => this.renderSpeechControls());
+        this.speechAutoRead.addEventListener('change', () => this.speechReader.setAutoRead(this.speechAutoRead.checked));
+        this.speechVoiceSelect.addEventListener('change', () => this.speechReader.setVoice(this.speechVoiceSelect.value));
+        this.speechRateSelect.addEventListener('change', () => this.speechReader.setRate(this.speechRateSelect.value));
+        
+        // Global keyboard shortcuts
+        document.addEventListener('keydown', (e) => this.shortcuts.handle(e));
+        this.shortcutsButton.addEventListener('click', () => this.shortcutCheatSheet.open());
+        this.preferences.onChange((name) => {
+            if (name === 'shortcuts' && this.shortcutCheatSheet.dialog.open) {
+                this.shortcutCheatSheet.render();
+            }
+            if (name === 'theme') {
+                this.themeSelect.value = this.themeManager.getChoice();
+            }
+            if (name.startsWith('speech.')) {
+                this.renderSpeechControls();
+            }
+        });
+        
         // Send message on Ctrl+Enter
         this.messageInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && e.ctrlKey) {
@@ -75,6 +287,18 @@ class VtoroyApp {
             });
         });
         
+        // Session sidebar events
+        if (this.newSessionButton) {
+            this.newSessionButton.addEventListener('click', () => this.startNewSession());
+        }
+        if (this.exportSessionButton) {
+            this.exportSessionButton.addEventListener('click', () => this.conversationExportDialog.open());
+        }
+        
+        if (this.sessionsList) {
+            this.sessionsList.addEventListener('click', (e) => this.handleSessionListClick(e));
+        }
+        
         // Knowledge panel events
         if (this.knowledgeClose) {
             this.knowledgeClose.addEventListener('click', () => {
@@ -100,24 +324,94 @@ class VtoroyApp {
         }
         
         if (this.logsDownloadBtn) {
-            this.logsDownloadBtn.addEventListener('click', () => this.downloadLogs());
+            this.logsDownloadBtn.addEventListener('click', () => this.logExportDialog.open());
         }
         
         // Auto-resize textarea
         this.messageInput.addEventListener('input', () => this.autoResizeTextarea());
+
+        // Wiki-links open the note viewer; tags are placeholders (href="#"), keep the scroll position
+        this.messagesContainer.addEventListener('click', (e) => {
+            const wikiLink = e.target.closest('.wiki-link');
+            if (wikiLink) {
+                e.preventDefault();
+                this.noteViewer.open(wikiLink.dataset.note);
+                return;
+            }
+            
+            if (e.target.closest('.tag')) {
+                e.preventDefault();
+            }
+        });
     }
 
-    // Initialize AI Avatar
+    // Initialize AI Avatar: large canvas on the welcome block, compact one in the header
     initializeAIAvatar() {
         const canvas = document.getElementById('ai-avatar');
         if (canvas) {
-            this.aiAvatar = new AIAvatar(canvas);
+            this.avatarWidget = document.getElementById('avatar-widget');
+            this.aiAvatar = new AIAvatar([canvas, document.getElementById('ai-avatar-compact')], {
+                labels: [document.getElementById('avatar-status-text'), document.getElementById('avatar-widget-text')]
+            });
+            this.updateAvatarWidget();
+            this.updateAvatar();
             console.log('AI Avatar initialized');
         } else {
             console.warn('AI Avatar canvas not found');
         }
     }
 
+    // Avatar state from what the app is doing, most specific first; answers and errors flash on top
+    updateAvatar() {
+        if (!this.aiAvatar) return;
+
+        let mode = 'idle';
+        if (this.activeRequest) {
+            mode = this.activeRequest.avatarMode;
+        } else if (this.speechReader.isSpeaking()) {
+            mode = 'speaking';
+        } else if (this.healthMonitor.state === 'offline') {
+            mode = 'offline';
+        } else if (this.syncingKnowledge || this.knowledgeDashboard.syncingSources.size > 0) {
+            mode = 'syncing';
+        } else if (this.isAwaitingUser()) {
+            mode = 'waiting';
+        }
+        this.aiAvatar.setMode(mode);
+    }
+
+    // Reading started or stopped: avatar lip-sync and the read-aloud buttons follow
+    handleSpeechChange() {
+        if (this.aiAvatar) {
+            this.aiAvatar.setLipSync(this.speechReader.isSpeaking());
+        }
+        this.updateAvatar();
+
+        this.messagesContainer.querySelectorAll('.message-action[data-action="readAloud"]').forEach(button => {
+            const reading = this.speechReader.isSpeaking(button.closest('.message'));
+            button.textContent = reading ? '⏹️' : '🔊';
+            button.title = i18n.t(reading ? 'message.stopReading' : 'message.readAloud');
+            button.classList.toggle('active', reading);
+        });
+    }
+
+    // The last answer of the session asked the user something
+    isAwaitingUser() {
+        const transcript = this.sessionStore.getTranscript(this.sessionId);
+        const last = transcript[transcript.length - 1];
+        if (!last || last.role !== 'assistant' || (last.metadata && (last.metadata.error || last.metadata.cancelled))) {
+            return false;
+        }
+        return /\?\s*$/.test(last.content);
+    }
+
+    // The header widget takes over while the welcome block (and its canvas) is out of sight
+    updateAvatarWidget() {
+        if (!this.avatarWidget) return;
+        const welcomeShown = this.currentTab === 'chat' && this.welcomeMessage && this.welcomeMessage.isConnected;
+        this.avatarWidget.hidden = Boolean(welcomeShown);
+    }
+
     // Generate unique session ID
     generateSessionId() {
         return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -130,6 +424,340 @@ class VtoroyApp {
         }
     }
 
+    // Start a fresh session (reuses the current one if it is still empty)
+    startNewSession() {
+        if (this.sessionStore.getTranscript(this.sessionId).length === 0) {
+            this.switchTab('chat');
+            this.messageInput.focus();
+            return;
+        }
+        this.switchSession(this.generateSessionId());
+        this.switchTab('chat');
+        this.messageInput.focus();
+    }
+
+    // Switch to another session and restore its transcript
+    switchSession(sessionId) {
+        // Drop the thinking stream of the previous session; the bubble being read is re-rendered
+        this.closeThinkingStream();
+        this.speechReader.stop();
+        this.currentThinkingElement = null;
+
+        this.sessionId = sessionId;
+        this.sessionStore.setActiveSessionId(sessionId);
+
+        // Clear rendered messages but keep the welcome block (it hosts the avatar canvas)
+        Array.from(this.messagesContainer.children).forEach(child => {
+            if (child !== this.welcomeMessage) {
+                child.remove();
+            }
+        });
+
+        const transcript = this.sessionStore.getTranscript(sessionId);
+        if (transcript.length > 0) {
+            this.renderTranscript(transcript);
+        } else {
+            this.showWelcomeMessage();
+            this.loadServerHistory(sessionId);
+        }
+
+        this.updateSessionDisplay();
+        this.renderSessionList();
+        this.updateAvatarWidget();
+        this.updateAvatar();
+    }
+
+    // Render stored messages without persisting them again
+    renderTranscript(transcript) {
+        transcript.forEach((message, index) => {
+            this.addMessage(message.role, message.content, message.metadata, {
+                persist: false,
+                index,
+                timestamp: message.timestamp,
+                thinking: message.thinking,
+                latencyMs: message.latencyMs,
+                outboxId: message.outboxId
+            });
+        });
+    }
+
+    // Restore transcript from the server-side history of the session
+    async loadServerHistory(sessionId) {
+        try {
+            const response = await fetch(`/api/chat/${encodeURIComponent(sessionId)}/history`);
+            if (!response.ok) return;
+
+            const data = await response.json();
+            if (!data.messages || data.messages.length === 0) return;
+
+            // Session may have changed or received messages while the request was in flight
+            if (sessionId !== this.sessionId || this.sessionStore.getTranscript(sessionId).length > 0) return;
+
+            const transcript = data.messages.map(message => ({
+                role: message.role,
+                content: message.content,
+                metadata: null,
+                timestamp: new Date(message.createdAt).getTime() || Date.now()
+            }));
+            this.sessionStore.setTranscript(sessionId, transcript);
+            this.renderTranscript(transcript);
+            this.renderSessionList();
+        } catch (error) {
+            console.warn('Failed to load server history:', error);
+        }
+    }
+
+    // Show welcome block for empty sessions
+    showWelcomeMessage() {
+        if (this.welcomeMessage && !this.welcomeMessage.isConnected) {
+            this.messagesContainer.appendChild(this.welcomeMessage);
+            this.updateAvatarWidget();
+        }
+    }
+
+    // Render sessions sidebar
+    renderSessionList() {
+        if (!this.sessionsList) return;
+
+        this.sessionsList.innerHTML = '';
+        const sessions = this.sessionStore.listSessions();
+
+        if (sessions.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'sessions-empty';
+            empty.textContent = i18n.t('sessions.empty');
+            this.sessionsList.appendChild(empty);
+            return;
+        }
+
+        sessions.forEach(session => {
+            const item = document.createElement('div');
+            item.className = 'session-item';
+            item.classList.toggle('active', session.id === this.sessionId);
+            item.classList.toggle('pinned', session.pinned);
+            item.dataset.sessionId = session.id;
+
+            const main = document.createElement('div');
+            main.className = 'session-item-main';
+
+            const title = document.createElement('div');
+            title.className = 'session-item-title';
+            title.textContent = `${session.pinned ? '📌 ' : ''}${session.title || i18n.t('sessions.newTitle')}`;
+            title.title = session.title || session.id;
+
+            const meta = document.createElement('div');
+            meta.className = 'session-item-meta';
+            meta.textContent = `${this.formatSessionTime(session.updatedAt)} • ` +
+                i18n.t('sessions.messages', { count: session.messageCount });
+
+            main.appendChild(title);
+            main.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'session-item-actions';
+            [
+                ['pin', i18n.t(session.pinned ? 'sessions.unpin' : 'sessions.pin'), '📌'],
+                ['rename', i18n.t('sessions.rename'), '✏️'],
+                ['delete', i18n.t('sessions.delete'), '🗑️']
+            ].forEach(([action, label, icon]) => {
+                const button = document.createElement('button');
+                button.className = 'session-action';
+                button.dataset.action = action;
+                button.title = label;
+                button.textContent = icon;
+                actions.appendChild(button);
+            });
+
+            item.appendChild(main);
+            item.appendChild(actions);
+            this.sessionsList.appendChild(item);
+        });
+    }
+
+    // Handle clicks inside the sessions sidebar
+    handleSessionListClick(e) {
+        const item = e.target.closest('.session-item');
+        if (!item) return;
+
+        const sessionId = item.dataset.sessionId;
+        const actionButton = e.target.closest('.session-action');
+
+        if (!actionButton) {
+            if (sessionId !== this.sessionId && !item.querySelector('.session-rename-input')) {
+                this.switchSession(sessionId);
+            }
+            return;
+        }
+
+        switch (actionButton.dataset.action) {
+            case 'pin':
+                this.sessionStore.togglePin(sessionId);
+                this.renderSessionList();
+                break;
+            case 'rename':
+                this.beginSessionRename(item, sessionId);
+                break;
+            case 'delete':
+                this.deleteSession(sessionId);
+                break;
+        }
+    }
+
+    // Inline rename of a session title
+    beginSessionRename(item, sessionId) {
+        const title = item.querySelector('.session-item-title');
+        const session = this.sessionStore.getSession(sessionId);
+        if (!title || !session) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'session-rename-input';
+        input.value = session.title;
+        title.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (save) {
+                this.sessionStore.renameSession(sessionId, input.value);
+            }
+            this.renderSessionList();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    // Delete session with confirmation
+    deleteSession(sessionId) {
+        const session = this.sessionStore.getSession(sessionId);
+        const title = session && session.title ? `«${session.title}»` : sessionId;
+        if (!confirm(i18n.t('sessions.confirmDelete', { title }))) return;
+
+        this.forgetAttachments(this.sessionStore.getTranscript(sessionId));
+        this.outbox.removeSession(sessionId);
+        this.sessionStore.deleteSession(sessionId);
+        if (sessionId === this.sessionId) {
+            this.switchSession(this.generateSessionId());
+        } else {
+            this.renderSessionList();
+        }
+    }
+
+    // Format last activity time for the sidebar
+    formatSessionTime(timestamp) {
+        const date = new Date(timestamp);
+        const isToday = date.toDateString() === new Date().toDateString();
+        return isToday
+            ? i18n.formatTime(date, { second: undefined })
+            : i18n.formatDate(date);
+    }
+
+    // Fill the header language switcher
+    initLocaleSelect() {
+        if (!this.localeSelect) return;
+
+        i18n.getLocales().forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = locale.toUpperCase();
+            option.title = I18n.localeNames[locale] || locale;
+            this.localeSelect.appendChild(option);
+        });
+        this.localeSelect.value = i18n.locale;
+        this.localeSelect.addEventListener('change', () => i18n.setLocale(this.localeSelect.value));
+    }
+
+    // Options are labelled in code, so they are rebuilt on locale change
+    renderThemeSelect() {
+        this.themeSelect.innerHTML = '';
+        ThemeManager.choices.forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice;
+            option.textContent = i18n.t(`theme.${choice}`);
+            this.themeSelect.appendChild(option);
+        });
+        this.themeSelect.value = this.themeManager.getChoice();
+    }
+
+    // Hidden when the browser has no speechSynthesis
+    renderSpeechControls() {
+        this.speechControls.hidden = !this.speechReader.isSupported();
+        if (this.speechControls.hidden) return;
+
+        this.speechAutoRead.checked = this.speechReader.isAutoRead();
+
+        this.speechVoiceSelect.innerHTML = '';
+        const defaultVoice = document.createElement('option');
+        defaultVoice.value = '';
+        defaultVoice.textContent = i18n.t('speech.defaultVoice');
+        this.speechVoiceSelect.appendChild(defaultVoice);
+        this.speechReader.getVoices().forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice.voiceURI;
+            option.textContent = `${voice.name} (${voice.lang})`;
+            this.speechVoiceSelect.appendChild(option);
+        });
+        this.speechVoiceSelect.value = this.speechReader.getVoiceChoice();
+        if (this.speechVoiceSelect.selectedIndex === -1) {
+            this.speechVoiceSelect.value = ''; // stored voice is not installed here
+        }
+
+        this.speechRateSelect.innerHTML = '';
+        SpeechReader.rates.forEach(rate => {
+            const option = document.createElement('option');
+            option.value = String(rate);
+            option.textContent = i18n.t('speech.rateValue', { rate: i18n.formatNumber(rate) });
+            this.speechRateSelect.appendChild(option);
+        });
+        this.speechRateSelect.value = String(this.speechReader.getRate());
+    }
+
+    // Re-render strings built in code (markup is already translated by i18n)
+    applyLocale() {
+        this.localeSelect.value = i18n.locale;
+        this.renderThemeSelect();
+        this.renderSpeechControls();
+        this.markdown.copyLabel = i18n.t('markdown.copy');
+        this.markdown.copiedLabel = i18n.t('markdown.copied');
+
+        this.updateStatusIndicator();
+        this.updateStreamIndicator();
+        this.renderSessionList();
+        this.updateLogsPauseButton();
+        this.logViewer.render();
+        this.updateKnowledgeStats(this.lastKnowledgeStatus || {});
+        if (this.aiAvatar) {
+            this.aiAvatar.renderLabel();
+        }
+        if (this.currentTab === 'knowledge') {
+            this.knowledgeDashboard.load();
+        } else if (this.currentTab === 'analytics') {
+            this.analyticsDashboard.render();
+        } else if (this.currentTab === 'system') {
+            this.systemDashboard.show();
+        }
+        if (this.shortcutCheatSheet.dialog.open) {
+            this.shortcutCheatSheet.render();
+        }
+
+        // Rebuild the transcript unless an answer is streaming into it
+        if (!this.activeRequest) {
+            this.switchSession(this.sessionId);
+        }
+    }
+
     // Auto-resize textarea
     autoResizeTextarea() {
         this.messageInput.style.height = 'auto';
@@ -139,155 +767,197 @@ class VtoroyApp {
     // Update send button state
     updateSendButton() {
         const hasText = this.messageInput.value.trim().length > 0;
-        this.sendButton.disabled = !hasText || this.isLoading || !this.isOnline;
+        this.sendButton.disabled = !hasText || this.activeRequest !== null;
+        this.sendButton.title = this.isOnline ? '' : i18n.t('chat.queueHint');
+        this.sendButton.parentElement.classList.toggle('busy', this.activeRequest !== null);
     }
 
-    // Check system status
-    async checkStatus() {
-        try {
-            const response = await fetch('/actuator/health');
-            const data = await response.json();
-            
-            this.isOnline = data.status === 'UP';
-            this.updateStatusIndicator();
-            
-            // Check knowledge base status
-            this.checkKnowledgeStatus();
-            
-        } catch (error) {
-            console.error('Health check failed:', error);
-            this.isOnline = false;
-            this.updateStatusIndicator();
+    // Called by HealthMonitor after every check (its schedule adapts to the backend state)
+    handleHealthCheck(snapshot) {
+        const wasOnline = this.isOnline;
+        this.isOnline = snapshot.status === 'UP';
+        this.updateStatusIndicator();
+        this.updateAvatar();
+        
+        // Backend is back: resubscribe instead of waiting for the next backoff step
+        if (this.isOnline && !wasOnline) {
+            this.resubscribeStreams();
+        }
+        
+        // Deliver messages written while offline
+        if (this.isOnline) {
+            this.flushOutbox();
         }
         
-        // Re-check every 30 seconds
-        setTimeout(() => this.checkStatus(), 30000);
+        // Check knowledge base status; the dashboard is reloaded only when the backend state changes
+        const stateChanged = snapshot.state !== this.lastHealthState;
+        this.lastHealthState = snapshot.state;
+        if (snapshot.state !== 'offline') {
+            this.checkKnowledgeStatus({ reloadDashboard: stateChanged });
+        }
+        
+        if (this.currentTab === 'system') {
+            this.systemDashboard.refresh(snapshot);
+        }
     }
 
-    // Update status indicator
+    // Update status indicator: online, degraded (reachable but not healthy) or offline
     updateStatusIndicator() {
-        if (this.isOnline) {
-            this.statusDot.classList.add('online');
-            this.statusDot.classList.remove('offline');
-            this.statusText.textContent = 'Онлайн';
-        } else {
-            this.statusDot.classList.add('offline');
-            this.statusDot.classList.remove('online');
-            this.statusText.textContent = 'Оффлайн';
-        }
+        const snapshot = this.healthMonitor.getSnapshot();
+        const state = snapshot.state;
+        
+        ['online', 'degraded', 'offline'].forEach(name => this.statusDot.classList.toggle(name, name === state));
+        this.statusText.textContent = i18n.t(`status.${state}`);
+        
+        const unhealthy = snapshot.components.filter(component => component.status !== 'UP');
+        this.statusText.parentElement.title = state === 'degraded' && unhealthy.length > 0
+            ? i18n.t('status.unhealthy', { components: unhealthy.map(component => `${component.name}: ${component.status}`).join(', ') })
+            : '';
         
         this.updateSendButton();
     }
 
+    // Reconnect every stream that is not open right now
+    resubscribeStreams() {
+        [this.logsStream, this.thinkingStream]
+            .filter(Boolean)
+            .forEach(stream => stream.reconnectNow());
+    }
+    
+    // Header indicator shows the worst state among active streams
+    updateStreamIndicator() {
+        if (!this.streamIndicator) return;
+        
+        const streams = [this.logsStream, this.thinkingStream].filter(stream => stream && stream.state !== 'closed');
+        const priority = ['reconnecting', 'polling', 'connecting', 'open'];
+        
+        const state = priority.find(candidate => streams.some(stream => stream.state === candidate)) || 'idle';
+        this.streamIndicator.className = `stream-indicator ${state}`;
+        this.streamIndicator.title = streams.map(stream => `${stream.name}: ${stream.state}`).join('\n') || i18n.t('stream.idle');
+        this.streamIndicatorText.textContent = i18n.t(`stream.${state}`);
+    }
+    
     // Check knowledge base status
-    async checkKnowledgeStatus() {
+    async checkKnowledgeStatus({ reloadDashboard = true } = {}) {
         try {
             const response = await fetch('/api/knowledge/status');
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || `HTTP ${response.status}`);
+            }
             const data = await response.json();
             
+            this.lastKnowledgeStatus = data;
             this.updateKnowledgeStats(data);
+            
+            if (reloadDashboard && this.currentTab === 'knowledge') {
+                this.knowledgeDashboard.load();
+            }
         } catch (error) {
             console.error('Knowledge status check failed:', error);
         }
     }
 
-    // Update knowledge statistics
+    // Update knowledge statistics (aggregated over all sources of /api/knowledge/status)
     updateKnowledgeStats(data) {
+        const statuses = Object.values(data.sources || {});
+        const totalFiles = statuses.reduce((sum, status) => sum + (status.itemCount || 0), 0);
+        const totalVectors = statuses.reduce((sum, status) => sum + (status.indexedCount || 0), 0);
+        const lastSyncTimes = statuses.map(status => status.lastSync).filter(Boolean);
+        const lastSyncTime = lastSyncTimes.length > 0 ? Math.max(...lastSyncTimes) : null;
+        
         const documentsCount = document.getElementById('documents-count');
         const lastSync = document.getElementById('last-sync');
         
         if (documentsCount) {
-            documentsCount.textContent = data.totalFiles || '0';
+            documentsCount.textContent = totalFiles;
         }
         
         if (lastSync) {
-            const syncTime = data.lastSync ? new Date(data.lastSync).toLocaleString('ru') : 'Никогда';
+            const syncTime = lastSyncTime ? i18n.formatDateTime(lastSyncTime) : i18n.t('knowledge.never');
             lastSync.textContent = syncTime;
         }
         
         // Update large panel
+        const sourcesCountLarge = document.getElementById('sources-count-large');
         const documentsCountLarge = document.getElementById('documents-count-large');
         const lastSyncLarge = document.getElementById('last-sync-large');
         const vectorsCount = document.getElementById('vectors-count');
         
+        if (sourcesCountLarge) {
+            sourcesCountLarge.textContent = data.totalSources || 0;
+        }
+        
         if (documentsCountLarge) {
-            documentsCountLarge.textContent = data.totalFiles || '0';
+            documentsCountLarge.textContent = totalFiles;
         }
         
         if (lastSyncLarge) {
-            const syncTime = data.lastSync ? 
-                new Date(data.lastSync).toLocaleDateString('ru') : 'Никогда';
+            const syncTime = lastSyncTime ? 
+                i18n.formatDate(lastSyncTime) : i18n.t('knowledge.never');
             lastSyncLarge.textContent = syncTime;
         }
         
         if (vectorsCount) {
-            vectorsCount.textContent = data.totalFiles || '0';
+            vectorsCount.textContent = totalVectors;
         }
     }
 
     // Connect to thinking stream for real-time thoughts
     connectThinkingStream() {
-        if (this.thinkingEventSource) {
-            this.thinkingEventSource.close();
+        this.closeThinkingStream();
+        
+        this.thinkingStream = new StreamClient(`/api/thinking/stream/${this.sessionId}`, {
+            name: 'thinking',
+            events: {
+                message: (data) => this.handleThinkingEvent(data)
+            },
+            onStateChange: () => this.updateStreamIndicator()
+        });
+        this.thinkingStream.connect();
+    }
+    
+    // Close thinking stream (the server completes it after 'complete' anyway)
+    closeThinkingStream() {
+        if (this.thinkingStream) {
+            this.thinkingStream.close();
+            this.thinkingStream = null;
+            this.updateStreamIndicator();
         }
-        
-        console.log('Connecting to thinking stream for session:', this.sessionId);
-        
-        this.thinkingEventSource = new EventSource(`/api/thinking/stream/${this.sessionId}`);
-        
-        this.thinkingEventSource.onopen = () => {
-            console.log('Connected to thinking stream');
-        };
-        
-        this.thinkingEventSource.onmessage = (event) => {
-            try {
-                const data = JSON.parse(event.data);
-                this.handleThinkingEvent(data);
-            } catch (e) {
-                console.error('Error parsing thinking event:', e);
-            }
-        };
-        
-        this.thinkingEventSource.onerror = (error) => {
-            console.error('Thinking stream error:', error);
-        };
     }
     
     // Handle thinking events from SSE
     handleThinkingEvent(data) {
-        console.log('Thinking event:', data);
-        
-        if (data.type === 'connected') {
-            console.log('Connected to Vtoroy thinking stream');
+        if (data.type === 'connected' || !this.thinkingTimeline) {
             return;
         }
         
         if (data.type === 'complete') {
-            this.finishThinking();
+            this.thinkingTimeline.finish('complete', data.timestamp);
+            this.closeThinkingStream();
             return;
         }
         
-        // Show thinking message in real-time
-        this.addThinkingStep(data.message, data.type);
+        if (this.activeRequest && this.activeRequest.sessionId === this.sessionId) {
+            this.activeRequest.avatarMode = AIAvatar.modeForEvent(data.type);
+            this.updateAvatar();
+        }
+        
+        // Show thinking step in real-time
+        this.addThinkingStep(data);
     }
     
-    // Add thinking step to chat
-    addThinkingStep(message, type) {
+    // Add thinking step to the live timeline
+    addThinkingStep(data) {
         if (!this.currentThinkingElement) {
             this.createThinkingElement();
         }
         
-        const stepElement = document.createElement('div');
-        stepElement.className = `thinking-step thinking-${type}`;
-        stepElement.textContent = message;
-        
-        const stepsContainer = this.currentThinkingElement.querySelector('.thinking-steps');
-        stepsContainer.appendChild(stepElement);
-        
+        this.thinkingTimeline.addStep(data);
         this.scrollToBottom();
     }
     
-    // Create thinking container
+    // Create live thinking bubble hosting the timeline
     createThinkingElement() {
         const messageElement = document.createElement('div');
         messageElement.className = 'message assistant thinking-message';
@@ -298,12 +968,7 @@ class VtoroyApp {
         
         const messageContent = document.createElement('div');
         messageContent.className = 'message-content';
-        messageContent.innerHTML = `
-            <div class="thinking-header">
-                <span class="thinking-title">🧠 Второй думает...</span>
-            </div>
-            <div class="thinking-steps"></div>
-        `;
+        messageContent.appendChild(this.thinkingTimeline.element);
         
         messageElement.appendChild(avatar);
         messageElement.appendChild(messageContent);
@@ -314,91 +979,544 @@ class VtoroyApp {
         this.scrollToBottom();
     }
     
-    // Finish thinking and prepare for response
-    finishThinking() {
-        if (this.currentThinkingElement) {
-            const header = this.currentThinkingElement.querySelector('.thinking-title');
-            if (header) {
-                header.textContent = '✅ Готов ответить';
+    // Show the answer generated so far in the live bubble, under the thinking steps (one render per frame)
+    renderStreamingAnswer(timeline, answer) {
+        if (timeline !== this.thinkingTimeline) return; // the user switched to another session
+
+        if (!this.currentThinkingElement) {
+            this.createThinkingElement();
+        }
+        if (this.activeRequest && this.activeRequest.avatarMode !== 'speaking') {
+            this.activeRequest.avatarMode = 'speaking';
+            this.updateAvatar();
+        }
+
+        this.streamingAnswer = answer;
+        if (this.streamingFrame) return;
+        this.streamingFrame = requestAnimationFrame(() => {
+            this.streamingFrame = null;
+            if (!this.currentThinkingElement || timeline !== this.thinkingTimeline) return;
+
+            const messageContent = this.currentThinkingElement.querySelector('.message-content');
+            let messageText = messageContent.querySelector('.message-text');
+            if (!messageText) {
+                messageText = document.createElement('div');
+                messageText.className = 'message-text streaming';
+                messageContent.appendChild(messageText);
+            }
+            this.markdown.renderInto(messageText, this.streamingAnswer);
+            this.scrollToBottom();
+        });
+    }
+    
+    // Stop the timeline and take it out of the live bubble
+    detachThinkingTimeline(timeline, status) {
+        timeline.finish(status);
+        
+        if (timeline === this.thinkingTimeline) {
+            if (this.currentThinkingElement) {
+                this.currentThinkingElement.remove();
             }
+            this.currentThinkingElement = null;
+            this.thinkingTimeline = null;
         }
+        
+        return timeline.isEmpty() ? null : timeline.toJSON();
     }
 
-    // Send message to Vtoroy
+    // Send message to Vtoroy (or queue it while the backend is offline)
     async sendMessage() {
         const message = this.messageInput.value.trim();
-        if (!message || this.isLoading || !this.isOnline) return;
+        if (!message) return;
+        
+        // Slash commands run in the UI and never reach the agent
+        if (this.slashCommands.parse(message)) {
+            this.messageInput.value = '';
+            this.autoResizeTextarea();
+            this.updateSendButton();
+            this.slashPopup.close();
+            await this.runSlashCommand(message);
+            return;
+        }
+        
+        if (this.activeRequest) return;
+        
+        const references = this.composerReferences.getReferences();
+        const attachments = this.composerAttachments.getAttachments();
 
         // Clear input
         this.messageInput.value = '';
+        this.composerReferences.clear();
+        this.composerAttachments.clear();
         this.autoResizeTextarea();
-        this.updateSendButton();
 
-        // Add user message to chat
-        this.addMessage('user', message);
+        await this.submitMessage(message, references, attachments);
+    }
 
-        // Connect to thinking stream for real-time updates
-        this.connectThinkingStream();
+    // Add the user message and ask for an answer (used by the input, retry and edit)
+    async submitMessage(message, references = [], attachments = []) {
+        if (this.activeRequest) return;
+        
+        const sessionId = this.sessionId;
+        // File contents go to the agent only; the transcript keeps their names and sizes
+        const metadata = attachments.length > 0 ? { attachments: attachments.map(attachment => attachment.name) } : null;
+        const storedAttachments = this.keepAttachments(attachments);
 
-        // Set avatar to thinking mode
-        if (this.aiAvatar) {
-            this.aiAvatar.setMode('thinking');
+        // Keep order: while offline or while the outbox drains, new messages queue behind (failed ones wait for the user)
+        if (!this.isOnline || this.outbox.pending().length > 0) {
+            const item = this.outbox.enqueue(sessionId, message, references, storedAttachments);
+            if (!item) {
+                // Storage is full: a queued message would be lost on reload, so it goes back to the input
+                this.restoreInput(sessionId, message, references, attachments);
+                this.addMessage('assistant', i18n.t('outbox.storageFull'), { error: true }, { persist: false });
+                return;
+            }
+            this.addMessage('user', message, metadata, { outboxId: item.id, references, attachments: storedAttachments });
+            this.updateSendButton();
+            if (this.isOnline) {
+                this.flushOutbox();
+            }
+            return;
         }
 
-        // Real-time thinking display instead of loader
+        // Add user message to chat; references and files are kept for retry and edit
+        this.addMessage('user', message, metadata, { references, attachments: storedAttachments });
+        await this.requestAnswer(sessionId, message, references, attachments);
+    }
 
-        try {
-            const response = await fetch('/api/chat', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    query: message,
-                    sessionId: this.sessionId
-                })
-            });
+    // Contents stay in memory for retry and edit, storage gets { id, name, size }
+    keepAttachments(attachments) {
+        return attachments.map(attachment => {
+            const id = `file-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            this.attachmentFiles.set(id, attachment);
+            return { id, name: attachment.name, size: new Blob([attachment.content]).size };
+        });
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+    // Files of a stored message, null when their contents are gone (the page was reloaded)
+    recallAttachments(storedAttachments = []) {
+        const attachments = storedAttachments.map(stored => this.attachmentFiles.get(stored.id));
+        return attachments.every(Boolean) ? attachments : null;
+    }
 
-            const data = await response.json();
-            
-            // Set avatar to speaking mode
-            if (this.aiAvatar) {
-                this.aiAvatar.setMode('speaking');
+    forgetAttachments(transcript) {
+        transcript.forEach(message => (message.attachments || []).forEach(stored => this.attachmentFiles.delete(stored.id)));
+    }
+
+    // Resend with the original files, or give the question back when they have to be attached again
+    resubmitMessage(message, references = [], storedAttachments = []) {
+        const attachments = this.recallAttachments(storedAttachments);
+        if (attachments) {
+            this.submitMessage(message, references, attachments);
+            return;
+        }
+        this.returnForReattach(this.sessionId, message, references, storedAttachments);
+    }
+
+    returnForReattach(sessionId, message, references, storedAttachments) {
+        this.restoreInput(sessionId, message, references);
+        if (sessionId === this.sessionId) {
+            this.addMessage('assistant', i18n.t('chat.attachmentsLost', {
+                names: storedAttachments.map(stored => stored.name).join(', ')
+            }), { error: true }, { persist: false });
+        }
+    }
+
+    // POST the question and render the answer; resolves to 'sent', 'cancelled' (stopped by the user),
+    // 'failed' (network or server error, worth retrying) or 'rejected' (the server refused the request)
+    async requestAnswer(sessionId, message, references = [], attachments = []) {
+        const controller = new AbortController();
+        this.activeRequest = { controller, sessionId, message, avatarMode: 'thinking' };
+        this.updateSendButton();
+        this.updateAvatar();
+
+        // Connect to thinking stream for real-time updates (replayed messages may belong to another session)
+        const timeline = new ThinkingTimeline();
+        if (sessionId === this.sessionId) {
+            this.thinkingTimeline = timeline;
+            this.connectThinkingStream();
+        }
+
+        // Round-trip time of the request, kept with the answer for the analytics tab
+        const startedAt = performance.now();
+        const elapsed = () => Math.round(performance.now() - startedAt);
+
+        try {
+            const request = {
+                query: message,
+                sessionId: sessionId,
+                references,
+                attachments
+            };
+
+            // The answer appears as it is generated; null means the backend can't stream
+            let data = null;
+            if (this.chatStream.isAvailable()) {
+                data = await this.chatStream.send(request, {
+                    signal: controller.signal,
+                    onDelta: (answer) => this.renderStreamingAnswer(timeline, answer)
+                });
+            }
+
+            if (!data) {
+                const response = await fetch('/api/chat', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify(request),
+                    signal: controller.signal
+                });
+
+                if (!response.ok) {
+                    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    error.status = response.status;
+                    throw error;
+                }
+
+                data = await response.json();
+            }
+            
+            // Add assistant response to chat, the thinking timeline collapses into it
+            const thinking = this.detachThinkingTimeline(timeline, 'complete');
+            const messageElement = this.addSessionMessage(sessionId, 'assistant', data.response, data.metadata, { thinking, latencyMs: elapsed() });
+            
+            // Read it aloud (the avatar talks in time with the voice) or just show the avatar answering
+            if (!messageElement || !this.speechReader.isAutoRead() || !this.speechReader.speak(messageElement, data.response)) {
+                if (this.aiAvatar) {
+                    this.aiAvatar.flash('speaking', 2000);
+                }
             }
             
-            // Add assistant response to chat
-            this.addMessage('assistant', data.response, data.metadata);
+            // The agent may have created notes with new tags
+            this.composerReferences.invalidateTags();
+            return 'sent';
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                // Stopped by the user: keep partial thinking, give the question back
+                const thinking = this.detachThinkingTimeline(timeline, 'cancelled');
+                this.addSessionMessage(sessionId, 'assistant', i18n.t('chat.cancelled'), { cancelled: true }, { thinking });
+                this.restoreInput(sessionId, message, references, attachments);
+                return 'cancelled';
+            }
             console.error('Send message failed:', error);
-            this.addMessage('assistant', `Извините, произошла ошибка: ${error.message}`, { error: true });
+            this.healthMonitor.checkNow(); // the backend may be down: don't wait for the next poll
+            if (this.aiAvatar) {
+                this.aiAvatar.flash('error', 4000);
+            }
+            const thinking = this.detachThinkingTimeline(timeline, 'error');
+            this.addSessionMessage(sessionId, 'assistant', i18n.t('chat.error', { message: error.message }), { error: true }, { thinking, latencyMs: elapsed() });
+            return error.status >= 400 && error.status < 500 ? 'rejected' : 'failed';
         } finally {
             // Loader management removed - using real-time thinking display instead
+            this.activeRequest = null;
+            this.updateSendButton();
             
-            // Close thinking stream and reset
-            if (this.thinkingEventSource) {
-                this.thinkingEventSource.close();
-                this.thinkingEventSource = null;
+            // Close thinking stream and reset (unless the user already switched sessions)
+            if (sessionId === this.sessionId) {
+                this.closeThinkingStream();
+                this.currentThinkingElement = null;
             }
-            this.currentThinkingElement = null;
             
-            // Reset avatar to idle mode
-            if (this.aiAvatar) {
-                this.aiAvatar.setMode('idle');
+            this.updateAvatar();
+        }
+    }
+
+    // Replay queued messages one by one, in the order they were written.
+    // A network or server error stops the replay until the next health check (up to Outbox.maxAttempts);
+    // after that, or when the server rejects it, the message is set aside for the user to resend or discard
+    async flushOutbox() {
+        if (this.flushingOutbox) return;
+        this.flushingOutbox = true;
+
+        try {
+            let item;
+            while (this.isOnline && (item = this.outbox.pending()[0])) {
+                // File contents are not stored: after a reload the question goes back to the input
+                const attachments = this.recallAttachments(item.attachments || []);
+                if (!attachments) {
+                    this.outbox.remove(item.id);
+                    this.updateOutboxStatus(item.id, 'cancelled');
+                    this.returnForReattach(item.sessionId, item.message, item.references || [], item.attachments);
+                    continue;
+                }
+
+                this.outbox.setStatus(item.id, 'sending');
+                this.updateOutboxStatus(item.id, 'sending');
+
+                const result = await this.requestAnswer(item.sessionId, item.message, item.references || [], attachments);
+                if (result === 'failed' || result === 'rejected') {
+                    const status = this.outbox.recordFailure(item.id, result === 'failed');
+                    this.updateOutboxStatus(item.id, status);
+                    if (status === 'queued') break;
+                    continue;
+                }
+                this.updateOutboxStatus(item.id, result);
+                this.outbox.remove(item.id);
             }
+        } finally {
+            this.flushingOutbox = false;
+            this.updateSendButton();
+        }
+    }
+
+    // Status badge under a queued user message
+    createOutboxStatus(outboxId, status) {
+        const badge = document.createElement('div');
+        badge.className = 'outbox-status';
+        badge.dataset.outboxId = outboxId;
+        this.setOutboxBadge(badge, status);
+        return badge;
+    }
+
+    // Failed messages are not retried on their own: the badge offers to resend or discard them
+    setOutboxBadge(badge, status) {
+        badge.innerHTML = '';
+        badge.dataset.status = status;
+
+        const label = document.createElement('span');
+        label.textContent = i18n.t(`outbox.${status}`);
+        badge.appendChild(label);
+
+        if (status !== 'failed') return;
+        [
+            ['resend', () => this.resendOutboxItem(badge.dataset.outboxId)],
+            ['discard', () => this.discardOutboxItem(badge.dataset.outboxId)]
+        ].forEach(([name, run]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'outbox-action';
+            button.textContent = i18n.t(`outbox.${name}`);
+            button.addEventListener('click', run);
+            badge.appendChild(button);
+        });
+    }
+
+    resendOutboxItem(outboxId) {
+        this.outbox.retry(outboxId);
+        this.updateOutboxStatus(outboxId, 'queued');
+        if (this.isOnline) {
+            this.flushOutbox();
         }
     }
 
+    discardOutboxItem(outboxId) {
+        this.outbox.remove(outboxId);
+        this.updateOutboxStatus(outboxId, 'discarded');
+    }
+
+    updateOutboxStatus(outboxId, status) {
+        const badge = this.messagesContainer.querySelector(`.outbox-status[data-outbox-id="${outboxId}"]`);
+        if (badge) {
+            this.setOutboxBadge(badge, status);
+        }
+    }
+
+    // Every UI action: reachable from the command palette, optionally bound to keys
+    registerActions() {
+        const action = (id, keys, run, when) => this.shortcuts.register({
+            id,
+            keys,
+            title: () => i18n.t(`actions.${id}`),
+            run,
+            ...(when ? { when } : {})
+        });
+
+        action('palette', 'Ctrl+Shift+P', () => this.commandPalette.open());
+        action('shortcuts', '?', () => this.shortcutCheatSheet.open());
+        action('cancel', 'Escape', () => this.handleEscape());
+        action('tabChat', 'Alt+1', () => this.switchTab('chat'));
+        action('tabKnowledge', 'Alt+2', () => this.switchTab('knowledge'));
+        action('tabLogs', 'Alt+3', () => this.switchTab('logs'));
+        action('tabAnalytics', 'Alt+4', () => this.switchTab('analytics'));
+        action('tabSystem', 'Alt+5', () => this.switchTab('system'));
+        action('knowledgePanel', 'Ctrl+K', () => this.showKnowledgePanel());
+        action('sync', '', () => this.syncKnowledge());
+        action('newSession', 'Alt+N', () => this.startNewSession());
+        action('nextSession', 'Alt+ArrowDown', () => this.switchSessionBy(1), () => !this.activeRequest);
+        action('previousSession', 'Alt+ArrowUp', () => this.switchSessionBy(-1), () => !this.activeRequest);
+        action('logsPause', '', () => this.toggleLogsPause());
+        action('logsClear', '', () => this.clearLogs());
+        action('logsExport', '', () => this.logExportDialog.open());
+        action('exportConversation', 'Ctrl+Shift+E', () => this.conversationExportDialog.open());
+        action('toggleTheme', 'Alt+T', () => this.themeManager.cycle());
+        action('themeSystem', '', () => this.themeManager.setChoice('system'));
+        action('themeDark', '', () => this.themeManager.setChoice('dark'));
+        action('themeLight', '', () => this.themeManager.setChoice('light'));
+        action('themeHighContrast', '', () => this.themeManager.setChoice('high-contrast'));
+        action('readAloud', '', () => this.readLastAnswer(), () => this.speechReader.isSupported());
+        action('autoRead', '', () => this.speechReader.setAutoRead(!this.speechReader.isAutoRead()), () => this.speechReader.isSupported());
+    }
+
+    // Escape stops the running request or reading aloud, otherwise closes note viewer and knowledge panel
+    handleEscape() {
+        if (this.cancelRequest()) return;
+        if (this.speechReader.isSpeaking()) {
+            this.speechReader.stop();
+            return;
+        }
+        this.noteViewer.close();
+        this.knowledgePanel.classList.remove('show');
+    }
+
+    // Palette entries for jumping straight to a saved session
+    getSessionPaletteItems() {
+        if (this.activeRequest) return [];
+
+        return this.sessionStore.listSessions()
+            .filter(session => session.id !== this.sessionId)
+            .map(session => ({
+                title: session.title || i18n.t('sessions.newTitle'),
+                hint: i18n.t('palette.session'),
+                run: () => this.switchSession(session.id)
+            }));
+    }
+
+    // Move through the sidebar order (pinned first, then most recent)
+    switchSessionBy(offset) {
+        const sessions = this.sessionStore.listSessions();
+        if (sessions.length === 0) return;
+
+        const index = sessions.findIndex(session => session.id === this.sessionId);
+        const next = sessions[(index + offset + sessions.length) % sessions.length];
+        if (next && next.id !== this.sessionId) {
+            this.switchSession(next.id);
+        }
+    }
+
+    // Canvas drawings don't follow CSS variables by themselves
+    applyTheme() {
+        if (this.aiAvatar) {
+            this.aiAvatar.updateColors();
+        }
+        if (this.currentTab === 'analytics') {
+            this.analyticsDashboard.drawCharts();
+        } else if (this.currentTab === 'system') {
+            this.systemDashboard.drawCharts(this.healthMonitor.getSnapshot());
+        }
+    }
+
+    // Built-in commands; agent capabilities can add more via this.slashCommands.register()
+    registerSlashCommands() {
+        const requireArgs = (args, usage) => {
+            if (!args) throw new Error(i18n.t('slash.usage', { usage }));
+            return args;
+        };
+        const startsWith = (values, partial) => values.filter(value => value.startsWith(partial.toLowerCase()));
+
+        this.slashCommands.register({
+            name: 'search',
+            args: '<query>',
+            description: () => i18n.t('slash.search'),
+            run: (args) => {
+                this.switchTab('knowledge');
+                this.knowledgeSearch.search(requireArgs(args, '/search <query>'));
+            }
+        });
+
+        this.slashCommands.register({
+            name: 'sync',
+            args: '[source]',
+            description: () => i18n.t('slash.sync'),
+            run: (args) => (args ? this.knowledgeDashboard.syncSource(args) : this.syncKnowledge()),
+            complete: (partial) => {
+                this.knowledgeSearch.loadSources();
+                const sources = Array.from(this.knowledgeSearch.sourceSelect.options)
+                    .map(option => option.value)
+                    .filter(value => value !== 'all');
+                return startsWith(sources, partial);
+            }
+        });
+
+        this.slashCommands.register({
+            name: 'note',
+            args: '<path>',
+            description: () => i18n.t('slash.note'),
+            run: (args) => this.noteViewer.open(requireArgs(args, '/note <path>'))
+        });
+
+        this.slashCommands.register({
+            name: 'new',
+            description: () => i18n.t('slash.new'),
+            run: () => this.startNewSession()
+        });
+
+        this.slashCommands.register({
+            name: 'logs',
+            args: '[level]',
+            description: () => i18n.t('slash.logs'),
+            run: (args) => {
+                this.switchTab('logs');
+                if (args && !this.logViewer.showLevelsFrom(args)) {
+                    throw new Error(i18n.t('slash.unknownLevel', { level: args }));
+                }
+            },
+            complete: (partial) => startsWith(['debug', 'info', 'warn', 'error'], partial)
+        });
+
+        this.slashCommands.register({
+            name: 'export',
+            description: () => i18n.t('slash.export'),
+            run: () => this.conversationExportDialog.open()
+        });
+    }
+
+    // Command errors are shown in the chat but not saved to the transcript
+    async runSlashCommand(text) {
+        try {
+            await this.slashCommands.execute(text);
+        } catch (error) {
+            const { command } = this.slashCommands.parse(text);
+            this.switchTab('chat');
+            this.addMessage('assistant', i18n.t('slash.error', { command: command.name, message: error.message }), { error: true }, { persist: false });
+        }
+    }
+
+    // Abort the in-flight request and ask the server to stop the agent
+    cancelRequest() {
+        const request = this.activeRequest;
+        if (!request || request.controller.signal.aborted) return false;
+
+        fetch(`/api/chat/${encodeURIComponent(request.sessionId)}/cancel`, { method: 'POST' })
+            .catch(error => console.warn('Failed to cancel request on server:', error));
+
+        request.controller.abort();
+        if (request.sessionId === this.sessionId) {
+            this.closeThinkingStream();
+        }
+        return true;
+    }
+
+    // Put the cancelled question back unless the user already typed something else
+    restoreInput(sessionId, message, references = [], attachments = []) {
+        if (sessionId !== this.sessionId || this.messageInput.value.trim()) return;
+
+        this.messageInput.value = message;
+        this.composerReferences.setReferences(references);
+        this.composerAttachments.setAttachments(attachments);
+        this.autoResizeTextarea();
+        this.messageInput.focus();
+    }
+
+    // Add message to the given session: render it if active, otherwise only store it (returns the bubble or null)
+    addSessionMessage(sessionId, role, content, metadata = null, options = {}) {
+        if (sessionId === this.sessionId) {
+            return this.addMessage(role, content, metadata, options);
+        }
+        this.sessionStore.appendMessage(sessionId, { role, content, metadata, thinking: options.thinking || null, latencyMs: options.latencyMs, timestamp: Date.now() });
+        this.renderSessionList();
+        return null;
+    }
+
     // Add message to chat
-    addMessage(role, content, metadata = null) {
-        // Remove welcome message if it exists
-        const welcomeMessage = this.messagesContainer.querySelector('.welcome-message');
-        if (welcomeMessage) {
-            welcomeMessage.remove();
+    addMessage(role, content, metadata = null, options = {}) {
+        const timestamp = options.timestamp || Date.now();
+        
+        // Remove welcome message if it is shown
+        if (this.welcomeMessage && this.welcomeMessage.isConnected) {
+            this.welcomeMessage.remove();
+            this.updateAvatarWidget();
         }
 
         const messageElement = document.createElement('div');
@@ -411,20 +1529,35 @@ class VtoroyApp {
         const messageContent = document.createElement('div');
         messageContent.className = 'message-content';
         
-        // Preserve formatting for long responses
-        const contentWithLineBreaks = content.replace(/\n/g, '<br>');
-        messageContent.innerHTML = contentWithLineBreaks;
+        // Collapsed thinking timeline that produced this answer
+        if (options.thinking) {
+            messageContent.appendChild(new ThinkingTimeline(options.thinking).element);
+        }
+        
+        // Render sanitized Markdown (HTML in content is never executed)
+        const messageText = document.createElement('div');
+        messageText.className = 'message-text';
+        this.markdown.renderInto(messageText, content);
+        messageContent.appendChild(messageText);
 
         const messageTime = document.createElement('div');
         messageTime.className = 'message-time';
-        messageTime.textContent = new Date().toLocaleTimeString('ru');
+        messageTime.textContent = i18n.formatTime(timestamp);
 
         messageContent.appendChild(messageTime);
 
-        // Add reasoning details if available
-        if (metadata && metadata.reasoning_details) {
-            const reasoningElement = this.createReasoningElement(metadata.reasoning_details);
-            messageContent.appendChild(reasoningElement);
+        // Delivery status of a message written while offline (delivered ones have no badge)
+        if (options.outboxId) {
+            const queued = this.outbox.get(options.outboxId);
+            if (queued) {
+                messageContent.appendChild(this.createOutboxStatus(options.outboxId, queued.status));
+            }
+        }
+
+        // ReAct trace: reasoning steps side by side with the execution steps they triggered
+        if (metadata && (metadata.reasoning_details || metadata.execution_details)) {
+            const trace = new TraceInspector(metadata.reasoning_details, metadata.execution_details, { markdown: this.markdown });
+            messageContent.appendChild(trace.element);
         }
 
         // Add metadata if available
@@ -433,167 +1566,246 @@ class VtoroyApp {
             metadataElement.className = 'message-metadata';
             
             const metadataText = [];
+            if (metadata.attachments && metadata.attachments.length > 0) {
+                metadataText.push(i18n.t('message.attachments', { names: metadata.attachments.join(', ') }));
+            }
             if (metadata.approach) {
-                metadataText.push(`Подход: ${metadata.approach}`);
+                metadataText.push(i18n.t('message.approach', { approach: metadata.approach }));
             }
             if (metadata.reasoning_steps) {
-                metadataText.push(`🧠 Reasoning: ${metadata.reasoning_steps} шагов`);
+                metadataText.push(i18n.t('message.reasoningSteps', { count: metadata.reasoning_steps }));
             }
             if (metadata.tools_used && metadata.tools_used.length > 0) {
-                metadataText.push(`🔧 Инструменты: ${metadata.tools_used.join(', ')}`);
+                metadataText.push(i18n.t('message.tools', { tools: metadata.tools_used.join(', ') }));
             }
             if (metadata.steps_count) {
-                metadataText.push(`🎯 Smart Conductor: ${metadata.steps_count} шагов`);
+                metadataText.push(i18n.t('message.conductorSteps', { count: metadata.steps_count }));
+            }
+            if (options.latencyMs) {
+                metadataText.push(i18n.t('message.latency', { latency: AnalyticsDashboard.formatLatency(options.latencyMs) }));
             }
             if (metadata.error) {
-                metadataText.push('⚠️ Ошибка');
-                messageContent.style.borderColor = 'var(--error)';
-                messageContent.style.backgroundColor = 'rgba(239, 68, 68, 0.1)';
+                metadataText.push(i18n.t('message.error'));
+                messageContent.classList.add('failed');
             }
             
             metadataElement.textContent = metadataText.join(' • ');
             messageContent.appendChild(metadataElement);
-            
-            // Show detailed execution steps for Smart Conductor
-            if (metadata.execution_details && metadata.execution_details.length > 0) {
-                const stepsElement = document.createElement('details');
-                stepsElement.className = 'reasoning-steps';
-                stepsElement.innerHTML = `
-                    <summary>🔍 Детали выполнения (${metadata.execution_details.length} шагов)</summary>
-                    <div class="steps-content">
-                        ${metadata.execution_details.map(step => `
-                            <div class="step-item">
-                                <div class="step-header">
-                                    <span class="step-number">Шаг ${step.step}</span>
-                                    <span class="step-type">${step.type}</span>
-                                </div>
-                                <div class="step-action">${step.action}</div>
-                                ${step.result ? `<div class="step-result">${step.result}...</div>` : ''}
-                            </div>
-                        `).join('')}
-                    </div>
-                `;
-                messageContent.appendChild(stepsElement);
-            }
         }
 
         messageElement.appendChild(avatar);
         messageElement.appendChild(messageContent);
+        messageElement.appendChild(this.createMessageActions(messageElement, role, content, messageText));
 
         this.messagesContainer.appendChild(messageElement);
         this.scrollToBottom();
+        
+        // Persist to the session transcript; the index links the bubble to its transcript entry
+        if (options.persist !== false) {
+            const session = this.sessionStore.appendMessage(this.sessionId, {
+                role, content, metadata,
+                thinking: options.thinking || null,
+                latencyMs: options.latencyMs,
+                outboxId: options.outboxId,
+                references: options.references && options.references.length > 0 ? options.references : undefined,
+                attachments: options.attachments && options.attachments.length > 0 ? options.attachments : undefined,
+                timestamp
+            });
+            // Not stored (storage is full): no retry, edit or branch for this message
+            if (session) {
+                messageElement.dataset.index = session.messageCount - 1;
+            }
+            this.renderSessionList();
+        } else if (options.index !== undefined) {
+            messageElement.dataset.index = options.index;
+        }
+        return messageElement;
     }
 
-    // Set loading state
-    setLoading(loading) {
-        this.isLoading = loading;
-        
-        if (loading) {
-            this.loadingOverlay.classList.add('show');
+    // Hover toolbar; retry/edit/branch only for messages stored in the transcript
+    createMessageActions(messageElement, role, content, messageText) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'message-actions';
+
+        const actions = [
+            ['copyMarkdown', '📋'],
+            ['copyText', '📄'],
+            ...(role === 'assistant' && this.speechReader.isSupported() ? [['readAloud', '🔊']] : []),
+            ...(role === 'assistant' ? [['retry', '🔄']] : [['edit', '✏️']]),
+            ['branch', '🌿']
+        ];
+        actions.forEach(([action, icon]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'message-action';
+            button.dataset.action = action;
+            button.title = i18n.t(`message.${action}`);
+            button.textContent = icon;
+            toolbar.appendChild(button);
+        });
+
+        toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('.message-action');
+            if (!button) return;
+
+            const index = messageElement.dataset.index === undefined ? null : parseInt(messageElement.dataset.index, 10);
+            switch (button.dataset.action) {
+                case 'copyMarkdown':
+                    this.copyMessage(button, content);
+                    break;
+                case 'copyText':
+                    this.copyMessage(button, messageText.innerText.trim());
+                    break;
+                case 'readAloud':
+                    this.toggleReadAloud(messageElement, content);
+                    break;
+                case 'retry':
+                    if (index !== null) this.retryMessage(index);
+                    break;
+                case 'edit':
+                    this.editMessage(messageText, content, index);
+                    break;
+                case 'branch':
+                    if (index !== null) this.branchSession(index);
+                    break;
+            }
+        });
+
+        return toolbar;
+    }
+
+    copyMessage(button, text) {
+        const icon = button.textContent;
+        this.markdown.copyToClipboard(text)
+            .then(() => {
+                button.textContent = '✓';
+                setTimeout(() => {
+                    button.textContent = icon;
+                }, 1500);
+            })
+            .catch(error => console.warn('Failed to copy message:', error));
+    }
+
+    toggleReadAloud(messageElement, content) {
+        if (this.speechReader.isSpeaking(messageElement)) {
+            this.speechReader.stop();
         } else {
-            this.loadingOverlay.classList.remove('show');
+            this.speechReader.speak(messageElement, content);
         }
-        
-        this.updateSendButton();
     }
 
-    // Create reasoning element for displaying thinking process
-    createReasoningElement(reasoningDetails) {
-        const container = document.createElement('div');
-        container.className = 'reasoning-container';
-        container.style.cssText = `
-            background: rgba(0, 255, 136, 0.05);
-            border: 1px solid rgba(0, 255, 136, 0.2);
-            border-radius: 8px;
-            padding: 12px;
-            margin: 12px 0;
-            font-size: 0.9em;
-        `;
-        
-        const header = document.createElement('div');
-        header.style.cssText = `
-            font-weight: bold;
-            color: var(--primary);
-            margin-bottom: 8px;
-            cursor: pointer;
-            display: flex;
-            align-items: center;
-            gap: 8px;
-        `;
-        header.innerHTML = '🧠 <span>Процесс reasoning (нажмите для деталей)</span>';
-        
-        const details = document.createElement('div');
-        details.className = 'reasoning-details';
-        details.style.cssText = `
-            display: none;
-            margin-top: 12px;
-        `;
-        
-        // Create steps
-        reasoningDetails.forEach((step, index) => {
-            const stepElement = document.createElement('div');
-            stepElement.style.cssText = `
-                background: rgba(0, 0, 0, 0.3);
-                border-left: 3px solid var(--primary);
-                padding: 8px 12px;
-                margin: 8px 0;
-                border-radius: 4px;
-            `;
-            
-            const stepHeader = document.createElement('div');
-            stepHeader.style.cssText = `
-                font-weight: bold;
-                color: var(--primary);
-                margin-bottom: 6px;
-            `;
-            stepHeader.textContent = `Шаг ${step.step}`;
-            
-            const thought = document.createElement('div');
-            thought.style.cssText = 'margin: 4px 0; opacity: 0.9;';
-            thought.innerHTML = `💭 <strong>Мысль:</strong> ${step.thought}`;
-            
-            stepElement.appendChild(stepHeader);
-            stepElement.appendChild(thought);
-            
-            if (step.action) {
-                const action = document.createElement('div');
-                action.style.cssText = 'margin: 4px 0; opacity: 0.9;';
-                action.innerHTML = `🎯 <strong>Действие:</strong> ${step.action}`;
-                stepElement.appendChild(action);
-            }
-            
-            if (step.input) {
-                const input = document.createElement('div');
-                input.style.cssText = 'margin: 4px 0; opacity: 0.9;';
-                input.innerHTML = `📝 <strong>Вход:</strong> ${step.input}`;
-                stepElement.appendChild(input);
+    // Read the newest answer on screen, or stop reading
+    readLastAnswer() {
+        if (this.speechReader.isSpeaking()) {
+            this.speechReader.stop();
+            return;
+        }
+        const buttons = this.messagesContainer.querySelectorAll('.message-action[data-action="readAloud"]');
+        if (buttons.length > 0) {
+            buttons[buttons.length - 1].click();
+        }
+    }
+
+    // Resend the user message this answer (or failed attempt) belongs to
+    retryMessage(index) {
+        const question = this.sessionStore.getTranscript(this.sessionId)
+            .slice(0, index + 1)
+            .reverse()
+            .find(message => message.role === 'user');
+        if (question) {
+            this.resubmitMessage(question.content, question.references || [], question.attachments || []);
+        }
+    }
+
+    // Inline editor in place of the message text; Ctrl+Enter resends (with the original references and files), Esc cancels
+    editMessage(messageText, content, index = null) {
+        if (!messageText.isConnected || this.activeRequest) return;
+
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'message-edit-input';
+        textarea.value = content;
+        editor.appendChild(textarea);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'message-editor-actions';
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.className = 'control-button';
+        cancel.textContent = i18n.t('message.editCancel');
+        const save = document.createElement('button');
+        save.type = 'button';
+        save.className = 'action-button primary';
+        save.textContent = i18n.t('message.editSend');
+        buttons.appendChild(cancel);
+        buttons.appendChild(save);
+        editor.appendChild(buttons);
+
+        messageText.replaceWith(editor);
+        textarea.style.height = `${Math.min(textarea.scrollHeight, 240)}px`;
+        textarea.focus();
+
+        const finish = (send) => {
+            const text = textarea.value.trim();
+            editor.replaceWith(messageText);
+            if (send && text) {
+                const question = index === null ? null : this.sessionStore.getTranscript(this.sessionId)[index];
+                this.resubmitMessage(text, (question && question.references) || [], (question && question.attachments) || []);
             }
-            
-            if (step.observation) {
-                const observation = document.createElement('div');
-                observation.style.cssText = 'margin: 4px 0; opacity: 0.9;';
-                observation.innerHTML = `👁️ <strong>Наблюдение:</strong> ${step.observation}`;
-                stepElement.appendChild(observation);
+        };
+
+        cancel.addEventListener('click', () => finish(false));
+        save.addEventListener('click', () => finish(true));
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.ctrlKey) {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                finish(false);
             }
-            
-            details.appendChild(stepElement);
         });
-        
-        // Toggle details on click
-        header.addEventListener('click', () => {
-            const isVisible = details.style.display !== 'none';
-            details.style.display = isVisible ? 'none' : 'block';
-            header.querySelector('span').textContent = isVisible ? 
-                'Процесс reasoning (нажмите для деталей)' : 
-                'Процесс reasoning (нажмите чтобы скрыть)';
-        });
-        
-        container.appendChild(header);
-        container.appendChild(details);
-        
-        return container;
     }
-    
+
+    // Fork a new session with the history up to and including this message
+    async branchSession(index) {
+        const sourceId = this.sessionId;
+        const transcript = this.sessionStore.getTranscript(sourceId).slice(0, index + 1);
+        const branchId = this.generateSessionId();
+
+        // Errors and cancellations never reached the server history, so the agent does not see them either
+        const history = transcript
+            .filter(message => !(message.metadata && (message.metadata.error || message.metadata.cancelled)))
+            .filter(message => message.content && message.content.trim())
+            .map(message => ({ role: message.role, content: message.content }));
+
+        try {
+            const response = await fetch(`/api/chat/${encodeURIComponent(branchId)}/history`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ history })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+        } catch (error) {
+            console.error('Failed to branch session:', error);
+            this.addMessage('assistant', i18n.t('message.branchError', { message: error.message }), { error: true }, { persist: false });
+            return;
+        }
+
+        const source = this.sessionStore.getSession(sourceId);
+        this.sessionStore.setTranscript(branchId, transcript.map(message => ({ ...message, outboxId: undefined })));
+        const title = (source && source.title) || this.sessionStore.getSession(branchId).title;
+        this.sessionStore.renameSession(branchId, i18n.t('message.branchTitle', { title }));
+        this.switchSession(branchId);
+        this.switchTab('chat');
+    }
+
     // Scroll to bottom of messages
     scrollToBottom() {
         // Immediate scroll
@@ -610,8 +1822,10 @@ class VtoroyApp {
         const buttons = [this.syncButton, this.syncButtonLarge].filter(Boolean);
         buttons.forEach(btn => {
             btn.disabled = true;
-            btn.innerHTML = '<span class="button-icon">🔄</span><span>Синхронизация...</span>';
+            this.setSyncButtonLabel(btn, i18n.t('knowledge.syncing'));
         });
+        this.syncingKnowledge = true;
+        this.updateAvatar();
 
         try {
             const response = await fetch('/api/knowledge/sync', {
@@ -632,7 +1846,7 @@ class VtoroyApp {
             
             // Show success message only on chat tab
             if (this.currentTab === 'chat') {
-                this.addMessage('assistant', `✅ Синхронизация завершена! Обработано файлов: ${data.filesProcessed}`, { 
+                this.addMessage('assistant', i18n.t('knowledge.syncDone', { count: data.filesProcessed }), { 
                     approach: 'knowledge_sync' 
                 });
             }
@@ -643,7 +1857,7 @@ class VtoroyApp {
         } catch (error) {
             console.error('Knowledge sync failed:', error);
             if (this.currentTab === 'chat') {
-                this.addMessage('assistant', `❌ Ошибка синхронизации: ${error.message}`, { 
+                this.addMessage('assistant', `❌ ${i18n.t('knowledge.syncError', { message: error.message })}`, { 
                     error: true 
                 });
             }
@@ -651,14 +1865,43 @@ class VtoroyApp {
             buttons.forEach(btn => {
                 btn.disabled = false;
                 if (btn === this.syncButton) {
-                    btn.textContent = '🔄 Синхронизировать';
+                    btn.textContent = i18n.t('knowledge.sync');
                 } else {
-                    btn.innerHTML = '<span class="button-icon">🔄</span><span>Синхронизировать Obsidian</span>';
+                    this.setSyncButtonLabel(btn, i18n.t('knowledge.syncAll'), 'knowledge.syncAll');
                 }
             });
+            this.syncingKnowledge = false;
+            this.updateAvatar();
         }
     }
 
+    // Icon + label markup of the large sync button; the label keeps its data-i18n key
+    setSyncButtonLabel(button, text, key = null) {
+        button.innerHTML = '';
+        const icon = document.createElement('span');
+        icon.className = 'button-icon';
+        icon.textContent = '🔄';
+
+        const label = document.createElement('span');
+        label.textContent = text;
+        if (key) {
+            label.dataset.i18n = key;
+        }
+
+        button.appendChild(icon);
+        button.appendChild(label);
+    }
+
+    // Pre-fill chat input with a reference to a knowledge file
+    askAboutFile(filePath) {
+        this.switchTab('chat');
+        this.messageInput.value = i18n.t('chat.askAboutFile', { path: filePath });
+        this.autoResizeTextarea();
+        this.updateSendButton();
+        this.messageInput.focus();
+        this.messageInput.setSelectionRange(this.messageInput.value.length, this.messageInput.value.length);
+    }
+
     // Show knowledge panel
     showKnowledgePanel() {
         this.knowledgePanel.classList.add('show');
@@ -668,6 +1911,7 @@ class VtoroyApp {
     // Switch tabs
     switchTab(tabName) {
         this.currentTab = tabName;
+        this.updateAvatarWidget();
         
         // Update tab buttons
         this.tabs.forEach(tab => {
@@ -691,14 +1935,20 @@ class VtoroyApp {
         // Initialize tab content
         if (tabName === 'knowledge') {
             this.checkKnowledgeStatus();
+            this.knowledgeSearch.loadSources();
         } else if (tabName === 'logs') {
             this.initLogs();
+            this.logViewer.scheduleRender(); // viewport size is unknown while the tab is hidden
+        } else if (tabName === 'analytics') {
+            this.analyticsDashboard.render();
+        } else if (tabName === 'system') {
+            this.systemDashboard.show();
         }
     }
     
     // Initialize logs functionality
     initLogs() {
-        if (this.logsEventSource) {
+        if (this.logsStream) {
             return; // Already initialized
         }
         
@@ -706,142 +1956,71 @@ class VtoroyApp {
         this.loadRecentLogs();
     }
     
-    // Connect to real-time log stream
+    // Connect to real-time log stream, falling back to polling /logs/recent
     connectToLogStream() {
-        if (!this.isOnline) {
-            setTimeout(() => this.connectToLogStream(), 5000);
-            return;
-        }
-        
-        try {
-            this.logsEventSource = new EventSource('/api/system/logs/stream');
-            
-            this.logsEventSource.onopen = () => {
-                console.log('Connected to log stream');
-            };
-            
-            this.logsEventSource.addEventListener('connected', (event) => {
-                const data = JSON.parse(event.data);
-                this.clearConnectingMessage();
-                this.addLogEntry(data);
-            });
-            
-            this.logsEventSource.addEventListener('log', (event) => {
-                if (!this.logsPaused) {
-                    const data = JSON.parse(event.data);
-                    this.addLogEntry(data);
-                }
-            });
-            
-            this.logsEventSource.onerror = (error) => {
-                console.error('Log stream error:', error);
-                if (this.logsEventSource.readyState === EventSource.CLOSED) {
-                    setTimeout(() => {
-                        if (this.currentTab === 'logs') {
-                            this.connectToLogStream();
-                        }
-                    }, 5000);
-                }
-            };
-        } catch (error) {
-            console.error('Failed to connect to log stream:', error);
+        // Events keep buffering while paused, the viewer just stops re-rendering
+        this.logsStream = new StreamClient('/api/system/logs/stream', {
+            name: 'logs',
+            events: {
+                connected: (data) => this.logViewer.add(data),
+                log: (data) => this.addLogEntry(data)
+            },
+            poll: () => this.loadRecentLogs(),
+            onStateChange: () => this.updateStreamIndicator()
+        });
+        this.logsStream.connect();
+    }
+    
+    // Add log entry unless it was already received (stream and polling overlap)
+    addLogEntry(log) {
+        const key = `${log.timestamp}|${log.logger}|${log.message}`;
+        if (this.seenLogKeys.has(key)) return;
+        
+        this.seenLogKeys.add(key);
+        if (this.seenLogKeys.size > 5000) {
+            this.seenLogKeys.delete(this.seenLogKeys.values().next().value);
         }
+        this.logViewer.add(log);
     }
     
     // Load recent logs
     async loadRecentLogs() {
         try {
-            const response = await fetch('/api/system/logs/recent?lines=50');
+            const response = await fetch('/api/system/logs/recent?lines=100');
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || `HTTP ${response.status}`);
+            }
             const data = await response.json();
             
             if (data.logs && data.logs.length > 0) {
-                this.clearConnectingMessage();
-                data.logs.forEach(log => this.addLogEntry(log));
+                // The endpoint appends a synthetic "Logs requested" line to every response
+                data.logs
+                    .filter(log => !(log.logger === 'SystemController' && String(log.message).startsWith('Logs requested')))
+                    .forEach(log => this.addLogEntry(log));
             }
         } catch (error) {
             console.error('Failed to load recent logs:', error);
         }
     }
     
-    // Clear connecting message
-    clearConnectingMessage() {
-        const connectingEntry = this.logsContainer.querySelector('.connecting');
-        if (connectingEntry) {
-            connectingEntry.remove();
-        }
-    }
-    
-    // Add log entry to container
-    addLogEntry(logData) {
-        const logEntry = document.createElement('div');
-        logEntry.className = 'log-entry';
-        
-        const timestamp = document.createElement('span');
-        timestamp.className = 'log-timestamp';
-        timestamp.textContent = logData.timestamp || new Date().toLocaleTimeString('ru');
-        
-        const level = document.createElement('span');
-        level.className = `log-level ${(logData.level || 'INFO').toLowerCase()}`;
-        level.textContent = logData.level || 'INFO';
-        
-        const message = document.createElement('span');
-        message.className = 'log-message';
-        message.textContent = logData.message || '';
-        
-        logEntry.appendChild(timestamp);
-        logEntry.appendChild(level);
-        logEntry.appendChild(message);
-        
-        this.logsContainer.appendChild(logEntry);
-        
-        // Auto-scroll to bottom
-        this.logsContainer.scrollTop = this.logsContainer.scrollHeight;
-        
-        // Limit number of log entries (keep last 200)
-        const entries = this.logsContainer.querySelectorAll('.log-entry');
-        if (entries.length > 200) {
-            entries[0].remove();
-        }
-    }
-    
     // Toggle logs pause
     toggleLogsPause() {
-        this.logsPaused = !this.logsPaused;
-        
-        const pauseBtn = this.logsPauseBtn;
-        if (this.logsPaused) {
-            pauseBtn.innerHTML = '<span class="button-icon">▶️</span><span>Продолжить</span>';
-        } else {
-            pauseBtn.innerHTML = '<span class="button-icon">⏸️</span><span>Пауза</span>';
-        }
+        this.logViewer.setPaused(!this.logViewer.paused);
+        this.updateLogsPauseButton();
     }
     
-    // Clear logs
-    clearLogs() {
-        const logEntries = this.logsContainer.querySelectorAll('.log-entry:not(.connecting)');
-        logEntries.forEach(entry => entry.remove());
+    updateLogsPauseButton() {
+        const paused = this.logViewer.paused;
+        const [icon, label] = this.logsPauseBtn.querySelectorAll('span');
+        icon.textContent = paused ? '▶️' : '⏸️';
+        label.dataset.i18n = paused ? 'logs.resume' : 'logs.pause';
+        label.textContent = i18n.t(label.dataset.i18n);
     }
     
-    // Download logs
-    downloadLogs() {
-        const logs = Array.from(this.logsContainer.querySelectorAll('.log-entry:not(.connecting)'))
-            .map(entry => {
-                const timestamp = entry.querySelector('.log-timestamp').textContent;
-                const level = entry.querySelector('.log-level').textContent;
-                const message = entry.querySelector('.log-message').textContent;
-                return `[${timestamp}] ${level}: ${message}`;
-            })
-            .join('\n');
-        
-        const blob = new Blob([logs], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `jarvis-logs-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.txt`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    // Clear logs
+    clearLogs() {
+        this.logViewer.clear();
     }
     
     // Load version information from API
@@ -860,298 +2039,14 @@ class VtoroyApp {
             // Version element will keep its default value
         }
     }
-    
-    // Connect to thinking stream for real-time updates
-    connectThinkingStream() {
-        if (this.thinkingEventSource) {
-            this.thinkingEventSource.close();
-        }
-        
-        const url = `/api/thinking/stream/${this.sessionId}`;
-        console.log('Connecting to thinking stream:', url);
-        
-        this.thinkingEventSource = new EventSource(url);
-        
-        this.thinkingEventSource.onmessage = (event) => {
-            try {
-                const data = JSON.parse(event.data);
-                this.handleThinkingEvent(data);
-            } catch (error) {
-                console.error('Failed to parse thinking event:', error);
-            }
-        };
-        
-        this.thinkingEventSource.onerror = (event) => {
-            console.error('Thinking stream error:', event);
-        };
-        
-        this.thinkingEventSource.onopen = (event) => {
-            console.log('Thinking stream connected');
-        };
-    }
-    
-    // Handle thinking events from SSE
-    handleThinkingEvent(data) {
-        console.log('Thinking event:', data);
-        
-        if (data.type === 'connected') {
-            // Stream connected
-            return;
-        }
-        
-        if (data.type === 'complete') {
-            // Thinking complete - keep display but mark as finished
-            if (this.currentThinkingElement) {
-                this.currentThinkingElement.classList.add('thinking-finished');
-                this.currentThinkingElement = null; // Reset for next request
-            }
-            return;
-        }
-        
-        // Create or update thinking display
-        if (!this.currentThinkingElement) {
-            this.currentThinkingElement = this.createThinkingElement();
-            this.messagesContainer.appendChild(this.currentThinkingElement);
-            this.scrollToBottom();
-        }
-        
-        // Add thinking step
-        this.addThinkingStep(data);
-    }
-    
-    // Create thinking element container
-    createThinkingElement() {
-        const element = document.createElement('div');
-        element.className = 'message assistant thinking-message';
-        element.innerHTML = `
-            <div class="message-avatar">
-                <div class="avatar-circle">J</div>
-            </div>
-            <div class="message-content">
-                <div class="message-text">
-                    <div class="thinking-header">
-                        <div class="thinking-title">🧠 Мысли Второйа</div>
-                    </div>
-                    <div class="thinking-steps"></div>
-                </div>
-            </div>
-        `;
-        return element;
-    }
-    
-    // Add thinking step to display
-    addThinkingStep(data) {
-        if (!this.currentThinkingElement) return;
-        
-        const stepsContainer = this.currentThinkingElement.querySelector('.thinking-steps');
-        if (!stepsContainer) return;
-        
-        const stepElement = document.createElement('div');
-        stepElement.className = `thinking-step thinking-${data.type}`;
-        stepElement.textContent = data.message;
-        
-        stepsContainer.appendChild(stepElement);
-        this.scrollToBottom();
-        
-        // Add animation
-        setTimeout(() => {
-            stepElement.style.opacity = '1';
-            stepElement.style.transform = 'translateX(0)';
-        }, 50);
-    }
 }
 
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.vtoroyApp = new VtoroyApp();
-    
-    // Add keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-        // Ctrl+K to show knowledge panel
-        if (e.ctrlKey && e.key === 'k') {
-            e.preventDefault();
-            window.vtoroyApp.showKnowledgePanel();
-        }
-        
-        // Escape to close knowledge panel
-        if (e.key === 'Escape') {
-            window.jarvisApp.knowledgePanel.classList.remove('show');
-        }
-    });
 });
 
-// AI Avatar Animation
-class AIAvatar {
-    constructor(canvas) {
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
-        this.pixelSize = 5;
-        this.width = canvas.width / this.pixelSize;
-        this.height = canvas.height / this.pixelSize;
-        
-        // Avatar state
-        this.time = 0;
-        this.mode = 'idle'; // idle, thinking, speaking
-        this.brainActivity = [];
-        this.particles = [];
-        
-        // Initialize brain activity matrix
-        for (let i = 0; i < this.width; i++) {
-            this.brainActivity[i] = [];
-            for (let j = 0; j < this.height; j++) {
-                this.brainActivity[i][j] = Math.random() * 0.3;
-            }
-        }
-        
-        // Avatar colors
-        this.colors = {
-            background: '#0a0a0a',
-            base: '#00ff88',
-            accent: '#00ffaa',
-            glow: '#00ff8844',
-            particle: '#00ffcc'
-        };
-        
-        this.animate();
-    }
-    
-    drawPixel(x, y, color) {
-        this.ctx.fillStyle = color;
-        this.ctx.fillRect(
-            x * this.pixelSize,
-            y * this.pixelSize,
-            this.pixelSize,
-            this.pixelSize
-        );
-    }
-    
-    drawHead() {
-        const centerX = this.width / 2;
-        const centerY = this.height / 2;
-        const radius = this.width / 3;
-        
-        // Clear canvas
-        this.ctx.fillStyle = this.colors.background;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        // Draw pixel head shape
-        for (let x = 0; x < this.width; x++) {
-            for (let y = 0; y < this.height; y++) {
-                const dx = x - centerX;
-                const dy = y - centerY;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                
-                // Head outline
-                if (distance < radius && distance > radius - 2) {
-                    this.drawPixel(x, y, this.colors.base);
-                }
-                
-                // Brain pattern
-                if (distance < radius - 2) {
-                    const activity = this.brainActivity[x][y];
-                    const pulse = Math.sin(this.time * 0.05 + distance * 0.3) * 0.5 + 0.5;
-                    const intensity = activity * pulse;
-                    
-                    if (intensity > 0.3) {
-                        const alpha = Math.floor(intensity * 255).toString(16).padStart(2, '0');
-                        this.drawPixel(x, y, this.colors.accent + alpha);
-                    }
-                }
-                
-                // Eyes
-                const eyeY = centerY - 3;
-                const leftEyeX = centerX - 5;
-                const rightEyeX = centerX + 5;
-                
-                if ((Math.abs(x - leftEyeX) < 2 && Math.abs(y - eyeY) < 2) ||
-                    (Math.abs(x - rightEyeX) < 2 && Math.abs(y - eyeY) < 2)) {
-                    const blink = Math.random() > 0.995 ? 0 : 1;
-                    if (blink) {
-                        this.drawPixel(x, y, this.colors.base);
-                    }
-                }
-                
-                // Mouth animation (when speaking)
-                if (this.mode === 'speaking') {
-                    const mouthY = centerY + 5;
-                    const mouthWidth = 4 + Math.sin(this.time * 0.2) * 2;
-                    if (Math.abs(x - centerX) < mouthWidth && Math.abs(y - mouthY) < 1) {
-                        this.drawPixel(x, y, this.colors.accent);
-                    }
-                }
-            }
-        }
-        
-        // Update brain activity
-        if (Math.random() > 0.9) {
-            const x = Math.floor(Math.random() * this.width);
-            const y = Math.floor(Math.random() * this.height);
-            this.brainActivity[x][y] = Math.min(1, this.brainActivity[x][y] + 0.5);
-        }
-        
-        // Decay brain activity
-        for (let x = 0; x < this.width; x++) {
-            for (let y = 0; y < this.height; y++) {
-                this.brainActivity[x][y] *= 0.98;
-            }
-        }
-        
-        // Draw particles
-        this.updateParticles();
-    }
-    
-    updateParticles() {
-        // Add new particles occasionally
-        if (Math.random() > 0.95) {
-            this.particles.push({
-                x: Math.random() * this.width,
-                y: this.height,
-                vx: (Math.random() - 0.5) * 0.5,
-                vy: -Math.random() * 0.5 - 0.5,
-                life: 1
-            });
-        }
-        
-        // Update and draw particles
-        this.particles = this.particles.filter(p => {
-            p.x += p.vx;
-            p.y += p.vy;
-            p.life -= 0.02;
-            
-            if (p.life > 0) {
-                const alpha = Math.floor(p.life * 255).toString(16).padStart(2, '0');
-                this.drawPixel(Math.floor(p.x), Math.floor(p.y), this.colors.particle + alpha);
-                return true;
-            }
-            return false;
-        });
-    }
-    
-    setMode(mode) {
-        this.mode = mode;
-        const statusText = document.getElementById('avatar-status-text');
-        if (statusText) {
-            switch(mode) {
-                case 'thinking':
-                    statusText.textContent = 'Обрабатываю...';
-                    break;
-                case 'speaking':
-                    statusText.textContent = 'Отвечаю...';
-                    break;
-                default:
-                    statusText.textContent = 'Готов к работе';
-            }
-        }
-    }
-    
-    animate() {
-        this.time++;
-        this.drawHead();
-        requestAnimationFrame(() => this.animate());
-    }
-}
-
-// Service worker for offline support (future enhancement)
+// Service worker: app shell stays available while the backend is down
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
         navigator.serviceWorker.register('/sw.js')
@@ -0,0 +1,216 @@
+// Vtoroy AI Assistant - Minimal canvas charts (no external libraries)
+//
+// Цвета берутся из CSS-переменных темы в момент отрисовки, поэтому после
+// смены темы графики достаточно перерисовать. Размер канваса - по его CSS-ширине
+// с учётом devicePixelRatio, чтобы линии оставались чёткими.
+class CanvasCharts {
+    static padding = { top: 12, right: 12, bottom: 28, left: 48 };
+
+    // Theme colors resolved from CSS variables
+    static colors() {
+        const style = getComputedStyle(document.documentElement);
+        const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+        return {
+            accent: read('--accent', '#00d4ff'),
+            text: read('--text-secondary', '#a0a9c0'),
+            muted: read('--text-muted', '#6b7280'),
+            grid: read('--border', '#2d3748'),
+            error: read('--error', '#ef4444'),
+            success: read('--success', '#10b981'),
+            warning: read('--warning', '#f59e0b')
+        };
+    }
+
+    // Resize the backing store to the displayed size; returns a context in CSS pixels
+    static prepare(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || canvas.width;
+        const height = canvas.clientHeight || canvas.height;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '11px Inter, sans-serif';
+        return { ctx, width, height };
+    }
+
+    static empty(canvas, text) {
+        const { ctx, width, height } = CanvasCharts.prepare(canvas);
+        ctx.fillStyle = CanvasCharts.colors().muted;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, width / 2, height / 2);
+    }
+
+    // Horizontal grid lines with labels on the left
+    static drawAxis(ctx, area, max, colors, format) {
+        ctx.strokeStyle = colors.grid;
+        ctx.fillStyle = colors.text;
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+
+        const ticks = 4;
+        for (let i = 0; i <= ticks; i++) {
+            const value = (max / ticks) * i;
+            const y = Math.round(area.bottom - (area.bottom - area.top) * (i / ticks)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(area.left, y);
+            ctx.lineTo(area.right, y);
+            ctx.stroke();
+            ctx.fillText(format(value), area.left - 6, y);
+        }
+    }
+
+    static area(width, height, padding = CanvasCharts.padding) {
+        return {
+            left: padding.left,
+            right: width - padding.right,
+            top: padding.top,
+            bottom: height - padding.bottom
+        };
+    }
+
+    // Vertical bars: items = [{ label, value, color? }]
+    static bars(canvas, items, options = {}) {
+        if (items.length === 0) {
+            CanvasCharts.empty(canvas, options.emptyText || '');
+            return;
+        }
+
+        const { ctx, width, height } = CanvasCharts.prepare(canvas);
+        const colors = CanvasCharts.colors();
+        const format = options.format || (value => i18n.formatNumber(Math.round(value)));
+        const max = options.max || Math.max(...items.map(item => item.value)) || 1;
+        const area = CanvasCharts.area(width, height);
+        CanvasCharts.drawAxis(ctx, area, max, colors, format);
+
+        const slot = (area.right - area.left) / items.length;
+        const barWidth = Math.max(2, Math.min(48, slot * 0.7));
+        const labelEvery = Math.ceil(items.length / Math.max(1, Math.floor((area.right - area.left) / 60)));
+
+        items.forEach((item, index) => {
+            const x = area.left + slot * index + (slot - barWidth) / 2;
+            const barHeight = (area.bottom - area.top) * (item.value / max);
+            ctx.fillStyle = item.color || colors.accent;
+            ctx.fillRect(x, area.bottom - barHeight, barWidth, barHeight);
+
+            if (index % labelEvery === 0) {
+                ctx.fillStyle = colors.text;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'top';
+                ctx.fillText(CanvasCharts.fit(ctx, item.label, slot * labelEvery - 4), x + barWidth / 2, area.bottom + 6);
+            }
+        });
+    }
+
+    // Horizontal bars with the label on the left, sorted by the caller
+    static histogram(canvas, items, options = {}) {
+        if (items.length === 0) {
+            CanvasCharts.empty(canvas, options.emptyText || '');
+            return;
+        }
+
+        const { ctx, width, height } = CanvasCharts.prepare(canvas);
+        const colors = CanvasCharts.colors();
+        const max = Math.max(...items.map(item => item.value)) || 1;
+        const labelWidth = Math.min(160, width * 0.35);
+        const rowHeight = Math.min(28, height / items.length);
+        const barArea = width - labelWidth - 48;
+
+        items.forEach((item, index) => {
+            const y = index * rowHeight;
+            const barWidth = Math.max(2, barArea * (item.value / max));
+
+            ctx.fillStyle = colors.text;
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(CanvasCharts.fit(ctx, item.label, labelWidth - 8), labelWidth - 8, y + rowHeight / 2);
+
+            ctx.fillStyle = item.color || colors.accent;
+            ctx.fillRect(labelWidth, y + rowHeight * 0.2, barWidth, rowHeight * 0.6);
+
+            ctx.fillStyle = colors.text;
+            ctx.textAlign = 'left';
+            ctx.fillText(i18n.formatNumber(item.value), labelWidth + barWidth + 6, y + rowHeight / 2);
+        });
+    }
+
+    // Line over points = [{ label, value }] in order; labels are shown at the ends only
+    static line(canvas, points, options = {}) {
+        if (points.length === 0) {
+            CanvasCharts.empty(canvas, options.emptyText || '');
+            return;
+        }
+
+        const { ctx, width, height } = CanvasCharts.prepare(canvas);
+        const colors = CanvasCharts.colors();
+        const format = options.format || (value => i18n.formatNumber(Math.round(value)));
+        const max = Math.max(...points.map(point => point.value)) || 1;
+        const area = CanvasCharts.area(width, height);
+        CanvasCharts.drawAxis(ctx, area, max, colors, format);
+
+        const step = points.length > 1 ? (area.right - area.left) / (points.length - 1) : 0;
+        const xOf = index => (points.length > 1 ? area.left + step * index : (area.left + area.right) / 2);
+        const yOf = value => area.bottom - (area.bottom - area.top) * (value / max);
+
+        ctx.strokeStyle = colors.accent;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            if (index === 0) {
+                ctx.moveTo(xOf(index), yOf(point.value));
+            } else {
+                ctx.lineTo(xOf(index), yOf(point.value));
+            }
+        });
+        ctx.stroke();
+
+        points.forEach((point, index) => {
+            ctx.fillStyle = point.color || colors.accent;
+            ctx.beginPath();
+            ctx.arc(xOf(index), yOf(point.value), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.fillStyle = colors.text;
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(points[0].label, area.left, area.bottom + 6);
+        if (points.length > 1) {
+            ctx.textAlign = 'right';
+            ctx.fillText(points[points.length - 1].label, area.right, area.bottom + 6);
+        }
+    }
+
+    // One colored cell per entry, oldest on the left (e.g. availability of health checks)
+    static strip(canvas, cells, options = {}) {
+        if (cells.length === 0) {
+            CanvasCharts.empty(canvas, options.emptyText || '');
+            return;
+        }
+
+        const { ctx, width, height } = CanvasCharts.prepare(canvas);
+        const slot = width / Math.max(cells.length, options.slots || 0);
+        const gap = slot > 4 ? 1 : 0;
+
+        cells.forEach((cell, index) => {
+            ctx.fillStyle = cell.color;
+            ctx.fillRect(index * slot, 0, Math.max(1, slot - gap), height);
+        });
+    }
+
+    // Ellipsize text to the available width
+    static fit(ctx, text, maxWidth) {
+        const value = String(text);
+        if (ctx.measureText(value).width <= maxWidth) return value;
+
+        let end = value.length;
+        while (end > 1 && ctx.measureText(`${value.slice(0, end)}…`).width > maxWidth) {
+            end--;
+        }
+        return `${value.slice(0, end)}…`;
+    }
+}
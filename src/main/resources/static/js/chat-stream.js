@@ -0,0 +1,96 @@
+// Vtoroy AI Assistant - Progressive answers from /api/chat/stream
+//
+// Ответ читается через fetch по мере генерации: сервер пишет NDJSON, одно
+// событие в строке (delta - кусок текста, done - итоговый ответ с metadata).
+// Если бэкенд потокового режима не знает, send() возвращает null и клиент
+// запоминает это до перезагрузки страницы - приложение идёт старым путём.
+class ChatStream {
+    constructor(url) {
+        this.url = url;
+        this.unsupported = false;
+    }
+
+    // Statuses of a backend without the streaming endpoint (nothing reached the agent)
+    static fallbackStatuses = [404, 405, 415, 501];
+    static contentType = 'application/x-ndjson';
+
+    // Streaming needs a readable response body; without it the request would be sent for nothing
+    isAvailable() {
+        return !this.unsupported
+            && typeof ReadableStream !== 'undefined'
+            && typeof TextDecoder !== 'undefined'
+            && 'body' in Response.prototype;
+    }
+
+    markUnsupported(reason) {
+        if (this.unsupported) return;
+        this.unsupported = true;
+        console.warn(`Chat streaming unavailable (${reason}), falling back to /api/chat`);
+    }
+
+    // POST the request; onDelta(answer) gets the text so far after every chunk.
+    // Resolves to { response, sessionId, metadata }, or null when streaming is unavailable
+    async send(body, { signal, onDelta = () => {} } = {}) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': ChatStream.contentType
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (ChatStream.fallbackStatuses.includes(response.status)) {
+            this.markUnsupported(`HTTP ${response.status}`);
+            return null;
+        }
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+        if (!(response.headers.get('Content-Type') || '').includes(ChatStream.contentType) || !response.body) {
+            this.markUnsupported('not a stream');
+            return null;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let answer = '';
+
+        try {
+            for (;;) {
+                const { value, done } = await reader.read();
+                buffer += decoder.decode(value, { stream: !done });
+
+                // The last piece may be an unfinished line: keep it for the next chunk
+                const lines = buffer.split('\n');
+                buffer = done ? '' : lines.pop();
+
+                for (const line of lines) {
+                    if (!line.trim()) continue;
+                    const event = JSON.parse(line);
+
+                    if (event.type === 'delta') {
+                        answer += event.text;
+                        onDelta(answer);
+                    } else if (event.type === 'done') {
+                        return event.result;
+                    } else if (event.type === 'cancelled') {
+                        throw new DOMException('The request was cancelled', 'AbortError');
+                    } else if (event.type === 'error') {
+                        throw new Error(event.message);
+                    }
+                }
+
+                if (done) {
+                    throw new Error('The answer stream ended unexpectedly');
+                }
+            }
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+    }
+}
@@ -0,0 +1,175 @@
+// Vtoroy AI Assistant - Command palette (Ctrl+Shift+P)
+//
+// Показывает все действия ShortcutManager и динамические пункты (например,
+// сессии) с нечётким поиском: буквы запроса должны идти в названии по порядку,
+// выше ранжируются совпадения подряд и с начала слов.
+class CommandPalette {
+    constructor(dialog, options = {}) {
+        this.dialog = dialog;
+        this.shortcuts = options.shortcuts;
+        this.getExtraItems = options.getExtraItems || (() => []);
+
+        this.input = dialog.querySelector('.command-palette-input');
+        this.list = dialog.querySelector('.command-palette-list');
+        this.items = [];
+        this.selectedIndex = 0;
+
+        this.bindEvents();
+    }
+
+    static maxItems = 50;
+
+    bindEvents() {
+        this.input.addEventListener('input', () => this.filter());
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.select(this.selectedIndex + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.runSelected();
+            }
+        });
+
+        this.list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.command-palette-item');
+            if (!item) return;
+            e.preventDefault();
+            this.selectedIndex = parseInt(item.dataset.index, 10);
+            this.runSelected();
+        });
+
+        // Click on the backdrop closes the palette
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) {
+                this.dialog.close();
+            }
+        });
+    }
+
+    open() {
+        if (this.dialog.open) return;
+
+        this.input.value = '';
+        this.filter();
+        this.dialog.showModal();
+        this.input.focus();
+    }
+
+    // Registered actions (that are available right now) plus dynamic items
+    collect() {
+        const actions = this.shortcuts.list()
+            .filter(action => action.when())
+            .map(action => ({
+                title: this.shortcuts.getTitle(action),
+                hint: '',
+                combo: this.shortcuts.getBinding(action.id),
+                run: () => this.shortcuts.run(action.id)
+            }));
+        return actions.concat(this.getExtraItems());
+    }
+
+    filter() {
+        const query = this.input.value.trim();
+        this.items = this.collect()
+            .map(item => ({ item, score: CommandPalette.fuzzyScore(query, `${item.title} ${item.hint || ''}`) }))
+            .filter(entry => entry.score >= 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, CommandPalette.maxItems)
+            .map(entry => entry.item);
+
+        this.selectedIndex = 0;
+        this.render();
+    }
+
+    // -1 if the query letters do not appear in order; higher is a better match
+    static fuzzyScore(query, text) {
+        if (!query) return 0;
+
+        const needle = query.toLowerCase();
+        const haystack = text.toLowerCase();
+        let score = 0;
+        let position = 0;
+        let previous = -2;
+
+        for (const char of needle) {
+            if (char === ' ') continue;
+
+            const index = haystack.indexOf(char, position);
+            if (index === -1) return -1;
+
+            score += 1;
+            if (index === previous + 1) score += 3;
+            if (index === 0 || /[\s\-:/]/.test(haystack[index - 1])) score += 2;
+            score -= Math.min(index - position, 5) * 0.1;
+
+            previous = index;
+            position = index + 1;
+        }
+        return score;
+    }
+
+    select(index) {
+        if (this.items.length === 0) return;
+        this.selectedIndex = (index + this.items.length) % this.items.length;
+        this.render();
+
+        const selected = this.list.querySelector('.command-palette-item.selected');
+        if (selected) {
+            selected.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    async runSelected() {
+        const item = this.items[this.selectedIndex];
+        if (!item) return;
+
+        this.dialog.close();
+        try {
+            await item.run();
+        } catch (error) {
+            console.error(`Command "${item.title}" failed:`, error);
+        }
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        if (this.items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'command-palette-empty';
+            empty.textContent = i18n.t('palette.empty');
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.items.forEach((item, index) => {
+            const element = document.createElement('div');
+            element.className = 'command-palette-item';
+            element.classList.toggle('selected', index === this.selectedIndex);
+            element.dataset.index = index;
+
+            const title = document.createElement('span');
+            title.className = 'command-palette-title';
+            title.textContent = item.title;
+            element.appendChild(title);
+
+            if (item.hint) {
+                const hint = document.createElement('span');
+                hint.className = 'command-palette-hint';
+                hint.textContent = item.hint;
+                element.appendChild(hint);
+            }
+
+            if (item.combo) {
+                const combo = document.createElement('span');
+                combo.className = 'command-palette-combo';
+                combo.appendChild(ShortcutCheatSheet.renderCombo(item.combo));
+                element.appendChild(combo);
+            }
+
+            this.list.appendChild(element);
+        });
+    }
+}
@@ -0,0 +1,316 @@
+// Vtoroy AI Assistant - Text file attachments in the message composer
+//
+// Файлы .md/.txt/.json/.csv добавляются скрепкой или перетаскиванием, читаются
+// в браузере и уходят в /api/chat полем attachments. Frontmatter Markdown
+// разбирается здесь же, чтобы агент получил метаданные отдельно от текста.
+// Лимиты проверяются до чтения файла, сервер повторяет их валидацией.
+class ComposerAttachments {
+    constructor(elements, options = {}) {
+        this.button = elements.button;
+        this.fileInput = elements.fileInput;
+        this.dropZone = elements.dropZone;
+        this.chips = elements.chips;
+        this.preview = elements.preview;
+        this.onChange = options.onChange || (() => {});
+
+        this.attachments = [];
+        this.reserved = []; // { name, size } of accepted files that are still being read
+        this.errors = [];
+        this.previewIndex = null;
+        this.dragDepth = 0;
+
+        this.fileInput.accept = Object.keys(ComposerAttachments.types).map(extension => `.${extension}`).join(',');
+        this.bindEvents();
+    }
+
+    // Extension -> attachment type understood by the backend
+    static types = {
+        md: 'markdown',
+        markdown: 'markdown',
+        txt: 'text',
+        json: 'json',
+        csv: 'csv'
+    };
+    static maxFiles = 5;
+    static maxFileBytes = 100 * 1024;
+    static maxTotalBytes = 250 * 1024;
+    static previewLength = 1500;
+
+    bindEvents() {
+        this.button.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => {
+            this.addFiles(Array.from(this.fileInput.files));
+            this.fileInput.value = ''; // the same file can be picked again after removal
+        });
+
+        // dragenter/dragleave fire for every child element, so nesting depth is counted
+        this.dropZone.addEventListener('dragenter', (e) => {
+            if (!ComposerAttachments.hasFiles(e)) return;
+            e.preventDefault();
+            this.dragDepth++;
+            this.dropZone.classList.add('dragging');
+        });
+        this.dropZone.addEventListener('dragover', (e) => {
+            if (!ComposerAttachments.hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        this.dropZone.addEventListener('dragleave', () => {
+            this.dragDepth = Math.max(0, this.dragDepth - 1);
+            if (this.dragDepth === 0) {
+                this.dropZone.classList.remove('dragging');
+            }
+        });
+        this.dropZone.addEventListener('drop', (e) => {
+            if (!ComposerAttachments.hasFiles(e)) return;
+            e.preventDefault();
+            this.dragDepth = 0;
+            this.dropZone.classList.remove('dragging');
+            this.addFiles(Array.from(e.dataTransfer.files));
+        });
+
+        this.chips.addEventListener('click', (e) => {
+            const remove = e.target.closest('.attachment-chip-remove');
+            if (remove) {
+                this.removeAt(parseInt(remove.dataset.index, 10));
+                return;
+            }
+            const chip = e.target.closest('.attachment-chip');
+            if (chip) {
+                this.togglePreview(parseInt(chip.dataset.index, 10));
+            }
+        });
+    }
+
+    static hasFiles(event) {
+        return Array.from(event.dataTransfer ? event.dataTransfer.types : []).includes('Files');
+    }
+
+    static typeOf(fileName) {
+        const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+        return ComposerAttachments.types[extension] || null;
+    }
+
+    // Read accepted files; rejected ones are listed under the chips with the reason.
+    // Slots are reserved before the first read, so overlapping drops can't exceed the limits
+    async addFiles(files) {
+        this.errors = [];
+        const reject = (file, key, params = {}) => this.errors.push(i18n.t(key, { name: file.name, ...params }));
+        const taken = [...this.attachments, ...this.reserved];
+        let totalBytes = taken.reduce((sum, item) => sum + item.size, 0);
+        const accepted = [];
+
+        for (const file of files) {
+            const type = ComposerAttachments.typeOf(file.name);
+
+            if (!type) {
+                reject(file, 'attachments.unsupported');
+            } else if (taken.length >= ComposerAttachments.maxFiles) {
+                reject(file, 'attachments.tooMany', { count: ComposerAttachments.maxFiles });
+            } else if (taken.some(item => item.name === file.name)) {
+                reject(file, 'attachments.duplicate');
+            } else if (file.size > ComposerAttachments.maxFileBytes) {
+                reject(file, 'attachments.tooLarge', { limit: ComposerAttachments.formatSize(ComposerAttachments.maxFileBytes) });
+            } else if (totalBytes + file.size > ComposerAttachments.maxTotalBytes) {
+                reject(file, 'attachments.totalTooLarge', { limit: ComposerAttachments.formatSize(ComposerAttachments.maxTotalBytes) });
+            } else {
+                const slot = { name: file.name, size: file.size };
+                taken.push(slot);
+                this.reserved.push(slot);
+                accepted.push({ file, type, slot });
+                totalBytes += file.size;
+            }
+        }
+
+        for (const { file, type, slot } of accepted) {
+            try {
+                const attachment = ComposerAttachments.build(file.name, type, file.size, await file.text());
+                // The composer was cleared (message sent) while the file was being read
+                if (this.reserved.includes(slot)) {
+                    this.attachments.push(attachment);
+                }
+            } catch (error) {
+                reject(file, 'attachments.readError', { message: error.message });
+            } finally {
+                this.reserved = this.reserved.filter(item => item !== slot);
+            }
+        }
+
+        this.render();
+        this.onChange();
+    }
+
+    // { name, type, size, content, frontmatter }; JSON must parse, Markdown loses its frontmatter block
+    static build(name, type, size, text) {
+        if (type === 'json') {
+            JSON.parse(text);
+        }
+        const { frontmatter, body } = type === 'markdown'
+            ? ComposerAttachments.parseFrontmatter(text)
+            : { frontmatter: {}, body: text };
+        return { name, type, size, content: body, frontmatter };
+    }
+
+    // YAML frontmatter subset used in Obsidian: scalars, [inline, lists] and "- item" lists
+    static parseFrontmatter(text) {
+        const match = text.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(\r?\n|$)/);
+        if (!match) return { frontmatter: {}, body: text };
+
+        const frontmatter = {};
+        let listKey = null;
+        match[1].split(/\r?\n/).forEach(line => {
+            const item = line.match(/^\s+-\s*(.*)$|^-\s+(.*)$/);
+            if (item && listKey) {
+                frontmatter[listKey].push(ComposerAttachments.parseScalar(item[1] !== undefined ? item[1] : item[2]));
+                return;
+            }
+
+            const pair = line.match(/^([^\s:#][^:]*):\s*(.*)$/);
+            if (!pair) return;
+
+            const key = pair[1].trim();
+            const value = pair[2].trim();
+            listKey = null;
+            if (value === '') {
+                frontmatter[key] = [];
+                listKey = key;
+            } else if (value.startsWith('[') && value.endsWith(']')) {
+                frontmatter[key] = value.slice(1, -1).split(',')
+                    .map(part => part.trim())
+                    .filter(Boolean)
+                    .map(part => ComposerAttachments.parseScalar(part));
+            } else {
+                frontmatter[key] = ComposerAttachments.parseScalar(value);
+            }
+        });
+
+        return { frontmatter, body: text.slice(match[0].length) };
+    }
+
+    static parseScalar(value) {
+        const quoted = value.match(/^(["'])(.*)\1$/);
+        if (quoted) return quoted[2];
+        if (value === 'true' || value === 'false') return value === 'true';
+        if (value === 'null' || value === '~') return null;
+        if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+        return value;
+    }
+
+    static formatSize(bytes) {
+        return bytes < 1024
+            ? i18n.formatNumber(bytes, { style: 'unit', unit: 'byte', unitDisplay: 'short' })
+            : i18n.formatNumber(bytes / 1024, { style: 'unit', unit: 'kilobyte', unitDisplay: 'short', maximumFractionDigits: 1 });
+    }
+
+    removeAt(index) {
+        this.attachments.splice(index, 1);
+        this.errors = [];
+        if (this.previewIndex === index) {
+            this.previewIndex = null;
+        } else if (this.previewIndex !== null && this.previewIndex > index) {
+            this.previewIndex--;
+        }
+        this.render();
+        this.onChange();
+    }
+
+    togglePreview(index) {
+        this.previewIndex = this.previewIndex === index ? null : index;
+        this.render();
+    }
+
+    // Attachments for the next /api/chat request (size is only needed by the composer)
+    getAttachments() {
+        return this.attachments.map(({ name, type, content, frontmatter }) => ({ name, type, content, frontmatter }));
+    }
+
+    setAttachments(attachments) {
+        this.attachments = (attachments || []).map(attachment => ({
+            ...attachment,
+            size: attachment.size || new Blob([attachment.content]).size
+        }));
+        this.reserved = [];
+        this.errors = [];
+        this.previewIndex = null;
+        this.render();
+    }
+
+    clear() {
+        this.setAttachments([]);
+    }
+
+    render() {
+        this.renderChips();
+        this.renderPreview();
+    }
+
+    renderChips() {
+        this.chips.innerHTML = '';
+        this.chips.hidden = this.attachments.length === 0 && this.errors.length === 0;
+
+        this.attachments.forEach((attachment, index) => {
+            const chip = document.createElement('span');
+            chip.className = `reference-chip attachment-chip ${attachment.type}`;
+            chip.classList.toggle('selected', index === this.previewIndex);
+            chip.dataset.index = index;
+            chip.title = i18n.t('attachments.preview');
+
+            const label = document.createElement('span');
+            label.textContent = `📄 ${attachment.name}`;
+            chip.appendChild(label);
+
+            const size = document.createElement('span');
+            size.className = 'attachment-size';
+            size.textContent = ComposerAttachments.formatSize(attachment.size);
+            chip.appendChild(size);
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'reference-chip-remove attachment-chip-remove';
+            remove.dataset.index = index;
+            remove.title = i18n.t('attachments.remove');
+            remove.textContent = '×';
+            chip.appendChild(remove);
+
+            this.chips.appendChild(chip);
+        });
+
+        this.errors.forEach(message => {
+            const error = document.createElement('span');
+            error.className = 'attachment-error';
+            error.textContent = message;
+            this.chips.appendChild(error);
+        });
+    }
+
+    // Frontmatter as a list, then the beginning of the text
+    renderPreview() {
+        const attachment = this.previewIndex === null ? null : this.attachments[this.previewIndex];
+        this.preview.innerHTML = '';
+        this.preview.hidden = !attachment;
+        if (!attachment) return;
+
+        const entries = Object.entries(attachment.frontmatter || {});
+        if (entries.length > 0) {
+            const list = document.createElement('dl');
+            list.className = 'attachment-frontmatter';
+            entries.forEach(([key, value]) => {
+                const term = document.createElement('dt');
+                term.textContent = key;
+                const description = document.createElement('dd');
+                description.textContent = Array.isArray(value) ? value.join(', ') : String(value);
+                list.appendChild(term);
+                list.appendChild(description);
+            });
+            this.preview.appendChild(list);
+        }
+
+        const text = document.createElement('pre');
+        text.className = 'attachment-text';
+        const content = attachment.content;
+        text.textContent = content.length > ComposerAttachments.previewLength
+            ? `${content.slice(0, ComposerAttachments.previewLength)}…`
+            : content;
+        this.preview.appendChild(text);
+    }
+}
@@ -0,0 +1,303 @@
+// Vtoroy AI Assistant - @note and #tag references in the message composer
+//
+// Выбранные ссылки показываются чипами над полем ввода и уходят в /api/chat
+// отдельным полем references, поэтому агенту не нужно угадывать пути по тексту.
+// Заметки ищутся через поиск по базе знаний, теги берутся из /api/notes/tags.
+class ComposerReferences {
+    constructor(input, popup, chips, options = {}) {
+        this.input = input;
+        this.popup = popup;
+        this.chips = chips;
+        this.onChange = options.onChange || (() => {});
+
+        this.references = [];
+        this.items = [];
+        this.selectedIndex = 0;
+        this.trigger = null;
+        this.tags = null;
+        this.searchTimer = null;
+        this.searchToken = 0;
+
+        this.bindEvents();
+    }
+
+    static noteSource = 'obsidian';
+    static searchLimit = 8;
+    static searchDelay = 250;
+
+    // Registered before the app's own keydown handler so Enter/Escape can be taken over
+    bindEvents() {
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('blur', () => setTimeout(() => this.close(), 150));
+
+        this.input.addEventListener('keydown', (e) => {
+            if (!this.isOpen()) return;
+
+            const handled = {
+                ArrowDown: () => this.select(this.selectedIndex + 1),
+                ArrowUp: () => this.select(this.selectedIndex - 1),
+                Tab: () => this.accept(),
+                Enter: () => (e.ctrlKey ? false : this.accept()),
+                Escape: () => this.close()
+            }[e.key];
+
+            if (handled && handled() !== false) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+            }
+        });
+
+        this.popup.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.slash-item');
+            if (!item) return;
+            e.preventDefault();
+            this.select(parseInt(item.dataset.index, 10));
+            this.accept();
+        });
+
+        this.chips.addEventListener('click', (e) => {
+            const remove = e.target.closest('.reference-chip-remove');
+            if (remove) {
+                this.removeAt(parseInt(remove.dataset.index, 10));
+            }
+        });
+    }
+
+    isOpen() {
+        return !this.popup.hidden;
+    }
+
+    close() {
+        this.popup.hidden = true;
+        this.items = [];
+        this.trigger = null;
+        clearTimeout(this.searchTimer);
+    }
+
+    // "@part" or "#part" right before the caret; slash commands are left alone
+    findTrigger() {
+        if (this.input.value.startsWith('/')) return null;
+
+        const caret = this.input.selectionStart;
+        const before = this.input.value.slice(0, caret);
+        const match = /(^|\s)([@#])([^\s@#]*)$/.exec(before);
+        if (!match) return null;
+
+        return {
+            type: match[2] === '@' ? 'note' : 'tag',
+            partial: match[3],
+            start: caret - match[3].length - 1,
+            end: caret
+        };
+    }
+
+    update() {
+        const trigger = this.findTrigger();
+        if (!trigger) {
+            this.close();
+            return;
+        }
+
+        this.trigger = trigger;
+        if (trigger.type === 'tag') {
+            this.suggestTags(trigger.partial);
+        } else {
+            this.suggestNotes(trigger.partial);
+        }
+    }
+
+    async suggestTags(partial) {
+        const tags = await this.loadTags();
+        if (!this.trigger || this.trigger.type !== 'tag') return;
+
+        const lower = partial.toLowerCase();
+        const matches = tags.filter(tag => tag.toLowerCase().includes(lower)).slice(0, ComposerReferences.searchLimit);
+        this.show(matches.map(tag => ({ type: 'tag', value: tag, label: `#${tag}`, detail: '' })), i18n.t('references.noTags'));
+    }
+
+    // Debounced: every keystroke would otherwise hit the vector search
+    suggestNotes(partial) {
+        clearTimeout(this.searchTimer);
+        if (partial.length < 2) {
+            this.show([], i18n.t('references.typeToSearch'));
+            return;
+        }
+
+        const token = ++this.searchToken;
+        this.searchTimer = setTimeout(async () => {
+            const notes = await this.searchNotes(partial);
+            if (token !== this.searchToken || !this.trigger || this.trigger.type !== 'note') return;
+
+            this.show(notes.map(path => ({
+                type: 'note',
+                value: path,
+                label: `@${this.noteName(path)}`,
+                detail: path
+            })), i18n.t('references.noNotes'));
+        }, ComposerReferences.searchDelay);
+    }
+
+    async loadTags() {
+        if (this.tags) return this.tags;
+
+        try {
+            const response = await fetch('/api/notes/tags');
+            if (!response.ok) return [];
+
+            const data = await response.json();
+            this.tags = data.tags || [];
+        } catch (error) {
+            console.warn('Failed to load vault tags:', error);
+            return [];
+        }
+        return this.tags;
+    }
+
+    // Distinct note paths from the knowledge search, best match first
+    async searchNotes(query) {
+        try {
+            const params = new URLSearchParams({
+                query,
+                limit: ComposerReferences.searchLimit,
+                source: ComposerReferences.noteSource
+            });
+            const response = await fetch(`/api/knowledge/search?${params}`);
+            if (!response.ok) return [];
+
+            const data = await response.json();
+            return Array.from(new Set((data.results || []).map(result => result.filePath)));
+        } catch (error) {
+            console.warn('Note search failed:', error);
+            return [];
+        }
+    }
+
+    show(items, emptyText) {
+        this.items = items;
+        this.selectedIndex = 0;
+        this.render(emptyText);
+        this.popup.hidden = false;
+    }
+
+    select(index) {
+        if (this.items.length === 0) return;
+        this.selectedIndex = (index + this.items.length) % this.items.length;
+        this.render();
+    }
+
+    // Replace the typed "@part" with the readable name and keep the exact target as a chip
+    accept() {
+        const item = this.items[this.selectedIndex];
+        if (!item || !this.trigger) {
+            this.close();
+            return false;
+        }
+
+        const { start, end } = this.trigger;
+        const value = this.input.value;
+        const text = `${item.label} `;
+        this.input.value = value.slice(0, start) + text + value.slice(end).replace(/^\s/, '');
+        this.input.setSelectionRange(start + text.length, start + text.length);
+
+        this.add({ type: item.type, value: item.value });
+        this.close();
+        this.onChange();
+        return true;
+    }
+
+    add(reference) {
+        const exists = this.references.some(item => item.type === reference.type && item.value === reference.value);
+        if (!exists) {
+            this.references.push(reference);
+            this.renderChips();
+        }
+    }
+
+    removeAt(index) {
+        this.references.splice(index, 1);
+        this.renderChips();
+        this.input.focus();
+    }
+
+    // References for the next /api/chat request
+    getReferences() {
+        return this.references.map(reference => ({ ...reference }));
+    }
+
+    setReferences(references) {
+        this.references = (references || []).map(reference => ({ ...reference }));
+        this.renderChips();
+    }
+
+    clear() {
+        this.setReferences([]);
+        this.close();
+    }
+
+    // Vault tags change when notes are created; reload them on next use
+    invalidateTags() {
+        this.tags = null;
+    }
+
+    noteName(path) {
+        return path.split('/').pop().replace(/\.md$/, '');
+    }
+
+    render(emptyText) {
+        this.popup.innerHTML = '';
+
+        if (this.items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'slash-empty';
+            empty.textContent = emptyText || '';
+            this.popup.appendChild(empty);
+            return;
+        }
+
+        this.items.forEach((item, index) => {
+            const element = document.createElement('div');
+            element.className = 'slash-item';
+            element.classList.toggle('selected', index === this.selectedIndex);
+            element.dataset.index = index;
+
+            const name = document.createElement('span');
+            name.className = 'slash-name';
+            name.textContent = item.label;
+            element.appendChild(name);
+
+            if (item.detail) {
+                const detail = document.createElement('span');
+                detail.className = 'slash-description';
+                detail.textContent = item.detail;
+                element.appendChild(detail);
+            }
+
+            this.popup.appendChild(element);
+        });
+    }
+
+    renderChips() {
+        this.chips.innerHTML = '';
+        this.chips.hidden = this.references.length === 0;
+
+        this.references.forEach((reference, index) => {
+            const chip = document.createElement('span');
+            chip.className = `reference-chip ${reference.type}`;
+            chip.title = reference.value;
+
+            const label = document.createElement('span');
+            label.textContent = reference.type === 'tag' ? `#${reference.value}` : `@${this.noteName(reference.value)}`;
+            chip.appendChild(label);
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'reference-chip-remove';
+            remove.dataset.index = index;
+            remove.title = i18n.t('references.remove');
+            remove.textContent = '×';
+            chip.appendChild(remove);
+
+            this.chips.appendChild(chip);
+        });
+    }
+}
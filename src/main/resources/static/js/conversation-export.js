@@ -0,0 +1,343 @@
+// Vtoroy AI Assistant - Conversation export (Obsidian Markdown / JSON) and JSON import
+//
+// Markdown повторяет формат заметок vault: YAML frontmatter с тегами списком
+// и заголовок первого уровня; шаги reasoning сворачиваются в callouts.
+// JSON хранит транскрипт как есть, поэтому импортируется без потерь.
+class ConversationExportDialog {
+    constructor(dialog, options = {}) {
+        this.dialog = dialog;
+        this.sessionStore = options.sessionStore;
+        this.getSessionId = options.getSessionId;
+        this.generateSessionId = options.generateSessionId;
+        this.onImported = options.onImported || (() => {});
+
+        this.form = dialog.querySelector('form');
+        this.folderSelect = dialog.querySelector('#conversation-export-folder');
+        this.nameInput = dialog.querySelector('#conversation-export-name');
+        this.vaultFields = dialog.querySelector('.conversation-export-vault');
+        this.importInput = dialog.querySelector('#conversation-import-file');
+        this.status = dialog.querySelector('.log-export-status');
+        this.submitButton = dialog.querySelector('.log-export-submit');
+        this.foldersLoaded = false;
+
+        this.bindEvents();
+    }
+
+    static format = 'vtoroy-conversation';
+    static version = 1;
+    static defaultFolder = 'Reports';
+
+    bindEvents() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.export();
+        });
+
+        this.dialog.querySelector('.log-export-cancel').addEventListener('click', () => this.dialog.close());
+        this.form.addEventListener('change', () => this.updateFields());
+
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files[0];
+            this.importInput.value = '';
+            if (file) {
+                this.importFile(file);
+            }
+        });
+    }
+
+    open() {
+        const session = this.sessionStore.getSession(this.getSessionId());
+        this.nameInput.value = this.toFileName(this.getTitle(session));
+        this.setStatus('');
+        this.updateFields();
+        this.loadFolders();
+        this.dialog.showModal();
+    }
+
+    getFormat() {
+        return this.form.elements.format.value;
+    }
+
+    getDestination() {
+        return this.form.elements.destination.value;
+    }
+
+    // Vault destination only makes sense for Markdown
+    updateFields() {
+        const markdown = this.getFormat() === 'markdown';
+        this.form.querySelector('input[name="destination"][value="vault"]').disabled = !markdown;
+        if (!markdown) {
+            this.form.elements.destination.value = 'download';
+        }
+        this.vaultFields.hidden = this.getDestination() !== 'vault';
+    }
+
+    async loadFolders() {
+        if (this.foldersLoaded) return;
+
+        try {
+            const response = await fetch('/api/notes/folders');
+            if (!response.ok) return;
+
+            const data = await response.json();
+            (data.folders || []).forEach(folder => {
+                const option = document.createElement('option');
+                option.value = folder;
+                option.textContent = folder;
+                this.folderSelect.appendChild(option);
+            });
+            if ((data.folders || []).includes(ConversationExportDialog.defaultFolder)) {
+                this.folderSelect.value = ConversationExportDialog.defaultFolder;
+            }
+            this.foldersLoaded = true;
+        } catch (error) {
+            console.warn('Failed to load vault folders:', error);
+        }
+    }
+
+    async export() {
+        const sessionId = this.getSessionId();
+        const session = this.sessionStore.getSession(sessionId) || { id: sessionId };
+        const messages = this.sessionStore.getTranscript(sessionId);
+
+        if (messages.length === 0) {
+            this.setStatus(i18n.t('conversation.empty'), true);
+            return;
+        }
+
+        this.submitButton.disabled = true;
+        try {
+            if (this.getFormat() === 'json') {
+                this.download(this.toJSON(session, messages), 'application/json', 'json');
+            } else if (this.getDestination() === 'vault') {
+                await this.saveToVault(this.buildNote(session, messages));
+                return;
+            } else {
+                this.download(this.toMarkdown(this.buildNote(session, messages)), 'text/markdown', 'md');
+            }
+            this.dialog.close();
+        } catch (error) {
+            console.error('Conversation export failed:', error);
+            this.setStatus(i18n.t('conversation.error', { message: error.message }), true);
+        } finally {
+            this.submitButton.disabled = false;
+        }
+    }
+
+    // Full transcript: metadata with reasoning_details / execution_details and thinking timelines
+    toJSON(session, messages) {
+        return JSON.stringify({
+            format: ConversationExportDialog.format,
+            version: ConversationExportDialog.version,
+            exportedAt: new Date().toISOString(),
+            session: {
+                id: session.id,
+                title: session.title || '',
+                createdAt: session.createdAt || null,
+                updatedAt: session.updatedAt || null
+            },
+            messages
+        }, null, 2);
+    }
+
+    // Note parts: frontmatter goes to the vault API separately from the body
+    buildNote(session, messages) {
+        const metadata = messages.map(message => message.metadata).filter(Boolean);
+        const unique = (values) => Array.from(new Set(values.filter(Boolean)));
+        const started = new Date(messages[0].timestamp || session.createdAt || Date.now());
+        const title = this.getTitle(session);
+
+        return {
+            title,
+            tags: ['vtoroy', 'conversation'],
+            frontmatter: {
+                session_id: session.id,
+                date: this.toLocalDate(started),
+                approach: unique(metadata.map(item => item.approach)),
+                tools: unique(metadata.flatMap(item => item.tools_used || []))
+            },
+            body: this.renderBody(title, messages)
+        };
+    }
+
+    renderBody(title, messages) {
+        const lines = [`# ${title}`, ''];
+
+        messages.forEach(message => {
+            const author = message.role === 'user' ? i18n.t('conversation.user') : i18n.t('conversation.assistant');
+            const time = message.timestamp ? ` · ${i18n.formatDateTime(message.timestamp)}` : '';
+            lines.push(`## ${author}${time}`, '', (message.content || '').trim(), '');
+
+            const metadata = message.metadata || {};
+            (metadata.reasoning_details || []).forEach(step => {
+                lines.push(...this.renderReasoningCallout(step), '');
+            });
+            (metadata.execution_details || []).forEach(step => {
+                lines.push(...this.renderExecutionCallout(step), '');
+            });
+            if (message.thinking && message.thinking.steps && message.thinking.steps.length > 0) {
+                lines.push(...this.renderThinkingCallout(message.thinking), '');
+            }
+        });
+
+        return lines.join('\n').trim() + '\n';
+    }
+
+    renderReasoningCallout(step) {
+        const fields = [
+            [i18n.t('reasoning.thought'), step.thought],
+            [i18n.t('reasoning.action'), step.action],
+            [i18n.t('reasoning.input'), typeof step.input === 'string' || step.input == null ? step.input : JSON.stringify(step.input)],
+            [i18n.t('reasoning.observation'), step.observation]
+        ].filter(([, value]) => value);
+
+        const body = fields.map(([label, value]) => `**${label}:** ${value}`).join('\n\n');
+        return this.callout('abstract', `🧠 ${i18n.t('reasoning.step', { step: step.step })}`, body);
+    }
+
+    renderExecutionCallout(step) {
+        const title = `🎯 ${i18n.t('reasoning.step', { step: step.step })}${step.type ? ` · ${step.type}` : ''}`;
+        const body = [step.action, step.result].filter(Boolean).join('\n\n');
+        return this.callout('example', title, body);
+    }
+
+    renderThinkingCallout(thinking) {
+        const body = thinking.steps
+            .map(step => `- +${i18n.t('thinking.seconds', { value: ((step.at - thinking.startedAt) / 1000).toFixed(1) })} · ${step.type}: ${step.message}`)
+            .join('\n');
+        return this.callout('note', i18n.t('thinking.complete'), body);
+    }
+
+    // Folded Obsidian callout: every body line is quoted
+    callout(type, title, body) {
+        const quoted = String(body || '').split('\n').map(line => (line ? `> ${line}` : '>'));
+        return [`> [!${type}]- ${title}`, ...quoted];
+    }
+
+    // Standalone file: the same frontmatter the vault API writes
+    toMarkdown(note) {
+        const frontmatter = {
+            title: note.title,
+            ...note.frontmatter,
+            tags: note.tags,
+            created: this.toLocalDateTime(new Date())
+        };
+        const yaml = Object.entries(frontmatter)
+            .map(([key, value]) => `${key}: ${this.toYamlValue(value)}`)
+            .join('\n');
+        return `---\n${yaml}\n---\n\n${note.body}`;
+    }
+
+    toYamlValue(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.toYamlValue(item)).join(', ')}]`;
+        }
+        const text = String(value);
+        return /^[\p{L}\p{N}_.:\-]+$/u.test(text) ? text : JSON.stringify(text);
+    }
+
+    async saveToVault(note) {
+        const name = this.toFileName(this.nameInput.value) || this.toFileName(note.title);
+        const folder = this.folderSelect.value;
+        const path = folder ? `${folder}/${name}.md` : `${name}.md`;
+
+        this.setStatus(i18n.t('conversation.saving'));
+        const response = await fetch('/api/notes', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                path,
+                title: note.title,
+                content: note.body,
+                tags: note.tags,
+                frontmatter: note.frontmatter
+            })
+        });
+
+        if (response.status === 409) {
+            throw new Error(i18n.t('conversation.exists', { path }));
+        }
+        if (!response.ok) {
+            // A proxy may answer with an HTML page: the status is enough then
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.message || `HTTP ${response.status}`);
+        }
+        const data = await response.json();
+
+        this.setStatus(i18n.t('conversation.saved', { path: data.note.path }));
+    }
+
+    // Restore a JSON export as a new session
+    async importFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const messages = this.validateImport(data);
+
+            const existing = data.session && data.session.id ? this.sessionStore.getSession(data.session.id) : null;
+            const sessionId = data.session && data.session.id && !existing ? data.session.id : this.generateSessionId();
+
+            this.sessionStore.setTranscript(sessionId, messages);
+            if (data.session && data.session.title) {
+                this.sessionStore.renameSession(sessionId, data.session.title);
+            }
+
+            this.dialog.close();
+            this.onImported(sessionId);
+        } catch (error) {
+            console.error('Conversation import failed:', error);
+            this.setStatus(i18n.t('conversation.importError', { message: error.message }), true);
+        }
+    }
+
+    validateImport(data) {
+        if (!data || data.format !== ConversationExportDialog.format || !Array.isArray(data.messages)) {
+            throw new Error(i18n.t('conversation.invalidFile'));
+        }
+
+        return data.messages
+            .filter(message => message && ['user', 'assistant'].includes(message.role) && typeof message.content === 'string')
+            .map(message => ({
+                role: message.role,
+                content: message.content,
+                metadata: message.metadata || null,
+                thinking: message.thinking || null,
+                timestamp: message.timestamp || Date.now()
+            }));
+    }
+
+    getTitle(session) {
+        return (session && session.title) || i18n.t('conversation.defaultTitle', { date: this.toLocalDate(new Date()) });
+    }
+
+    // Characters Obsidian does not allow in note names
+    toFileName(title) {
+        return String(title || '').replace(/[\\/:*?"<>|#^[\]]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 80);
+    }
+
+    toLocalDate(date) {
+        return this.toLocalDateTime(date).slice(0, 10);
+    }
+
+    toLocalDateTime(date) {
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 19);
+    }
+
+    download(content, type, extension) {
+        const blob = new Blob([content], { type: `${type};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${this.toFileName(this.nameInput.value) || 'vtoroy-conversation'}.${extension}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    setStatus(text, isError = false) {
+        this.status.textContent = text;
+        this.status.classList.toggle('error', isError);
+    }
+}
@@ -0,0 +1,146 @@
+// Vtoroy AI Assistant - Adaptive backend health polling
+//
+// Опрашивает /actuator/health и различает три состояния: online (всё UP),
+// degraded (бэкенд отвечает, но он сам или один из компонентов не UP) и
+// offline (ответа нет). Пока бэкенд недоступен, интервал растёт экспоненциально;
+// сразу после восстановления несколько проверок идут часто; на скрытой
+// вкладке опрос останавливается и возобновляется при возвращении.
+class HealthMonitor {
+    constructor(options = {}) {
+        this.url = options.url || '/actuator/health';
+        this.onCheck = options.onCheck || (() => {});
+        this.intervalMs = options.intervalMs || 30000;
+        this.fastIntervalMs = options.fastIntervalMs || 5000;
+        this.fastChecks = options.fastChecks || 3;
+        this.baseDelayMs = options.baseDelayMs || 5000;
+        this.maxDelayMs = options.maxDelayMs || 300000;
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.historySize = options.historySize || 120;
+
+        this.state = 'connecting';
+        this.health = null;
+        this.history = [];
+        this.failures = 0;
+        this.fastChecksLeft = 0;
+        this.timer = null;
+        this.nextCheckAt = null;
+        this.checking = false;
+        this.paused = false;
+    }
+
+    start() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.paused = true;
+                this.nextCheckAt = null;
+                clearTimeout(this.timer);
+            } else if (this.paused) {
+                this.paused = false;
+                this.checkNow();
+            }
+        });
+        window.addEventListener('online', () => this.checkNow());
+
+        this.checkNow();
+    }
+
+    // Check right away, e.g. after a failed request or when the network comes back
+    checkNow() {
+        clearTimeout(this.timer);
+        return this.check();
+    }
+
+    async check() {
+        if (this.checking) return;
+        this.checking = true;
+
+        const previous = this.state;
+        const startedAt = performance.now();
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+        let latencyMs = null;
+
+        try {
+            // Actuator answers 503 with a JSON body when DOWN, so the body is read regardless of status
+            const response = await fetch(this.url, { signal: controller.signal, cache: 'no-store' });
+            latencyMs = Math.round(performance.now() - startedAt);
+            this.health = await response.json();
+            this.state = HealthMonitor.stateOf(this.health);
+        } catch (error) {
+            console.warn('Health check failed:', error);
+            this.health = null;
+            this.state = 'offline';
+        } finally {
+            clearTimeout(timeout);
+            this.checking = false;
+        }
+
+        this.failures = this.state === 'offline' ? this.failures + 1 : 0;
+        if (previous === 'offline' && this.state !== 'offline') {
+            this.fastChecksLeft = this.fastChecks;
+        }
+
+        this.history.push({ timestamp: Date.now(), state: this.state, latencyMs });
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        this.schedule();
+        this.onCheck(this.getSnapshot(), previous);
+    }
+
+    static stateOf(health) {
+        if (!health || health.status !== 'UP') return 'degraded';
+        return HealthMonitor.flattenComponents(health.components).every(component => component.status === 'UP')
+            ? 'online'
+            : 'degraded';
+    }
+
+    // Nested composite indicators become "parent / child" entries
+    static flattenComponents(components, prefix = '') {
+        return Object.entries(components || {}).flatMap(([name, component]) => {
+            const fullName = prefix ? `${prefix} / ${name}` : name;
+            if (component.components) {
+                return HealthMonitor.flattenComponents(component.components, fullName);
+            }
+            return [{ name: fullName, status: component.status, details: component.details || {} }];
+        });
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        if (this.paused) return;
+
+        const delay = this.getDelay();
+        this.nextCheckAt = Date.now() + delay;
+        this.timer = setTimeout(() => this.check(), delay);
+    }
+
+    getDelay() {
+        if (this.state === 'offline') {
+            return Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (this.failures - 1));
+        }
+        if (this.fastChecksLeft > 0) {
+            this.fastChecksLeft--;
+            return this.fastIntervalMs;
+        }
+        return this.intervalMs;
+    }
+
+    // Share of checks in the history that reached the backend
+    getAvailability() {
+        if (this.history.length === 0) return null;
+        return this.history.filter(entry => entry.state !== 'offline').length / this.history.length;
+    }
+
+    getSnapshot() {
+        return {
+            state: this.state,
+            status: this.health ? this.health.status : null,
+            components: HealthMonitor.flattenComponents(this.health ? this.health.components : null),
+            history: this.history.slice(),
+            availability: this.getAvailability(),
+            nextCheckAt: this.nextCheckAt
+        };
+    }
+}
@@ -0,0 +1,941 @@
+// Vtoroy AI Assistant - UI internationalization (message catalogs, plurals, dates)
+//
+// Разметка помечается атрибутами data-i18n / data-i18n-placeholder /
+// data-i18n-title, строки в коде берутся через i18n.t(). Множественные формы
+// выбираются Intl.PluralRules, даты форматирует Intl.DateTimeFormat.
+class I18n {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.storageKey = 'vtoroy.locale';
+        this.fallbackLocale = 'ru';
+        this.listeners = [];
+        this.locale = this.detectLocale();
+        this.pluralRules = new Intl.PluralRules(this.locale);
+    }
+
+    static catalogs = {
+        ru: {
+            'app.name': 'Второй',
+            'locale.label': 'Язык интерфейса',
+            'theme.label': 'Тема',
+            'theme.system': '🖥️ Системная',
+            'theme.dark': '🌙 Тёмная',
+            'theme.light': '☀️ Светлая',
+            'theme.high-contrast': '◐ Контрастная',
+
+            'speech.autoRead': '🔊 Читать ответы',
+            'speech.autoReadHint': 'Зачитывать новые ответы голосом браузера',
+            'speech.voice': 'Голос',
+            'speech.defaultVoice': 'Голос по умолчанию',
+            'speech.rate': 'Скорость речи',
+            'speech.rateValue': '×{rate}',
+
+            'tabs.chat': 'Чат',
+            'tabs.knowledge': 'Знания',
+            'tabs.logs': 'Логи',
+            'tabs.analytics': 'Аналитика',
+            'tabs.system': 'Система',
+
+            'status.connecting': 'Подключение...',
+            'status.online': 'Онлайн',
+            'status.offline': 'Оффлайн',
+            'status.degraded': 'Работает с ошибками',
+            'status.unhealthy': 'Не в порядке: {components}',
+
+            'stream.open': 'Поток: онлайн',
+            'stream.connecting': 'Поток: подключение',
+            'stream.polling': 'Поток: опрос',
+            'stream.reconnecting': 'Поток: переподключение',
+            'stream.idle': 'Поток: нет подключений',
+
+            'sessions.title': 'Сессии',
+            'sessions.new': 'Новая',
+            'sessions.newTitle': 'Новая сессия',
+            'sessions.empty': 'Пока нет сохранённых сессий',
+            'sessions.pin': 'Закрепить',
+            'sessions.unpin': 'Открепить',
+            'sessions.rename': 'Переименовать',
+            'sessions.delete': 'Удалить',
+            'sessions.confirmDelete': 'Удалить сессию {title}?',
+            'sessions.messages': {
+                one: '{count} сообщение',
+                few: '{count} сообщения',
+                many: '{count} сообщений',
+                other: '{count} сообщения'
+            },
+
+            'welcome.title': 'Привет! Я — Второй',
+            'welcome.subtitle': 'Ваш персональный AI-ассистент с автономным принятием решений.',
+
+            'avatar.idle': 'Готов к работе',
+            'avatar.thinking': 'Обрабатываю...',
+            'avatar.speaking': 'Отвечаю...',
+            'avatar.searching': 'Ищу в базе знаний...',
+            'avatar.acting': 'Выполняю действие...',
+            'avatar.syncing': 'Синхронизирую знания...',
+            'avatar.waiting': 'Жду вашего ответа',
+            'avatar.error': 'Что-то пошло не так',
+            'avatar.offline': 'Нет связи с сервером',
+
+            'chat.placeholder': 'Опиши мне что нужно сделать...',
+            'chat.stop': 'Остановить (Esc)',
+            'chat.queueHint': 'Бэкенд недоступен: сообщение встанет в очередь',
+            'chat.session': 'Сессия:',
+            'chat.sendHint': '⌃↩ для отправки',
+            'chat.cancelled': '⏹️ Запрос остановлен',
+            'chat.attachmentsLost': '📎 Файлы {names} больше не в памяти страницы — прикрепите их снова и отправьте',
+            'chat.error': 'Извините, произошла ошибка: {message}',
+            'chat.askAboutFile': 'По заметке [[{path}]]: ',
+
+            'slash.search': 'Поиск по базе знаний',
+            'slash.sync': 'Синхронизировать все источники или один',
+            'slash.note': 'Открыть заметку',
+            'slash.new': 'Новая сессия',
+            'slash.logs': 'Логи с этим уровнем и выше',
+            'slash.export': 'Экспорт разговора',
+            'slash.usage': 'Использование: {usage}',
+            'slash.unknownLevel': 'Неизвестный уровень логов: {level}',
+            'slash.error': '❌ Команда /{command}: {message}',
+
+            'references.typeToSearch': 'Начните вводить название заметки',
+            'references.noNotes': 'Заметки не найдены',
+            'references.noTags': 'Теги не найдены',
+            'references.remove': 'Убрать ссылку',
+
+            'attachments.add': 'Прикрепить файл (.md, .txt, .json, .csv)',
+            'attachments.preview': 'Показать / скрыть содержимое',
+            'attachments.remove': 'Убрать файл',
+            'attachments.unsupported': '{name}: поддерживаются только .md, .txt, .json и .csv',
+            'attachments.tooMany': {
+                one: '{name}: можно прикрепить не больше {count} файла',
+                few: '{name}: можно прикрепить не больше {count} файлов',
+                many: '{name}: можно прикрепить не больше {count} файлов',
+                other: '{name}: можно прикрепить не больше {count} файла'
+            },
+            'attachments.duplicate': '{name}: файл уже прикреплён',
+            'attachments.tooLarge': '{name}: файл больше {limit}',
+            'attachments.totalTooLarge': '{name}: вместе с остальными файлами больше {limit}',
+            'attachments.readError': 'Не удалось прочитать {name}: {message}',
+
+            'actions.palette': 'Палитра команд',
+            'actions.shortcuts': 'Горячие клавиши',
+            'actions.cancel': 'Остановить запрос / закрыть панели',
+            'actions.tabChat': 'Вкладка: чат',
+            'actions.tabKnowledge': 'Вкладка: знания',
+            'actions.tabLogs': 'Вкладка: логи',
+            'actions.tabAnalytics': 'Вкладка: аналитика',
+            'actions.tabSystem': 'Вкладка: система',
+            'actions.knowledgePanel': 'Панель базы знаний',
+            'actions.sync': 'Синхронизировать базу знаний',
+            'actions.newSession': 'Новая сессия',
+            'actions.nextSession': 'Следующая сессия',
+            'actions.previousSession': 'Предыдущая сессия',
+            'actions.logsPause': 'Логи: пауза / продолжить',
+            'actions.logsClear': 'Логи: очистить',
+            'actions.logsExport': 'Логи: экспорт',
+            'actions.exportConversation': 'Экспорт разговора',
+            'actions.toggleTheme': 'Следующая тема',
+            'actions.themeSystem': 'Тема: как в системе',
+            'actions.themeDark': 'Тема: тёмная',
+            'actions.themeLight': 'Тема: светлая',
+            'actions.themeHighContrast': 'Тема: высокий контраст',
+            'actions.readAloud': 'Прочитать последний ответ вслух / остановить',
+            'actions.autoRead': 'Автоматически читать ответы: вкл / выкл',
+
+            'palette.placeholder': 'Команда или сессия...',
+            'palette.empty': 'Ничего не найдено',
+            'palette.session': 'сессия',
+
+            'shortcuts.button': 'Горячие клавиши (?)',
+            'shortcuts.title': '⌨️ Горячие клавиши',
+            'shortcuts.hint': 'Нажмите на сочетание, чтобы назначить новое. Backspace — снять, Esc — отмена.',
+            'shortcuts.change': 'Назначить другое сочетание',
+            'shortcuts.pressKeys': 'Нажмите клавиши...',
+            'shortcuts.recording': 'Ожидаю сочетание клавиш',
+            'shortcuts.unbound': 'не назначено',
+            'shortcuts.reassigned': '{combo} снято с действия «{action}»',
+            'shortcuts.reset': 'Сбросить',
+            'shortcuts.close': 'Готово',
+
+            'outbox.queued': '🕓 В очереди — отправится при подключении',
+            'outbox.sending': '📤 Отправка...',
+            'outbox.sent': '✓ Отправлено',
+            'outbox.failed': '⚠️ Не удалось отправить',
+            'outbox.cancelled': '⏹️ Остановлено',
+            'outbox.discarded': '🗑️ Не отправлено',
+            'outbox.resend': 'Отправить снова',
+            'outbox.discard': 'Удалить из очереди',
+            'outbox.storageFull': '⚠️ Хранилище браузера заполнено — сообщение не поставлено в очередь',
+
+            'message.approach': 'Подход: {approach}',
+            'message.reasoningSteps': {
+                one: '🧠 Reasoning: {count} шаг',
+                few: '🧠 Reasoning: {count} шага',
+                many: '🧠 Reasoning: {count} шагов',
+                other: '🧠 Reasoning: {count} шага'
+            },
+            'message.tools': '🔧 Инструменты: {tools}',
+            'message.conductorSteps': {
+                one: '🎯 Smart Conductor: {count} шаг',
+                few: '🎯 Smart Conductor: {count} шага',
+                many: '🎯 Smart Conductor: {count} шагов',
+                other: '🎯 Smart Conductor: {count} шага'
+            },
+            'message.latency': '⏱️ {latency}',
+            'message.attachments': '📎 {names}',
+            'message.error': '⚠️ Ошибка',
+            'message.copyMarkdown': 'Копировать как Markdown',
+            'message.copyText': 'Копировать как текст',
+            'message.retry': 'Повторить запрос',
+            'message.edit': 'Изменить и отправить заново',
+            'message.branch': 'Ветка: новая сессия с историей до этого сообщения',
+            'message.readAloud': 'Прочитать вслух',
+            'message.stopReading': 'Остановить чтение',
+            'message.editSend': 'Отправить',
+            'message.editCancel': 'Отмена',
+            'message.branchTitle': '{title} (ветка)',
+            'message.branchError': '❌ Не удалось создать ветку: {message}',
+
+            'reasoning.step': 'Шаг {step}',
+            'reasoning.thought': 'Мысль',
+            'reasoning.action': 'Действие',
+            'reasoning.input': 'Вход',
+            'reasoning.observation': 'Наблюдение',
+
+            'trace.reasoningSteps': {
+                one: '{count} шаг reasoning',
+                few: '{count} шага reasoning',
+                many: '{count} шагов reasoning',
+                other: '{count} шага reasoning'
+            },
+            'trace.executionSteps': {
+                one: '{count} шаг выполнения',
+                few: '{count} шага выполнения',
+                many: '{count} шагов выполнения',
+                other: '{count} шага выполнения'
+            },
+            'trace.tools': {
+                one: '{count} инструмент',
+                few: '{count} инструмента',
+                many: '{count} инструментов',
+                other: '{count} инструмента'
+            },
+            'trace.reasoning': 'Reasoning',
+            'trace.execution': 'Выполнение',
+            'trace.filter': 'Фильтр по инструменту',
+            'trace.allTools': 'Все инструменты',
+            'trace.expandAll': 'Развернуть всё',
+            'trace.collapseAll': 'Свернуть всё',
+            'trace.linkedStep': '← из шага {step}',
+            'trace.result': 'Результат',
+            'trace.status.success': 'Выполнено',
+            'trace.status.error': 'Ошибка',
+            'trace.status.pending': 'Нет результата',
+            'trace.status.final': 'Итоговая мысль',
+
+            'markdown.copy': 'Копировать',
+            'markdown.copied': 'Скопировано',
+
+            'thinking.running': '🧠 Второй думает...',
+            'thinking.complete': '🧠 Ход мысли',
+            'thinking.cancelled': '⏹️ Остановлено',
+            'thinking.error': '⚠️ Размышление прервано',
+            'thinking.summary': {
+                one: '{title} · {count} шаг · {duration}',
+                few: '{title} · {count} шага · {duration}',
+                many: '{title} · {count} шагов · {duration}',
+                other: '{title} · {count} шага · {duration}'
+            },
+            'thinking.ms': '{value} мс',
+            'thinking.seconds': '{value} с',
+            'thinking.type.start': 'Старт',
+            'thinking.type.delegate': 'Делегирование',
+            'thinking.type.search': 'Поиск',
+            'thinking.type.dialogue': 'Диалог',
+            'thinking.type.planning': 'Планирование',
+            'thinking.type.plan_ready': 'План',
+            'thinking.type.step_start': 'Шаг',
+            'thinking.type.step_complete': 'Шаг выполнен',
+            'thinking.type.finalizing': 'Итог',
+            'thinking.type.error': 'Ошибка',
+            'thinking.type.obsidian_thinking': 'Анализ',
+            'thinking.type.obsidian_prompt': 'Промпт',
+            'thinking.type.obsidian_response': 'Ответ модели',
+            'thinking.type.obsidian_action': 'Действие',
+            'thinking.type.obsidian_reasoning': 'Рассуждение',
+            'thinking.type.thinking': 'Мысль',
+            'thinking.type.attachments': 'Вложения',
+
+            'knowledge.title': '📚 База знаний',
+            'knowledge.subtitle': 'Источники знаний и состояние векторной базы данных',
+            'knowledge.sources': 'Источники',
+            'knowledge.documents': 'Документы',
+            'knowledge.vectors': 'Векторы',
+            'knowledge.lastSync': 'Последняя синхронизация',
+            'knowledge.documentsLabel': 'Документы:',
+            'knowledge.lastSyncLabel': 'Последняя синхронизация:',
+            'knowledge.never': 'Никогда',
+            'knowledge.sourcesTitle': '🗂️ Источники знаний',
+            'knowledge.sourcesEmpty': 'Источники знаний не настроены',
+            'knowledge.sync': '🔄 Синхронизировать',
+            'knowledge.syncAll': 'Синхронизировать все источники',
+            'knowledge.syncing': 'Синхронизация...',
+            'knowledge.syncDone': {
+                one: '✅ Синхронизация завершена! Обработан {count} файл',
+                few: '✅ Синхронизация завершена! Обработано {count} файла',
+                many: '✅ Синхронизация завершена! Обработано {count} файлов',
+                other: '✅ Синхронизация завершена! Обработано {count} файла'
+            },
+            'knowledge.syncError': 'Ошибка синхронизации: {message}',
+            'knowledge.state.syncing': '🔄 Синхронизация',
+            'knowledge.state.error': '❌ Ошибка',
+            'knowledge.state.active': '✅ Активен',
+            'knowledge.state.inactive': '⏸️ Недоступен',
+
+            'search.title': '🔍 Поиск по базе знаний',
+            'search.placeholder': 'Что ищем в заметках?',
+            'search.source': 'Источник',
+            'search.allSources': 'Все источники',
+            'search.limit': 'Количество результатов',
+            'search.searching': 'Поиск...',
+            'search.found': 'Найдено: {count}',
+            'search.error': '❌ Ошибка поиска: {message}',
+            'search.empty': 'Ничего не найдено',
+            'search.vector': '🧮 вектор',
+            'search.noVector': '⚠️ без вектора',
+            'search.indexed': 'Документ проиндексирован',
+            'search.notIndexed': 'Эмбеддинг отсутствует',
+            'search.open': '📖 Открыть',
+            'search.ask': '💬 Спросить Второго об этом',
+
+            'note.title': '📝 Заметка',
+            'note.back': 'Назад',
+            'note.forward': 'Вперёд',
+            'note.loading': 'Загрузка заметки...',
+            'note.notFound': 'Заметка не найдена: {path}',
+            'note.dates': 'Создана: {created} · Изменена: {modified}',
+            'note.links': '🔗 Ссылки',
+            'note.noLinks': 'Заметка ни на что не ссылается',
+            'note.backlinks': '↩️ Обратные ссылки',
+            'note.noBacklinks': 'Обратных ссылок нет',
+
+            'logs.title': '📋 Системные логи',
+            'logs.subtitle': 'Мониторинг активности приложения в реальном времени',
+            'logs.pause': 'Пауза',
+            'logs.resume': 'Продолжить',
+            'logs.clear': 'Очистить',
+            'logs.export': 'Экспорт',
+            'logs.loggerFilter': 'Логгер или пакет',
+            'logs.search': 'Поиск по сообщениям',
+            'logs.regex': 'Искать по регулярному выражению',
+            'logs.capacity': 'Размер буфера',
+            'logs.lines': {
+                one: '{count} строка',
+                few: '{count} строки',
+                many: '{count} строк',
+                other: '{count} строки'
+            },
+            'logs.connecting': 'Подключение к логам...',
+            'logs.noMatches': 'Нет записей, подходящих под фильтры',
+            'logs.paused': '⏸️ пауза, новых: {count}',
+
+            'analytics.title': '📊 Аналитика',
+            'analytics.subtitle': 'Подходы, инструменты и задержка по сохранённым сессиям',
+            'analytics.period': 'Период',
+            'analytics.days': {
+                one: '{count} день',
+                few: '{count} дня',
+                many: '{count} дней',
+                other: '{count} дня'
+            },
+            'analytics.allTime': 'За всё время',
+            'analytics.requests': 'Запросы',
+            'analytics.averageLatency': 'Средняя задержка',
+            'analytics.averageReasoning': 'Шагов рассуждения в среднем',
+            'analytics.errorRate': 'Доля ошибок',
+            'analytics.latencyChart': '⏱️ Задержка запросов',
+            'analytics.toolsChart': '🔧 Использование инструментов',
+            'analytics.approachesChart': '🧭 Подходы',
+            'analytics.errorsChart': '⚠️ Доля ошибок по дням',
+            'analytics.latencyDetails': {
+                one: 'Медиана {median}, p95 {p95} ({count} запрос)',
+                few: 'Медиана {median}, p95 {p95} ({count} запроса)',
+                many: 'Медиана {median}, p95 {p95} ({count} запросов)',
+                other: 'Медиана {median}, p95 {p95} ({count} запроса)'
+            },
+            'analytics.noData': 'Нет данных за период',
+            'analytics.noApproach': 'не указан',
+            'analytics.seconds': '{value} с',
+            'analytics.milliseconds': '{value} мс',
+
+            'system.title': '🩺 Состояние системы',
+            'system.subtitle': 'Компоненты бэкенда, подключения и история доступности',
+            'system.checkNow': 'Проверить сейчас',
+            'system.nextCheck': 'Следующая проверка в {time}',
+            'system.paused': 'Опрос приостановлен, пока вкладка скрыта',
+            'system.state': 'Состояние',
+            'system.latency': 'Задержка',
+            'system.availability': 'Доступность',
+            'system.uptime': 'Аптайм бэкенда',
+            'system.version': 'Версия',
+            'system.buildTime': 'Сборка: {time}',
+            'system.components': '🧩 Компоненты',
+            'system.noComponents': 'Actuator не вернул компоненты',
+            'system.unavailable': 'Бэкенд недоступен',
+            'system.connections': '🧠 Подключения к потоку мыслей',
+            'system.connectionsCount': {
+                one: '{count} активное подключение',
+                few: '{count} активных подключения',
+                many: '{count} активных подключений',
+                other: '{count} активного подключения'
+            },
+            'system.currentSession': 'текущая сессия',
+            'system.latencyChart': '⏱️ Задержка проверок',
+            'system.uptimeChart': '📶 История доступности',
+            'system.noHistory': 'Проверок ещё не было',
+
+            'conversation.button': 'Экспорт и импорт разговора',
+            'conversation.title': '📤 Экспорт разговора',
+            'conversation.format': 'Формат',
+            'conversation.markdown': 'Markdown для Obsidian (.md)',
+            'conversation.json': 'JSON со всеми метаданными (.json)',
+            'conversation.destination': 'Куда',
+            'conversation.download': 'Скачать файл',
+            'conversation.vault': 'Сохранить в vault',
+            'conversation.folder': 'Папка',
+            'conversation.vaultRoot': '(корень vault)',
+            'conversation.name': 'Имя заметки',
+            'conversation.import': '📥 Импорт JSON',
+            'conversation.export': 'Экспортировать',
+            'conversation.user': '👤 Пользователь',
+            'conversation.assistant': '🤖 Второй',
+            'conversation.defaultTitle': 'Разговор со Вторым {date}',
+            'conversation.empty': 'В этой сессии пока нет сообщений',
+            'conversation.saving': 'Сохранение в vault...',
+            'conversation.saved': '✅ Заметка сохранена: {path}',
+            'conversation.exists': 'Заметка уже существует: {path}',
+            'conversation.error': '❌ Ошибка экспорта: {message}',
+            'conversation.importError': '❌ Ошибка импорта: {message}',
+            'conversation.invalidFile': 'Это не экспорт разговора Второго',
+
+            'logExport.title': '💾 Экспорт логов',
+            'logExport.source': 'Источник',
+            'logExport.buffer': 'Буфер браузера',
+            'logExport.bufferCount': {
+                one: '({count} запись)',
+                few: '({count} записи)',
+                many: '({count} записей)',
+                other: '({count} записи)'
+            },
+            'logExport.server': 'Сервер, последние',
+            'logExport.serverLines': 'строк',
+            'logExport.levels': 'Уровни',
+            'logExport.from': 'С',
+            'logExport.to': 'По',
+            'logExport.format': 'Формат',
+            'logExport.text': 'Текст (.txt)',
+            'logExport.cancel': 'Отмена',
+            'logExport.submit': 'Экспортировать',
+            'logExport.preview': 'Будет экспортировано записей: {count}',
+            'logExport.fromServer': 'Записи будут загружены с сервера',
+            'logExport.loading': 'Загрузка логов с сервера...',
+            'logExport.error': '❌ Ошибка экспорта: {message}'
+        },
+
+        en: {
+            'app.name': 'Vtoroy',
+            'locale.label': 'Interface language',
+            'theme.label': 'Theme',
+            'theme.system': '🖥️ System',
+            'theme.dark': '🌙 Dark',
+            'theme.light': '☀️ Light',
+            'theme.high-contrast': '◐ High contrast',
+
+            'speech.autoRead': '🔊 Read answers',
+            'speech.autoReadHint': 'Read new answers aloud with the browser voice',
+            'speech.voice': 'Voice',
+            'speech.defaultVoice': 'Default voice',
+            'speech.rate': 'Speech rate',
+            'speech.rateValue': '×{rate}',
+
+            'tabs.chat': 'Chat',
+            'tabs.knowledge': 'Knowledge',
+            'tabs.logs': 'Logs',
+            'tabs.analytics': 'Analytics',
+            'tabs.system': 'System',
+
+            'status.connecting': 'Connecting...',
+            'status.online': 'Online',
+            'status.offline': 'Offline',
+            'status.degraded': 'Degraded',
+            'status.unhealthy': 'Unhealthy: {components}',
+
+            'stream.open': 'Stream: online',
+            'stream.connecting': 'Stream: connecting',
+            'stream.polling': 'Stream: polling',
+            'stream.reconnecting': 'Stream: reconnecting',
+            'stream.idle': 'Stream: not connected',
+
+            'sessions.title': 'Sessions',
+            'sessions.new': 'New',
+            'sessions.newTitle': 'New session',
+            'sessions.empty': 'No saved sessions yet',
+            'sessions.pin': 'Pin',
+            'sessions.unpin': 'Unpin',
+            'sessions.rename': 'Rename',
+            'sessions.delete': 'Delete',
+            'sessions.confirmDelete': 'Delete session {title}?',
+            'sessions.messages': {
+                one: '{count} message',
+                other: '{count} messages'
+            },
+
+            'welcome.title': 'Hi! I am Vtoroy',
+            'welcome.subtitle': 'Your personal AI assistant with autonomous decision making.',
+
+            'avatar.idle': 'Ready',
+            'avatar.thinking': 'Processing...',
+            'avatar.speaking': 'Answering...',
+            'avatar.searching': 'Searching knowledge...',
+            'avatar.acting': 'Taking action...',
+            'avatar.syncing': 'Syncing knowledge...',
+            'avatar.waiting': 'Waiting for your reply',
+            'avatar.error': 'Something went wrong',
+            'avatar.offline': 'Server unreachable',
+
+            'chat.placeholder': 'Tell me what needs to be done...',
+            'chat.stop': 'Stop (Esc)',
+            'chat.queueHint': 'Backend is unavailable: the message will be queued',
+            'chat.session': 'Session:',
+            'chat.sendHint': '⌃↩ to send',
+            'chat.cancelled': '⏹️ Request stopped',
+            'chat.attachmentsLost': '📎 The files {names} are no longer in page memory — attach them again and send',
+            'chat.error': 'Sorry, something went wrong: {message}',
+            'chat.askAboutFile': 'About the note [[{path}]]: ',
+
+            'slash.search': 'Search the knowledge base',
+            'slash.sync': 'Sync all sources or one of them',
+            'slash.note': 'Open a note',
+            'slash.new': 'New session',
+            'slash.logs': 'Logs of this level and above',
+            'slash.export': 'Export the conversation',
+            'slash.usage': 'Usage: {usage}',
+            'slash.unknownLevel': 'Unknown log level: {level}',
+            'slash.error': '❌ Command /{command}: {message}',
+
+            'references.typeToSearch': 'Start typing a note name',
+            'references.noNotes': 'No notes found',
+            'references.noTags': 'No tags found',
+            'references.remove': 'Remove reference',
+
+            'attachments.add': 'Attach a file (.md, .txt, .json, .csv)',
+            'attachments.preview': 'Show / hide contents',
+            'attachments.remove': 'Remove file',
+            'attachments.unsupported': '{name}: only .md, .txt, .json and .csv are supported',
+            'attachments.tooMany': {
+                one: '{name}: at most {count} file can be attached',
+                other: '{name}: at most {count} files can be attached'
+            },
+            'attachments.duplicate': '{name}: already attached',
+            'attachments.tooLarge': '{name}: file is larger than {limit}',
+            'attachments.totalTooLarge': '{name}: together with the other files it exceeds {limit}',
+            'attachments.readError': 'Could not read {name}: {message}',
+
+            'actions.palette': 'Command palette',
+            'actions.shortcuts': 'Keyboard shortcuts',
+            'actions.cancel': 'Stop request / close panels',
+            'actions.tabChat': 'Tab: chat',
+            'actions.tabKnowledge': 'Tab: knowledge',
+            'actions.tabLogs': 'Tab: logs',
+            'actions.tabAnalytics': 'Tab: analytics',
+            'actions.tabSystem': 'Tab: system',
+            'actions.knowledgePanel': 'Knowledge panel',
+            'actions.sync': 'Sync knowledge base',
+            'actions.newSession': 'New session',
+            'actions.nextSession': 'Next session',
+            'actions.previousSession': 'Previous session',
+            'actions.logsPause': 'Logs: pause / resume',
+            'actions.logsClear': 'Logs: clear',
+            'actions.logsExport': 'Logs: export',
+            'actions.exportConversation': 'Export conversation',
+            'actions.toggleTheme': 'Next theme',
+            'actions.themeSystem': 'Theme: follow system',
+            'actions.themeDark': 'Theme: dark',
+            'actions.themeLight': 'Theme: light',
+            'actions.themeHighContrast': 'Theme: high contrast',
+            'actions.readAloud': 'Read the last answer aloud / stop',
+            'actions.autoRead': 'Read answers automatically: on / off',
+
+            'palette.placeholder': 'Command or session...',
+            'palette.empty': 'Nothing found',
+            'palette.session': 'session',
+
+            'shortcuts.button': 'Keyboard shortcuts (?)',
+            'shortcuts.title': '⌨️ Keyboard shortcuts',
+            'shortcuts.hint': 'Click a shortcut to assign a new one. Backspace unbinds, Esc cancels.',
+            'shortcuts.change': 'Assign another shortcut',
+            'shortcuts.pressKeys': 'Press keys...',
+            'shortcuts.recording': 'Waiting for a key combination',
+            'shortcuts.unbound': 'unassigned',
+            'shortcuts.reassigned': '{combo} was removed from “{action}”',
+            'shortcuts.reset': 'Reset',
+            'shortcuts.close': 'Done',
+
+            'outbox.queued': '🕓 Queued — will be sent once connected',
+            'outbox.sending': '📤 Sending...',
+            'outbox.sent': '✓ Sent',
+            'outbox.failed': '⚠️ Failed to send',
+            'outbox.cancelled': '⏹️ Stopped',
+            'outbox.discarded': '🗑️ Not sent',
+            'outbox.resend': 'Resend',
+            'outbox.discard': 'Remove from queue',
+            'outbox.storageFull': '⚠️ Browser storage is full — the message was not queued',
+
+            'message.approach': 'Approach: {approach}',
+            'message.reasoningSteps': {
+                one: '🧠 Reasoning: {count} step',
+                other: '🧠 Reasoning: {count} steps'
+            },
+            'message.tools': '🔧 Tools: {tools}',
+            'message.conductorSteps': {
+                one: '🎯 Smart Conductor: {count} step',
+                other: '🎯 Smart Conductor: {count} steps'
+            },
+            'message.latency': '⏱️ {latency}',
+            'message.attachments': '📎 {names}',
+            'message.error': '⚠️ Error',
+            'message.copyMarkdown': 'Copy as Markdown',
+            'message.copyText': 'Copy as plain text',
+            'message.retry': 'Retry request',
+            'message.edit': 'Edit and resend',
+            'message.branch': 'Branch: new session with the history up to this message',
+            'message.readAloud': 'Read aloud',
+            'message.stopReading': 'Stop reading',
+            'message.editSend': 'Send',
+            'message.editCancel': 'Cancel',
+            'message.branchTitle': '{title} (branch)',
+            'message.branchError': '❌ Could not create a branch: {message}',
+
+            'reasoning.step': 'Step {step}',
+            'reasoning.thought': 'Thought',
+            'reasoning.action': 'Action',
+            'reasoning.input': 'Input',
+            'reasoning.observation': 'Observation',
+
+            'trace.reasoningSteps': {
+                one: '{count} reasoning step',
+                other: '{count} reasoning steps'
+            },
+            'trace.executionSteps': {
+                one: '{count} execution step',
+                other: '{count} execution steps'
+            },
+            'trace.tools': {
+                one: '{count} tool',
+                other: '{count} tools'
+            },
+            'trace.reasoning': 'Reasoning',
+            'trace.execution': 'Execution',
+            'trace.filter': 'Filter by tool',
+            'trace.allTools': 'All tools',
+            'trace.expandAll': 'Expand all',
+            'trace.collapseAll': 'Collapse all',
+            'trace.linkedStep': '← from step {step}',
+            'trace.result': 'Result',
+            'trace.status.success': 'Done',
+            'trace.status.error': 'Error',
+            'trace.status.pending': 'No result',
+            'trace.status.final': 'Final thought',
+
+            'markdown.copy': 'Copy',
+            'markdown.copied': 'Copied',
+
+            'thinking.running': '🧠 Vtoroy is thinking...',
+            'thinking.complete': '🧠 Train of thought',
+            'thinking.cancelled': '⏹️ Stopped',
+            'thinking.error': '⚠️ Thinking interrupted',
+            'thinking.summary': {
+                one: '{title} · {count} step · {duration}',
+                other: '{title} · {count} steps · {duration}'
+            },
+            'thinking.ms': '{value} ms',
+            'thinking.seconds': '{value} s',
+            'thinking.type.start': 'Start',
+            'thinking.type.delegate': 'Delegation',
+            'thinking.type.search': 'Search',
+            'thinking.type.dialogue': 'Dialogue',
+            'thinking.type.planning': 'Planning',
+            'thinking.type.plan_ready': 'Plan',
+            'thinking.type.step_start': 'Step',
+            'thinking.type.step_complete': 'Step done',
+            'thinking.type.finalizing': 'Summary',
+            'thinking.type.error': 'Error',
+            'thinking.type.obsidian_thinking': 'Analysis',
+            'thinking.type.obsidian_prompt': 'Prompt',
+            'thinking.type.obsidian_response': 'Model response',
+            'thinking.type.obsidian_action': 'Action',
+            'thinking.type.obsidian_reasoning': 'Reasoning',
+            'thinking.type.thinking': 'Thought',
+            'thinking.type.attachments': 'Attachments',
+
+            'knowledge.title': '📚 Knowledge base',
+            'knowledge.subtitle': 'Knowledge sources and vector database state',
+            'knowledge.sources': 'Sources',
+            'knowledge.documents': 'Documents',
+            'knowledge.vectors': 'Vectors',
+            'knowledge.lastSync': 'Last sync',
+            'knowledge.documentsLabel': 'Documents:',
+            'knowledge.lastSyncLabel': 'Last sync:',
+            'knowledge.never': 'Never',
+            'knowledge.sourcesTitle': '🗂️ Knowledge sources',
+            'knowledge.sourcesEmpty': 'No knowledge sources configured',
+            'knowledge.sync': '🔄 Sync',
+            'knowledge.syncAll': 'Sync all sources',
+            'knowledge.syncing': 'Syncing...',
+            'knowledge.syncDone': {
+                one: '✅ Sync complete! {count} file processed',
+                other: '✅ Sync complete! {count} files processed'
+            },
+            'knowledge.syncError': 'Sync failed: {message}',
+            'knowledge.state.syncing': '🔄 Syncing',
+            'knowledge.state.error': '❌ Error',
+            'knowledge.state.active': '✅ Active',
+            'knowledge.state.inactive': '⏸️ Unavailable',
+
+            'search.title': '🔍 Knowledge base search',
+            'search.placeholder': 'What are we looking for in the notes?',
+            'search.source': 'Source',
+            'search.allSources': 'All sources',
+            'search.limit': 'Number of results',
+            'search.searching': 'Searching...',
+            'search.found': 'Found: {count}',
+            'search.error': '❌ Search failed: {message}',
+            'search.empty': 'Nothing found',
+            'search.vector': '🧮 vector',
+            'search.noVector': '⚠️ no vector',
+            'search.indexed': 'Document is indexed',
+            'search.notIndexed': 'Embedding is missing',
+            'search.open': '📖 Open',
+            'search.ask': '💬 Ask Vtoroy about this',
+
+            'note.title': '📝 Note',
+            'note.back': 'Back',
+            'note.forward': 'Forward',
+            'note.loading': 'Loading note...',
+            'note.notFound': 'Note not found: {path}',
+            'note.dates': 'Created: {created} · Modified: {modified}',
+            'note.links': '🔗 Links',
+            'note.noLinks': 'This note links nowhere',
+            'note.backlinks': '↩️ Backlinks',
+            'note.noBacklinks': 'No backlinks',
+
+            'logs.title': '📋 System logs',
+            'logs.subtitle': 'Real-time application activity',
+            'logs.pause': 'Pause',
+            'logs.resume': 'Resume',
+            'logs.clear': 'Clear',
+            'logs.export': 'Export',
+            'logs.loggerFilter': 'Logger or package',
+            'logs.search': 'Search messages',
+            'logs.regex': 'Search with a regular expression',
+            'logs.capacity': 'Buffer size',
+            'logs.lines': {
+                one: '{count} line',
+                other: '{count} lines'
+            },
+            'logs.connecting': 'Connecting to logs...',
+            'logs.noMatches': 'No entries match the filters',
+            'logs.paused': '⏸️ paused, new: {count}',
+
+            'analytics.title': '📊 Analytics',
+            'analytics.subtitle': 'Approaches, tools and latency across saved sessions',
+            'analytics.period': 'Period',
+            'analytics.days': {
+                one: '{count} day',
+                other: '{count} days'
+            },
+            'analytics.allTime': 'All time',
+            'analytics.requests': 'Requests',
+            'analytics.averageLatency': 'Average latency',
+            'analytics.averageReasoning': 'Average reasoning steps',
+            'analytics.errorRate': 'Error rate',
+            'analytics.latencyChart': '⏱️ Request latency',
+            'analytics.toolsChart': '🔧 Tool usage',
+            'analytics.approachesChart': '🧭 Approaches',
+            'analytics.errorsChart': '⚠️ Error rate by day',
+            'analytics.latencyDetails': {
+                one: 'Median {median}, p95 {p95} ({count} request)',
+                other: 'Median {median}, p95 {p95} ({count} requests)'
+            },
+            'analytics.noData': 'No data for this period',
+            'analytics.noApproach': 'not set',
+            'analytics.seconds': '{value} s',
+            'analytics.milliseconds': '{value} ms',
+
+            'system.title': '🩺 System health',
+            'system.subtitle': 'Backend components, connections and availability history',
+            'system.checkNow': 'Check now',
+            'system.nextCheck': 'Next check at {time}',
+            'system.paused': 'Polling is paused while the page is hidden',
+            'system.state': 'State',
+            'system.latency': 'Latency',
+            'system.availability': 'Availability',
+            'system.uptime': 'Backend uptime',
+            'system.version': 'Version',
+            'system.buildTime': 'Built: {time}',
+            'system.components': '🧩 Components',
+            'system.noComponents': 'Actuator returned no components',
+            'system.unavailable': 'Backend is unreachable',
+            'system.connections': '🧠 Thinking stream connections',
+            'system.connectionsCount': {
+                one: '{count} active connection',
+                other: '{count} active connections'
+            },
+            'system.currentSession': 'current session',
+            'system.latencyChart': '⏱️ Check latency',
+            'system.uptimeChart': '📶 Availability history',
+            'system.noHistory': 'No checks yet',
+
+            'conversation.button': 'Export and import conversation',
+            'conversation.title': '📤 Export conversation',
+            'conversation.format': 'Format',
+            'conversation.markdown': 'Markdown for Obsidian (.md)',
+            'conversation.json': 'JSON with all metadata (.json)',
+            'conversation.destination': 'Destination',
+            'conversation.download': 'Download file',
+            'conversation.vault': 'Save to vault',
+            'conversation.folder': 'Folder',
+            'conversation.vaultRoot': '(vault root)',
+            'conversation.name': 'Note name',
+            'conversation.import': '📥 Import JSON',
+            'conversation.export': 'Export',
+            'conversation.user': '👤 User',
+            'conversation.assistant': '🤖 Vtoroy',
+            'conversation.defaultTitle': 'Conversation with Vtoroy {date}',
+            'conversation.empty': 'This session has no messages yet',
+            'conversation.saving': 'Saving to vault...',
+            'conversation.saved': '✅ Note saved: {path}',
+            'conversation.exists': 'Note already exists: {path}',
+            'conversation.error': '❌ Export failed: {message}',
+            'conversation.importError': '❌ Import failed: {message}',
+            'conversation.invalidFile': 'This is not a Vtoroy conversation export',
+
+            'logExport.title': '💾 Export logs',
+            'logExport.source': 'Source',
+            'logExport.buffer': 'Browser buffer',
+            'logExport.bufferCount': {
+                one: '({count} entry)',
+                other: '({count} entries)'
+            },
+            'logExport.server': 'Server, last',
+            'logExport.serverLines': 'lines',
+            'logExport.levels': 'Levels',
+            'logExport.from': 'From',
+            'logExport.to': 'To',
+            'logExport.format': 'Format',
+            'logExport.text': 'Text (.txt)',
+            'logExport.cancel': 'Cancel',
+            'logExport.submit': 'Export',
+            'logExport.preview': 'Entries to export: {count}',
+            'logExport.fromServer': 'Entries will be loaded from the server',
+            'logExport.loading': 'Loading logs from the server...',
+            'logExport.error': '❌ Export failed: {message}'
+        }
+    };
+
+    static localeNames = {
+        ru: 'Русский',
+        en: 'English'
+    };
+
+    // Saved choice first, then the browser languages, then Russian
+    detectLocale() {
+        const saved = this.storage.getItem(this.storageKey);
+        if (saved && I18n.catalogs[saved]) return saved;
+
+        const preferred = (navigator.languages || [navigator.language || ''])
+            .map(language => String(language).slice(0, 2).toLowerCase())
+            .find(language => I18n.catalogs[language]);
+        return preferred || this.fallbackLocale;
+    }
+
+    getLocales() {
+        return Object.keys(I18n.catalogs);
+    }
+
+    setLocale(locale) {
+        if (!I18n.catalogs[locale] || locale === this.locale) return;
+
+        this.locale = locale;
+        this.pluralRules = new Intl.PluralRules(locale);
+        this.storage.setItem(this.storageKey, locale);
+        document.documentElement.lang = locale;
+        this.translatePage();
+        this.listeners.forEach(listener => listener(locale));
+    }
+
+    // Called after the locale changes so dynamic UI can re-render itself
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // t('chat.error', { message }) or t('logs.lines', { count: 5 }) for plural entries
+    t(key, params = {}) {
+        let entry = this.lookup(this.locale, key);
+        if (entry === undefined) entry = this.lookup(this.fallbackLocale, key);
+        if (entry === undefined) return key;
+
+        if (typeof entry === 'object') {
+            entry = entry[this.pluralRules.select(Number(params.count) || 0)] || entry.other;
+        }
+
+        return entry.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    lookup(locale, key) {
+        const catalog = I18n.catalogs[locale];
+        return catalog ? catalog[key] : undefined;
+    }
+
+    has(key) {
+        return this.lookup(this.locale, key) !== undefined || this.lookup(this.fallbackLocale, key) !== undefined;
+    }
+
+    // Apply catalog strings to data-i18n* attributes under root
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n, this.readParams(element));
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+    }
+
+    // data-i18n-count="5" feeds plural entries in markup
+    readParams(element) {
+        return element.dataset.i18nCount !== undefined ? { count: element.dataset.i18nCount } : {};
+    }
+
+    formatTime(value, options = {}) {
+        return new Intl.DateTimeFormat(this.locale, { hour: '2-digit', minute: '2-digit', second: '2-digit', ...options })
+            .format(new Date(value));
+    }
+
+    formatDate(value) {
+        return new Intl.DateTimeFormat(this.locale, { dateStyle: 'medium' }).format(new Date(value));
+    }
+
+    formatDateTime(value) {
+        return new Intl.DateTimeFormat(this.locale, { dateStyle: 'medium', timeStyle: 'medium' }).format(new Date(value));
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+}
+
+// Shared instance: every UI module reads strings from it
+const i18n = new I18n();
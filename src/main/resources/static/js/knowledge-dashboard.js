@@ -0,0 +1,186 @@
+// Vtoroy AI Assistant - Per-source knowledge dashboard
+//
+// Карточки строятся по списку из /api/knowledge/sources, поэтому новые
+// источники (Notion, файлы и т.д.) появляются без изменений во фронтенде.
+class KnowledgeDashboard {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onSynced = options.onSynced || (() => {});
+        this.onSyncStateChange = options.onSyncStateChange || (() => {}); // a source sync started or finished
+        this.syncingSources = new Set();
+        this.syncErrors = new Map(); // last failed sync per source, shown until the next success
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('.source-sync-button');
+            if (button) {
+                this.syncSource(button.dataset.sourceId);
+            }
+        });
+    }
+
+    // Load source list and per-source statuses
+    async load() {
+        try {
+            const response = await fetch('/api/knowledge/sources');
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || `HTTP ${response.status}`);
+            }
+            const data = await response.json();
+
+            const sourceIds = data.sources || [];
+            const displayNames = data.displayNames || {};
+            const statuses = await Promise.all(sourceIds.map(sourceId => this.loadSourceStatus(sourceId)));
+
+            this.render(sourceIds.map((sourceId, index) => ({
+                sourceId,
+                displayName: displayNames[sourceId] || sourceId,
+                status: statuses[index]
+            })));
+        } catch (error) {
+            console.error('Failed to load knowledge sources:', error);
+            this.renderError(error.message);
+        }
+    }
+
+    // Load status of a single source
+    async loadSourceStatus(sourceId) {
+        try {
+            const response = await fetch(`/api/knowledge/sources/${encodeURIComponent(sourceId)}/status`);
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                return { sourceId, isActive: false, errorMessage: error.message || `HTTP ${response.status}` };
+            }
+            return (await response.json()).status;
+        } catch (error) {
+            return { sourceId, isActive: false, errorMessage: error.message };
+        }
+    }
+
+    // Render all source cards
+    render(sources) {
+        this.container.innerHTML = '';
+
+        if (sources.length === 0) {
+            this.renderError(i18n.t('knowledge.sourcesEmpty'));
+            return;
+        }
+
+        sources.forEach(source => this.container.appendChild(this.createCard(source)));
+    }
+
+    renderError(message) {
+        this.container.innerHTML = '';
+        const error = document.createElement('div');
+        error.className = 'sources-empty';
+        error.textContent = message;
+        this.container.appendChild(error);
+    }
+
+    // Build a status card for one source
+    createCard({ sourceId, displayName, status }) {
+        const syncing = this.syncingSources.has(sourceId) || status.syncInProgress;
+        const errorMessage = status.errorMessage || this.syncErrors.get(sourceId);
+        const state = syncing ? 'syncing' : errorMessage ? 'error' : status.isActive ? 'active' : 'inactive';
+
+        const card = document.createElement('div');
+        card.className = `source-card ${state}`;
+        card.dataset.sourceId = sourceId;
+
+        const header = document.createElement('div');
+        header.className = 'source-card-header';
+
+        const title = document.createElement('div');
+        title.className = 'source-card-title';
+        title.textContent = displayName;
+
+        const id = document.createElement('code');
+        id.className = 'source-card-id';
+        id.textContent = sourceId;
+
+        const badge = document.createElement('span');
+        badge.className = `source-state ${state}`;
+        badge.textContent = i18n.t(`knowledge.state.${state}`);
+
+        header.appendChild(title);
+        header.appendChild(id);
+        header.appendChild(badge);
+
+        const stats = document.createElement('div');
+        stats.className = 'source-card-stats';
+        [
+            ['📄', i18n.t('knowledge.documents'), status.itemCount || 0],
+            ['🧮', i18n.t('knowledge.vectors'), status.indexedCount || 0],
+            ['🔄', i18n.t('knowledge.lastSync'), status.lastSync ? i18n.formatDateTime(status.lastSync) : i18n.t('knowledge.never')]
+        ].forEach(([icon, label, value]) => {
+            const stat = document.createElement('div');
+            stat.className = 'source-stat';
+
+            const statValue = document.createElement('div');
+            statValue.className = 'source-stat-value';
+            statValue.textContent = `${icon} ${value}`;
+
+            const statLabel = document.createElement('div');
+            statLabel.className = 'source-stat-label';
+            statLabel.textContent = label;
+
+            stat.appendChild(statValue);
+            stat.appendChild(statLabel);
+            stats.appendChild(stat);
+        });
+
+        card.appendChild(header);
+        card.appendChild(stats);
+
+        if (errorMessage) {
+            const error = document.createElement('div');
+            error.className = 'source-card-error';
+            error.textContent = errorMessage;
+            card.appendChild(error);
+        }
+
+        const button = document.createElement('button');
+        button.className = 'control-button source-sync-button';
+        button.dataset.sourceId = sourceId;
+        button.disabled = syncing;
+        button.textContent = syncing ? `🔄 ${i18n.t('knowledge.syncing')}` : i18n.t('knowledge.sync');
+        card.appendChild(button);
+
+        return card;
+    }
+
+    // Sync a single source via POST /api/knowledge/sync/source
+    async syncSource(sourceId) {
+        if (this.syncingSources.has(sourceId)) return;
+
+        this.syncingSources.add(sourceId);
+        this.onSyncStateChange();
+        this.load();
+
+        try {
+            const response = await fetch('/api/knowledge/sync/source', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ sourceId })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || `HTTP ${response.status}`);
+            }
+            const data = await response.json();
+
+            this.syncErrors.delete(sourceId);
+            this.onSynced(sourceId, data);
+        } catch (error) {
+            console.error(`Knowledge sync failed for ${sourceId}:`, error);
+            this.syncErrors.set(sourceId, i18n.t('knowledge.syncError', { message: error.message }));
+        } finally {
+            this.syncingSources.delete(sourceId);
+            this.onSyncStateChange();
+            this.load();
+        }
+    }
+}
@@ -0,0 +1,217 @@
+// Vtoroy AI Assistant - Knowledge search panel (/api/knowledge/search)
+class KnowledgeSearch {
+    constructor(elements, options = {}) {
+        this.input = elements.input;
+        this.sourceSelect = elements.sourceSelect;
+        this.limitSelect = elements.limitSelect;
+        this.status = elements.status;
+        this.results = elements.results;
+
+        this.onAsk = options.onAsk || (() => {});
+        this.onOpen = options.onOpen || (() => {});
+        this.debounceMs = options.debounceMs || 300;
+        this.minQueryLength = 2;
+
+        this.debounceTimer = null;
+        this.abortController = null;
+        this.sourcesLoaded = false;
+
+        this.bindEvents();
+    }
+
+    // Bind input and filter events
+    bindEvents() {
+        this.input.addEventListener('input', () => this.scheduleSearch());
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.search(this.input.value);
+            }
+        });
+        this.sourceSelect.addEventListener('change', () => this.search(this.input.value));
+        this.limitSelect.addEventListener('change', () => this.search(this.input.value));
+
+        this.results.addEventListener('click', (e) => {
+            const askButton = e.target.closest('.search-result-ask');
+            if (askButton) {
+                this.onAsk(askButton.dataset.filePath);
+                return;
+            }
+
+            const openButton = e.target.closest('.search-result-open');
+            if (openButton) {
+                this.onOpen(openButton.dataset.filePath);
+            }
+        });
+    }
+
+    // Load source filter options once
+    async loadSources() {
+        if (this.sourcesLoaded) return;
+
+        try {
+            const response = await fetch('/api/knowledge/sources');
+            if (!response.ok) return;
+
+            const data = await response.json();
+            (data.sources || []).forEach(sourceId => {
+                const option = document.createElement('option');
+                option.value = sourceId;
+                option.textContent = sourceId;
+                this.sourceSelect.appendChild(option);
+            });
+            this.sourcesLoaded = true;
+        } catch (error) {
+            console.warn('Failed to load knowledge sources:', error);
+        }
+    }
+
+    // Debounce search while typing
+    scheduleSearch() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.search(this.input.value), this.debounceMs);
+    }
+
+    // Run search immediately (also used by other parts of the UI)
+    async search(query) {
+        clearTimeout(this.debounceTimer);
+        const trimmed = (query || '').trim();
+        if (this.input.value !== query) {
+            this.input.value = query;
+        }
+
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+
+        if (trimmed.length < this.minQueryLength) {
+            this.results.innerHTML = '';
+            this.setStatus('');
+            return;
+        }
+
+        this.abortController = new AbortController();
+        this.setStatus(i18n.t('search.searching'));
+
+        try {
+            const response = await fetch('/api/knowledge/search', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    query: trimmed,
+                    limit: parseInt(this.limitSelect.value, 10),
+                    sourceFilter: this.sourceSelect.value === 'all' ? null : this.sourceSelect.value
+                }),
+                signal: this.abortController.signal
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || `HTTP ${response.status}`);
+            }
+            const data = await response.json();
+
+            this.renderResults(data.results || [], trimmed);
+            this.setStatus(i18n.t('search.found', { count: data.totalFound || 0 }));
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Knowledge search failed:', error);
+            this.results.innerHTML = '';
+            this.setStatus(i18n.t('search.error', { message: error.message }), true);
+        }
+    }
+
+    setStatus(text, isError = false) {
+        this.status.textContent = text;
+        this.status.classList.toggle('error', isError);
+    }
+
+    // Render result cards
+    renderResults(results, query) {
+        this.results.innerHTML = '';
+
+        if (results.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'search-empty';
+            empty.textContent = i18n.t('search.empty');
+            this.results.appendChild(empty);
+            return;
+        }
+
+        results.forEach(result => {
+            const card = document.createElement('div');
+            card.className = 'search-result';
+
+            const header = document.createElement('div');
+            header.className = 'search-result-header';
+
+            const path = document.createElement('span');
+            path.className = 'search-result-path';
+            path.textContent = result.filePath;
+
+            const embedding = document.createElement('span');
+            embedding.className = `search-result-embedding ${result.hasEmbedding ? 'has' : 'missing'}`;
+            embedding.textContent = i18n.t(result.hasEmbedding ? 'search.vector' : 'search.noVector');
+            embedding.title = i18n.t(result.hasEmbedding ? 'search.indexed' : 'search.notIndexed');
+
+            const source = document.createElement('span');
+            source.className = 'search-result-source';
+            source.textContent = result.source;
+
+            header.appendChild(path);
+            header.appendChild(source);
+            header.appendChild(embedding);
+
+            const snippet = document.createElement('div');
+            snippet.className = 'search-result-snippet';
+            snippet.innerHTML = this.highlight(result.content || '', query);
+
+            const actions = document.createElement('div');
+            actions.className = 'search-result-actions';
+
+            // Only Obsidian documents can be opened in the note viewer
+            if (result.source === 'obsidian') {
+                const open = document.createElement('button');
+                open.className = 'control-button search-result-open';
+                open.dataset.filePath = result.filePath;
+                open.textContent = i18n.t('search.open');
+                actions.appendChild(open);
+            }
+
+            const ask = document.createElement('button');
+            ask.className = 'control-button search-result-ask';
+            ask.dataset.filePath = result.filePath;
+            ask.textContent = i18n.t('search.ask');
+            actions.appendChild(ask);
+
+            card.appendChild(header);
+            card.appendChild(snippet);
+            card.appendChild(actions);
+            this.results.appendChild(card);
+        });
+    }
+
+    // Escape snippet and wrap query terms in <mark>
+    highlight(text, query) {
+        const escape = (value) => value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const terms = query.split(/\s+/)
+            .filter(term => term.length >= this.minQueryLength)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+        if (terms.length === 0) return escape(text);
+
+        // Split on raw text so that entities produced by escaping are never matched;
+        // with a capturing group the matched terms land on odd indexes
+        return text.split(new RegExp(`(${terms.join('|')})`, 'giu'))
+            .map((part, index) => index % 2 === 1 ? `<mark>${escape(part)}</mark>` : escape(part))
+            .join('');
+    }
+}
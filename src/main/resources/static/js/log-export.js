@@ -0,0 +1,191 @@
+// Vtoroy AI Assistant - Structured log export (JSON Lines / CSV / text)
+class LogExportDialog {
+    constructor(dialog, options = {}) {
+        this.dialog = dialog;
+        this.logViewer = options.logViewer;
+
+        this.form = dialog.querySelector('form');
+        this.bufferCount = dialog.querySelector('.log-export-buffer-count');
+        this.serverLines = dialog.querySelector('#log-export-lines');
+        this.formatSelect = dialog.querySelector('#log-export-format');
+        this.levelInputs = dialog.querySelectorAll('input[name="level"]');
+        this.loggerInput = dialog.querySelector('#log-export-logger');
+        this.fromInput = dialog.querySelector('#log-export-from');
+        this.toInput = dialog.querySelector('#log-export-to');
+        this.status = dialog.querySelector('.log-export-status');
+        this.submitButton = dialog.querySelector('.log-export-submit');
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.export();
+        });
+
+        this.dialog.querySelector('.log-export-cancel').addEventListener('click', () => this.dialog.close());
+
+        // Live count is only known for the local buffer
+        this.form.addEventListener('input', () => this.updatePreview());
+    }
+
+    // Open dialog prefilled with the viewer's current filters
+    open() {
+        this.levelInputs.forEach(input => {
+            input.checked = this.logViewer.activeLevels.has(input.value);
+        });
+        this.loggerInput.value = this.logViewer.loggerInput.value;
+        this.setStatus('');
+        this.updatePreview();
+        this.dialog.showModal();
+    }
+
+    getSource() {
+        return this.form.elements.source.value;
+    }
+
+    getFilters() {
+        return {
+            levels: new Set(Array.from(this.levelInputs).filter(input => input.checked).map(input => input.value)),
+            logger: this.loggerInput.value.trim().toLowerCase(),
+            from: this.fromInput.value ? new Date(this.fromInput.value) : null,
+            to: this.toInput.value ? new Date(this.toInput.value) : null
+        };
+    }
+
+    updatePreview() {
+        const entries = this.logViewer.getEntries();
+        this.bufferCount.textContent = i18n.t('logExport.bufferCount', { count: entries.length });
+
+        if (this.getSource() === 'buffer') {
+            const count = this.applyFilters(entries, this.getFilters()).length;
+            this.setStatus(i18n.t('logExport.preview', { count }));
+        } else {
+            this.setStatus(i18n.t('logExport.fromServer'));
+        }
+    }
+
+    applyFilters(entries, filters) {
+        return entries.filter(entry => {
+            const level = String(entry.level || '').toUpperCase();
+            if (['DEBUG', 'INFO', 'WARN', 'ERROR'].includes(level) && !filters.levels.has(level)) {
+                return false;
+            }
+
+            if (filters.logger && !String(entry.logger || '').toLowerCase().includes(filters.logger)) {
+                return false;
+            }
+
+            if (filters.from || filters.to) {
+                const time = this.parseTimestamp(entry.timestamp);
+                if (!time) return false;
+                if (filters.from && time < filters.from) return false;
+                if (filters.to && time > filters.to) return false;
+            }
+
+            return true;
+        });
+    }
+
+    // Server sends ISO local date-time; bare HH:mm:ss is treated as today
+    parseTimestamp(timestamp) {
+        if (!timestamp) return null;
+
+        if (/^\d{2}:\d{2}:\d{2}/.test(timestamp)) {
+            const [hours, minutes, seconds] = timestamp.split(':').map(part => parseInt(part, 10));
+            const date = new Date();
+            date.setHours(hours, minutes, seconds, 0);
+            return date;
+        }
+
+        // Trim nanoseconds to milliseconds for Date parsing
+        const date = new Date(timestamp.replace(/(\.\d{3})\d+/, '$1'));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    async loadServerLogs(lines) {
+        const response = await fetch(`/api/system/logs/recent?lines=${lines}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        return data.logs || [];
+    }
+
+    async export() {
+        this.submitButton.disabled = true;
+
+        try {
+            let entries;
+            if (this.getSource() === 'server') {
+                this.setStatus(i18n.t('logExport.loading'));
+                entries = await this.loadServerLogs(parseInt(this.serverLines.value, 10) || 1000);
+            } else {
+                entries = this.logViewer.getEntries();
+            }
+
+            const filtered = this.applyFilters(entries, this.getFilters());
+            if (filtered.length === 0) {
+                this.setStatus(i18n.t('logs.noMatches'), true);
+                return;
+            }
+
+            const format = this.formatSelect.value;
+            this.download(this.serialize(filtered, format), format);
+            this.dialog.close();
+        } catch (error) {
+            console.error('Log export failed:', error);
+            this.setStatus(i18n.t('logExport.error', { message: error.message }), true);
+        } finally {
+            this.submitButton.disabled = false;
+        }
+    }
+
+    serialize(entries, format) {
+        const records = entries.map(entry => ({
+            timestamp: entry.timestamp,
+            level: entry.level,
+            logger: entry.logger || '',
+            message: entry.message || ''
+        }));
+
+        if (format === 'jsonl') {
+            return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+        }
+
+        if (format === 'csv') {
+            const escapeCsv = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+            const header = 'timestamp,level,logger,message';
+            return [header]
+                .concat(records.map(record => [record.timestamp, record.level, record.logger, record.message].map(escapeCsv).join(',')))
+                .join('\r\n') + '\r\n';
+        }
+
+        return records.map(record => `[${record.timestamp}] ${record.level} ${record.logger}: ${record.message}`).join('\n') + '\n';
+    }
+
+    download(content, format) {
+        const types = {
+            jsonl: ['application/x-ndjson', 'jsonl'],
+            csv: ['text/csv', 'csv'],
+            text: ['text/plain', 'txt']
+        };
+        const [type, extension] = types[format];
+
+        const blob = new Blob([content], { type: `${type};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `vtoroy-logs-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    setStatus(text, isError = false) {
+        this.status.textContent = text;
+        this.status.classList.toggle('error', isError);
+    }
+}
@@ -0,0 +1,384 @@
+// Vtoroy AI Assistant - Log viewer with in-memory ring buffer and virtualized list
+//
+// Логи хранятся в памяти, а в DOM рендерятся только видимые строки,
+// поэтому буфер на тысячи записей не тормозит прокрутку.
+
+// Fixed-size buffer that overwrites the oldest entries
+class LogRingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.size = 0;
+    }
+
+    push(item) {
+        const index = (this.start + this.size) % this.capacity;
+        this.items[index] = item;
+        if (this.size < this.capacity) {
+            this.size++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    // Entries in insertion order, oldest first
+    toArray() {
+        const result = new Array(this.size);
+        for (let i = 0; i < this.size; i++) {
+            result[i] = this.items[(this.start + i) % this.capacity];
+        }
+        return result;
+    }
+
+    first() {
+        return this.size > 0 ? this.items[this.start] : null;
+    }
+
+    // Change capacity keeping the newest entries
+    resize(capacity) {
+        const entries = this.toArray().slice(-capacity);
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.size = 0;
+        entries.forEach(entry => this.push(entry));
+    }
+
+    clear() {
+        this.items = new Array(this.capacity);
+        this.start = 0;
+        this.size = 0;
+    }
+}
+
+class LogViewer {
+    constructor(elements, options = {}) {
+        this.container = elements.container;
+        this.levelButtons = elements.levelButtons;
+        this.loggerInput = elements.loggerInput;
+        this.loggerList = elements.loggerList;
+        this.searchInput = elements.searchInput;
+        this.regexToggle = elements.regexToggle;
+        this.capacitySelect = elements.capacitySelect;
+        this.stats = elements.stats;
+
+        this.storage = options.storage || window.localStorage;
+        this.capacityKey = 'vtoroy.logs.capacity';
+        this.rowHeight = options.rowHeight || 30;
+        this.overscan = 10;
+
+        const savedCapacity = parseInt(this.storage.getItem(this.capacityKey), 10);
+        const capacity = savedCapacity || parseInt(this.capacitySelect.value, 10) || 2000;
+        this.capacitySelect.value = String(capacity);
+
+        this.buffer = new LogRingBuffer(capacity);
+        this.sequence = 0;
+        this.filtered = [];
+        this.loggers = new Set();
+        this.loggerOptions = new Set();
+        this.activeLevels = new Set(['DEBUG', 'INFO', 'WARN', 'ERROR']);
+        this.searchPattern = null;
+        this.paused = false;
+        this.pendingWhilePaused = 0;
+        this.followTail = true;
+        this.renderScheduled = false;
+
+        this.buildList();
+        this.bindEvents();
+        this.render();
+    }
+
+    // Spacer sets the scroll height, rows are positioned inside it
+    buildList() {
+        this.container.innerHTML = '';
+        this.container.classList.add('virtual');
+
+        this.spacer = document.createElement('div');
+        this.spacer.className = 'logs-spacer';
+
+        this.rows = document.createElement('div');
+        this.rows.className = 'logs-rows';
+
+        this.emptyState = document.createElement('div');
+        this.emptyState.className = 'log-entry connecting';
+        this.emptyState.textContent = i18n.t('logs.connecting');
+
+        this.spacer.appendChild(this.rows);
+        this.container.appendChild(this.spacer);
+        this.container.appendChild(this.emptyState);
+    }
+
+    // Bind filter and scroll events
+    bindEvents() {
+        this.levelButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const level = button.dataset.level;
+                if (this.activeLevels.has(level)) {
+                    this.activeLevels.delete(level);
+                } else {
+                    this.activeLevels.add(level);
+                }
+                button.classList.toggle('active', this.activeLevels.has(level));
+                this.applyFilters();
+            });
+        });
+
+        this.loggerInput.addEventListener('input', () => this.applyFilters());
+        this.searchInput.addEventListener('input', () => this.applyFilters());
+        this.regexToggle.addEventListener('change', () => this.applyFilters());
+
+        this.capacitySelect.addEventListener('change', () => {
+            const capacity = parseInt(this.capacitySelect.value, 10);
+            this.buffer.resize(capacity);
+            this.storage.setItem(this.capacityKey, String(capacity));
+            this.applyFilters();
+        });
+
+        this.container.addEventListener('scroll', () => {
+            const distanceToBottom = this.container.scrollHeight - this.container.scrollTop - this.container.clientHeight;
+            this.followTail = distanceToBottom < this.rowHeight;
+            this.scheduleRender();
+        });
+    }
+
+    // Append log entry from /logs/stream or /logs/recent
+    add(logData) {
+        const entry = {
+            id: ++this.sequence,
+            timestamp: logData.timestamp || this.localIsoTimestamp(),
+            level: this.normalizeLevel(logData.level),
+            logger: logData.logger || '',
+            message: logData.message || ''
+        };
+
+        this.buffer.push(entry);
+        this.rememberLogger(entry.logger);
+
+        if (this.paused) {
+            this.pendingWhilePaused++;
+            this.updateStats();
+            return;
+        }
+
+        // Drop entries evicted from the ring buffer
+        const oldest = this.buffer.first();
+        while (this.filtered.length > 0 && this.filtered[0].id < oldest.id) {
+            this.filtered.shift();
+        }
+
+        if (this.matches(entry)) {
+            this.filtered.push(entry);
+        }
+        this.scheduleRender();
+    }
+
+    // Same ISO local date-time format as the server timestamps
+    localIsoTimestamp() {
+        const now = new Date();
+        return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, -1);
+    }
+
+    normalizeLevel(level) {
+        const value = String(level || 'INFO').toUpperCase();
+        if (value === 'TRACE') return 'DEBUG';
+        if (value === 'WARNING') return 'WARN';
+        return value;
+    }
+
+    // Autocomplete offers both logger names and their packages
+    rememberLogger(logger) {
+        if (!logger || this.loggers.has(logger)) return;
+        this.loggers.add(logger);
+
+        const parts = logger.split('.');
+        for (let i = 1; i <= parts.length; i++) {
+            const name = parts.slice(0, i).join('.');
+            if (!this.loggerOptions.has(name)) {
+                this.loggerOptions.add(name);
+                const option = document.createElement('option');
+                option.value = name;
+                this.loggerList.appendChild(option);
+            }
+        }
+    }
+
+    // Rebuild filter state from controls and refilter the buffer
+    applyFilters() {
+        const query = this.searchInput.value;
+        this.searchPattern = null;
+        this.searchInput.classList.remove('error');
+
+        if (query) {
+            try {
+                const source = this.regexToggle.checked ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                this.searchPattern = new RegExp(source, 'giu');
+            } catch (error) {
+                this.searchInput.classList.add('error');
+            }
+        }
+
+        this.filtered = this.buffer.toArray().filter(entry => this.matches(entry));
+        this.scheduleRender();
+    }
+
+    matches(entry) {
+        if (!this.activeLevels.has(entry.level) && ['DEBUG', 'INFO', 'WARN', 'ERROR'].includes(entry.level)) {
+            return false;
+        }
+
+        const loggerFilter = this.loggerInput.value.trim().toLowerCase();
+        if (loggerFilter && !entry.logger.toLowerCase().includes(loggerFilter)) {
+            return false;
+        }
+
+        if (this.searchPattern) {
+            this.searchPattern.lastIndex = 0;
+            return this.searchPattern.test(entry.message) || this.searchPattern.test(entry.logger);
+        }
+
+        return true;
+    }
+
+    // Show the given level and everything more severe (/logs <level>)
+    showLevelsFrom(level) {
+        const levels = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
+        const index = levels.indexOf(this.normalizeLevel(level));
+        if (index === -1) return false;
+
+        this.activeLevels = new Set(levels.slice(index));
+        this.levelButtons.forEach(button => {
+            button.classList.toggle('active', this.activeLevels.has(button.dataset.level));
+        });
+        this.applyFilters();
+        return true;
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+        if (!paused) {
+            this.pendingWhilePaused = 0;
+            this.applyFilters();
+        }
+        this.updateStats();
+    }
+
+    clear() {
+        this.buffer.clear();
+        this.filtered = [];
+        this.pendingWhilePaused = 0;
+        this.followTail = true;
+        this.scheduleRender();
+    }
+
+    // Buffered entries, oldest first
+    getEntries() {
+        return this.buffer.toArray();
+    }
+
+    scheduleRender() {
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.render();
+        });
+    }
+
+    // Render only rows inside the viewport
+    render() {
+        const total = this.filtered.length;
+        this.spacer.style.height = `${total * this.rowHeight}px`;
+        this.emptyState.style.display = total === 0 ? '' : 'none';
+        if (total === 0 && this.sequence > 0) {
+            this.emptyState.textContent = i18n.t('logs.noMatches');
+        }
+
+        if (this.followTail) {
+            this.container.scrollTop = this.container.scrollHeight;
+        }
+
+        const first = Math.max(0, Math.floor(this.container.scrollTop / this.rowHeight) - this.overscan);
+        const visibleCount = Math.ceil(this.container.clientHeight / this.rowHeight) + this.overscan * 2;
+        const last = Math.min(total, first + visibleCount);
+
+        this.rows.style.transform = `translateY(${first * this.rowHeight}px)`;
+        this.rows.innerHTML = '';
+        for (let i = first; i < last; i++) {
+            this.rows.appendChild(this.createRow(this.filtered[i]));
+        }
+
+        this.updateStats();
+    }
+
+    createRow(entry) {
+        const row = document.createElement('div');
+        row.className = 'log-entry';
+        row.style.height = `${this.rowHeight}px`;
+        row.title = entry.message;
+
+        const timestamp = document.createElement('span');
+        timestamp.className = 'log-timestamp';
+        timestamp.textContent = this.formatTime(entry.timestamp);
+
+        const level = document.createElement('span');
+        level.className = `log-level ${entry.level.toLowerCase()}`;
+        level.textContent = entry.level;
+
+        const logger = document.createElement('span');
+        logger.className = 'log-logger';
+        logger.textContent = this.abbreviateLogger(entry.logger);
+        logger.title = entry.logger;
+
+        const message = document.createElement('span');
+        message.className = 'log-message';
+        this.appendHighlighted(message, entry.message);
+
+        row.appendChild(timestamp);
+        row.appendChild(level);
+        row.appendChild(logger);
+        row.appendChild(message);
+        return row;
+    }
+
+    // ISO timestamps (e.g. the 'connected' event) are shown as time only
+    formatTime(timestamp) {
+        const match = /T(\d{2}:\d{2}:\d{2})/.exec(timestamp);
+        return match ? match[1] : timestamp;
+    }
+
+    // com.vtoroy.service.KnowledgeService -> c.v.s.KnowledgeService
+    abbreviateLogger(logger) {
+        const parts = logger.split('.');
+        if (parts.length <= 1) return logger;
+        return parts.slice(0, -1).map(part => part.charAt(0)).concat(parts[parts.length - 1]).join('.');
+    }
+
+    // Wrap search matches in <mark> without using innerHTML
+    appendHighlighted(element, text) {
+        if (!this.searchPattern) {
+            element.textContent = text;
+            return;
+        }
+
+        let lastIndex = 0;
+        this.searchPattern.lastIndex = 0;
+        for (const match of text.matchAll(this.searchPattern)) {
+            if (match[0].length === 0) continue;
+            element.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+            const mark = document.createElement('mark');
+            mark.textContent = match[0];
+            element.appendChild(mark);
+            lastIndex = match.index + match[0].length;
+        }
+        element.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+
+    updateStats() {
+        const parts = [`${this.filtered.length} / ${this.buffer.size}`];
+        if (this.paused) {
+            parts.push(i18n.t('logs.paused', { count: this.pendingWhilePaused }));
+        }
+        this.stats.textContent = parts.join(' · ');
+    }
+}
@@ -0,0 +1,418 @@
+// Vtoroy AI Assistant - Safe Markdown renderer (Obsidian flavoured)
+//
+// Всё содержимое сначала экранируется, HTML генерируется только самим
+// рендерером — поэтому HTML внутри заметок и ответов агента никогда не исполняется.
+class MarkdownRenderer {
+    constructor(options = {}) {
+        this.copyLabel = options.copyLabel || i18n.t('markdown.copy');
+        this.copiedLabel = options.copiedLabel || i18n.t('markdown.copied');
+
+        // Obsidian callout types -> [css modifier, icon]
+        this.calloutTypes = {
+            note: ['note', '📝'],
+            abstract: ['abstract', '📋'], summary: ['abstract', '📋'], tldr: ['abstract', '📋'],
+            info: ['info', 'ℹ️'],
+            todo: ['todo', '☑️'],
+            tip: ['tip', '💡'], hint: ['tip', '💡'], important: ['tip', '💡'],
+            success: ['success', '✅'], check: ['success', '✅'], done: ['success', '✅'],
+            question: ['question', '❓'], help: ['question', '❓'], faq: ['question', '❓'],
+            warning: ['warning', '⚠️'], caution: ['warning', '⚠️'], attention: ['warning', '⚠️'],
+            failure: ['failure', '❌'], fail: ['failure', '❌'], missing: ['failure', '❌'],
+            danger: ['danger', '⚡'], error: ['danger', '⚡'],
+            bug: ['bug', '🐞'],
+            example: ['example', '🧪'],
+            quote: ['quote', '❝'], cite: ['quote', '❝']
+        };
+    }
+
+    // Escape HTML special characters
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Render Markdown into an element and wire interactive parts (copy buttons)
+    renderInto(element, markdown) {
+        element.classList.add('markdown-body');
+        element.innerHTML = this.render(markdown);
+        this.bindCodeCopy(element);
+        return element;
+    }
+
+    // Render Markdown to a sanitized HTML string
+    render(markdown) {
+        if (markdown === null || markdown === undefined) return '';
+        const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+
+        let start = 0;
+        let html = '';
+
+        // YAML frontmatter is only valid at the very beginning of a note
+        if (lines[0] && lines[0].trim() === '---') {
+            const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+            if (end > 0) {
+                html += this.renderFrontmatter(lines.slice(1, end));
+                start = end + 1;
+            }
+        }
+
+        return html + this.renderBlocks(lines.slice(start));
+    }
+
+    // Render a sequence of block-level lines
+    renderBlocks(lines) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (line.trim() === '') {
+                i++;
+                continue;
+            }
+
+            // Fenced code block
+            const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+            if (fence) {
+                const marker = fence[1];
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(marker)) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++; // closing fence
+                html.push(this.renderCodeBlock(code.join('\n'), fence[2]));
+                continue;
+            }
+
+            // Heading
+            const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                html.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            // Horizontal rule
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            // Blockquote / callout
+            if (/^\s*>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^\s*>/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+                    i++;
+                }
+                html.push(this.renderQuote(quoted));
+                continue;
+            }
+
+            // Table
+            if (line.includes('|') && i + 1 < lines.length && this.isTableSeparator(lines[i + 1])) {
+                const rows = [line];
+                const separator = lines[i + 1];
+                i += 2;
+                while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+                    rows.push(lines[i]);
+                    i++;
+                }
+                html.push(this.renderTable(rows, separator));
+                continue;
+            }
+
+            // List
+            if (this.isListItem(line)) {
+                const items = [];
+                const ordered = this.isOrderedItem(line);
+                const indent = line.match(/^\s*/)[0].length;
+                while (i < lines.length && (this.isListItem(lines[i]) ||
+                    (lines[i].trim() !== '' && /^\s{2,}/.test(lines[i]) && items.length > 0))) {
+                    // A sibling item of the other list kind starts a new list
+                    if (items.length > 0 && lines[i].match(/^\s*/)[0].length <= indent &&
+                        this.isListItem(lines[i]) && this.isOrderedItem(lines[i]) !== ordered) {
+                        break;
+                    }
+                    items.push(lines[i]);
+                    i++;
+                }
+                html.push(this.renderList(items));
+                continue;
+            }
+
+            // Paragraph
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() !== '' && !this.startsBlock(lines, i)) {
+                paragraph.push(this.renderInline(lines[i]));
+                i++;
+            }
+            html.push(`<p>${paragraph.join('<br>')}</p>`);
+        }
+
+        return html.join('');
+    }
+
+    // Check whether a line starts a non-paragraph block
+    startsBlock(lines, i) {
+        const line = lines[i];
+        return /^\s*(`{3,}|~{3,})/.test(line) ||
+            /^#{1,6}\s/.test(line) ||
+            /^\s*>/.test(line) ||
+            /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) ||
+            this.isListItem(line) ||
+            (line.includes('|') && i + 1 < lines.length && this.isTableSeparator(lines[i + 1]));
+    }
+
+    isListItem(line) {
+        return /^\s*([-*+]|\d+[.)])\s+/.test(line);
+    }
+
+    isOrderedItem(line) {
+        return /^\s*\d+[.)]\s+/.test(line);
+    }
+
+    isTableSeparator(line) {
+        return /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(line);
+    }
+
+    // Render fenced code with a copy button
+    renderCodeBlock(code, language) {
+        const lang = this.escape(language || '');
+        const langClass = lang ? ` class="language-${lang}"` : '';
+        return `<div class="md-code-block">` +
+            `<div class="md-code-header"><span class="md-code-lang">${lang || 'text'}</span>` +
+            `<button type="button" class="md-code-copy">${this.escape(this.copyLabel)}</button></div>` +
+            `<pre><code${langClass}>${this.escape(code)}</code></pre></div>`;
+    }
+
+    // Render blockquote, turning `> [!type] Title` into an Obsidian callout
+    renderQuote(lines) {
+        const callout = lines[0].match(/^\[!([\w-]+)\]([+-]?)\s*(.*)$/);
+        if (!callout) {
+            return `<blockquote>${this.renderBlocks(lines)}</blockquote>`;
+        }
+
+        const type = callout[1].toLowerCase();
+        const [modifier, icon] = this.calloutTypes[type] || this.calloutTypes.note;
+        const title = callout[3] || type.charAt(0).toUpperCase() + type.slice(1);
+        const body = this.renderBlocks(lines.slice(1));
+        const titleHtml = `<span class="md-callout-icon">${icon}</span>${this.renderInline(title)}`;
+
+        // Foldable callouts (`[!note]-` / `[!note]+`) become <details>
+        if (callout[2]) {
+            const open = callout[2] === '+' ? ' open' : '';
+            return `<details class="md-callout md-callout-${modifier}"${open}>` +
+                `<summary class="md-callout-title">${titleHtml}</summary>` +
+                `<div class="md-callout-body">${body}</div></details>`;
+        }
+
+        return `<div class="md-callout md-callout-${modifier}">` +
+            `<div class="md-callout-title">${titleHtml}</div>` +
+            (body ? `<div class="md-callout-body">${body}</div>` : '') + `</div>`;
+    }
+
+    // Render a pipe table
+    renderTable(rows, separator) {
+        const splitRow = (row) => row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+        const aligns = splitRow(separator).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return null;
+        });
+        const cell = (tag, content, index) => {
+            const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+            return `<${tag}${align}>${this.renderInline(content)}</${tag}>`;
+        };
+
+        const header = splitRow(rows[0]).map((content, index) => cell('th', content, index)).join('');
+        const body = rows.slice(1).map(row =>
+            `<tr>${splitRow(row).map((content, index) => cell('td', content, index)).join('')}</tr>`
+        ).join('');
+
+        return `<div class="md-table-wrapper"><table><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table></div>`;
+    }
+
+    // Render (possibly nested) list lines
+    renderList(lines) {
+        const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+        const baseIndent = indentOf(lines[0]);
+        const ordered = this.isOrderedItem(lines[0]);
+        const items = [];
+
+        lines.forEach(line => {
+            if (indentOf(line) <= baseIndent && this.isListItem(line)) {
+                items.push({ text: line.replace(/^\s*([-*+]|\d+[.)])\s+/, ''), children: [] });
+            } else if (items.length > 0) {
+                items[items.length - 1].children.push(line);
+            }
+        });
+
+        const tag = ordered ? 'ol' : 'ul';
+        const html = items.map(item => {
+            let text = item.text;
+            let checkbox = '';
+            let className = '';
+            const task = text.match(/^\[([ xX])\]\s+(.*)$/);
+            if (task) {
+                const checked = task[1] !== ' ' ? ' checked' : '';
+                checkbox = `<input type="checkbox" disabled${checked}> `;
+                className = checked ? ' class="task-item done"' : ' class="task-item"';
+                text = task[2];
+            }
+
+            const nested = item.children.filter(line => line.trim() !== '');
+            const nestedHtml = nested.length > 0
+                ? (this.isListItem(nested[0]) ? this.renderList(nested) : this.renderBlocks(nested.map(line => line.trim())))
+                : '';
+            return `<li${className}>${checkbox}${this.renderInline(text)}${nestedHtml}</li>`;
+        }).join('');
+
+        return `<${tag}>${html}</${tag}>`;
+    }
+
+    // Render frontmatter as a key/value table
+    renderFrontmatter(lines) {
+        const entries = [];
+        lines.forEach(line => {
+            const item = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+            if (item && entries.length > 0) {
+                entries[entries.length - 1].values.push(item[1]);
+                return;
+            }
+            const pair = line.match(/^([^:#]+):\s*(.*)$/);
+            if (pair) {
+                const value = pair[2].trim();
+                const inlineList = value.match(/^\[(.*)\]$/);
+                entries.push({
+                    key: pair[1].trim(),
+                    values: inlineList ? inlineList[1].split(',').map(v => v.trim()).filter(Boolean) : (value ? [value] : [])
+                });
+            }
+        });
+
+        if (entries.length === 0) return '';
+
+        const rows = entries.map(entry => {
+            const values = entry.values
+                .map(value => `<span class="md-frontmatter-value">${this.escape(value.replace(/^["']|["']$/g, ''))}</span>`)
+                .join(' ');
+            return `<tr><th>${this.escape(entry.key)}</th><td>${values}</td></tr>`;
+        }).join('');
+
+        return `<div class="md-frontmatter"><table>${rows}</table></div>`;
+    }
+
+    // Render inline Markdown for a single line
+    renderInline(text) {
+        const stash = [];
+        const keep = (html) => {
+            stash.push(html);
+            return `\u0000${stash.length - 1}\u0000`;
+        };
+
+        let out = String(text);
+
+        // Code spans are taken verbatim before anything else is touched
+        out = out.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) =>
+            keep(`<code>${this.escape(code.trim())}</code>`));
+
+        out = this.escape(out);
+
+        // Wiki-links and embeds: [[Note]], [[Note#Heading|Alias]], ![[Note]]
+        out = out.replace(/!?\[\[([^\]|]+?)(?:\|([^\]]+))?\]\]/g, (m, target, alias) => {
+            const note = target.split('#')[0].trim();
+            const label = (alias || target).trim();
+            return keep(`<a href="#" class="wiki-link" data-note="${note}" title="${target.trim()}">${label}</a>`);
+        });
+
+        // Images: ![alt](url)
+        out = out.replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;[^&]*&quot;)?\)/g, (m, alt, url) => {
+            if (!/^https?:\/\//i.test(url)) return keep(alt);
+            return keep(`<img src="${url}" alt="${alt}" loading="lazy">`);
+        });
+
+        // Links: [text](url)
+        out = out.replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;[^&]*&quot;)?\)/g, (m, label, url) => {
+            if (!this.isSafeUrl(url)) return label;
+            return keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`);
+        });
+
+        // Bare URLs
+        out = out.replace(/(^|[\s(])(https?:\/\/[^\s<)]+)/g, (m, prefix, url) =>
+            prefix + keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`));
+
+        // Tags: #tag, #nested/tag (must contain a non-digit)
+        out = out.replace(/(^|\s)#([\p{L}\p{N}_/-]*[\p{L}_/-][\p{L}\p{N}_/-]*)/gu, (m, prefix, tag) =>
+            prefix + keep(`<a href="#" class="tag" data-tag="${tag}">#${tag}</a>`));
+
+        // Emphasis
+        out = out
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/(^|[^*\w])\*(?=\S)([^*]*?\S)\*(?!\*)/g, '$1<em>$2</em>')
+            .replace(/(^|[^_\w])_(?=\S)([^_]*?\S)_(?![_\w])/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/==(?=\S)([\s\S]*?\S)==/g, '<mark>$1</mark>');
+
+        // Restore stashed fragments (they may be nested)
+        while (/\u0000\d+\u0000/.test(out)) {
+            out = out.replace(/\u0000(\d+)\u0000/g, (m, index) => stash[Number(index)]);
+        }
+
+        return out;
+    }
+
+    // Allow only http(s), mailto and relative URLs
+    isSafeUrl(url) {
+        const decoded = url.replace(/&amp;/g, '&').trim();
+        if (/^(https?:|mailto:)/i.test(decoded)) return true;
+        return !/^[\w+.-]*:/.test(decoded);
+    }
+
+    // Wire copy buttons of rendered code blocks
+    bindCodeCopy(element) {
+        element.querySelectorAll('.md-code-copy').forEach(button => {
+            button.addEventListener('click', () => {
+                const code = button.closest('.md-code-block').querySelector('code');
+                this.copyToClipboard(code ? code.textContent : '').then(() => {
+                    button.textContent = this.copiedLabel;
+                    button.classList.add('copied');
+                    setTimeout(() => {
+                        button.textContent = this.copyLabel;
+                        button.classList.remove('copied');
+                    }, 1500);
+                });
+            });
+        });
+    }
+
+    // Copy text using Clipboard API with a textarea fallback
+    copyToClipboard(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            return navigator.clipboard.writeText(text);
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        try {
+            document.execCommand('copy');
+        } finally {
+            document.body.removeChild(textarea);
+        }
+        return Promise.resolve();
+    }
+}
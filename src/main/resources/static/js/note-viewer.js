@@ -0,0 +1,232 @@
+// Vtoroy AI Assistant - Obsidian note viewer drawer (/api/notes)
+//
+// Переходы по wiki-ссылкам и обратным ссылкам происходят внутри панели,
+// поэтому история ведётся здесь же, а не в истории браузера.
+class NoteViewer {
+    constructor(elements, options = {}) {
+        this.panel = elements.panel;
+        this.title = elements.title;
+        this.body = elements.body;
+        this.backButton = elements.backButton;
+        this.forwardButton = elements.forwardButton;
+        this.closeButton = elements.closeButton;
+        // Not data-i18n: translatePage() would overwrite the title of an open note
+        this.title.textContent = i18n.t('note.title');
+
+        this.markdown = options.markdown || new MarkdownRenderer();
+        this.history = [];
+        this.historyIndex = -1;
+        this.abortController = null;
+
+        this.bindEvents();
+        this.updateNavigation();
+    }
+
+    // Bind navigation and link events
+    bindEvents() {
+        this.closeButton.addEventListener('click', () => this.close());
+        this.backButton.addEventListener('click', () => this.back());
+        this.forwardButton.addEventListener('click', () => this.forward());
+
+        this.body.addEventListener('click', (e) => {
+            const link = e.target.closest('.wiki-link, .note-link');
+            if (link) {
+                e.preventDefault();
+                this.open(link.dataset.note);
+                return;
+            }
+
+            if (e.target.closest('.tag')) {
+                e.preventDefault();
+            }
+        });
+    }
+
+    isOpen() {
+        return this.panel.classList.contains('show');
+    }
+
+    // Open note and push it to the drawer history
+    open(path) {
+        if (!path) return;
+
+        if (this.history[this.historyIndex] !== path) {
+            this.history = this.history.slice(0, this.historyIndex + 1);
+            this.history.push(path);
+            this.historyIndex = this.history.length - 1;
+        }
+
+        this.panel.classList.add('show');
+        this.load(path);
+    }
+
+    close() {
+        this.panel.classList.remove('show');
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+    }
+
+    back() {
+        if (this.historyIndex <= 0) return;
+        this.historyIndex--;
+        this.load(this.history[this.historyIndex]);
+    }
+
+    forward() {
+        if (this.historyIndex >= this.history.length - 1) return;
+        this.historyIndex++;
+        this.load(this.history[this.historyIndex]);
+    }
+
+    updateNavigation() {
+        this.backButton.disabled = this.historyIndex <= 0;
+        this.forwardButton.disabled = this.historyIndex >= this.history.length - 1;
+    }
+
+    // Fetch note with backlinks
+    async load(path) {
+        this.updateNavigation();
+
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        this.abortController = new AbortController();
+
+        this.title.textContent = path;
+        this.renderStatus(i18n.t('note.loading'));
+
+        try {
+            const response = await fetch(`/api/notes?path=${encodeURIComponent(path)}`, {
+                signal: this.abortController.signal
+            });
+
+            if (response.status === 404) {
+                throw new Error(i18n.t('note.notFound', { path }));
+            }
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || `HTTP ${response.status}`);
+            }
+            const data = await response.json();
+
+            this.render(data.note);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Failed to load note:', error);
+            this.renderStatus(`❌ ${error.message}`, true);
+        }
+    }
+
+    renderStatus(text, isError = false) {
+        this.body.innerHTML = '';
+        const status = document.createElement('div');
+        status.className = `note-status${isError ? ' error' : ''}`;
+        status.textContent = text;
+        this.body.appendChild(status);
+    }
+
+    // Render note: meta, frontmatter, tags, body and links
+    render(note) {
+        this.title.textContent = note.title || note.path;
+        this.body.innerHTML = '';
+        this.body.scrollTop = 0;
+
+        const path = document.createElement('div');
+        path.className = 'note-path';
+        path.textContent = note.path;
+        this.body.appendChild(path);
+
+        const dates = document.createElement('div');
+        dates.className = 'note-dates';
+        dates.textContent = i18n.t('note.dates', { created: this.formatDate(note.createdAt), modified: this.formatDate(note.modifiedAt) });
+        this.body.appendChild(dates);
+
+        const frontmatterKeys = Object.keys(note.frontmatter || {});
+        if (frontmatterKeys.length > 0) {
+            this.body.appendChild(this.createFrontmatterTable(note.frontmatter, frontmatterKeys));
+        }
+
+        if (note.tags && note.tags.length > 0) {
+            const tags = document.createElement('div');
+            tags.className = 'note-tags';
+            note.tags.forEach(tag => {
+                const chip = document.createElement('a');
+                chip.href = '#';
+                chip.className = 'tag note-tag';
+                chip.dataset.tag = tag;
+                chip.textContent = `#${tag}`;
+                tags.appendChild(chip);
+            });
+            this.body.appendChild(tags);
+        }
+
+        const content = document.createElement('div');
+        content.className = 'note-content';
+        this.markdown.renderInto(content, note.content || '');
+        this.body.appendChild(content);
+
+        this.body.appendChild(this.createLinkSection(i18n.t('note.links'), note.wikiLinks || [], i18n.t('note.noLinks')));
+        this.body.appendChild(this.createLinkSection(i18n.t('note.backlinks'), note.backlinks || [], i18n.t('note.noBacklinks')));
+    }
+
+    createFrontmatterTable(frontmatter, keys) {
+        const table = document.createElement('table');
+        table.className = 'note-frontmatter';
+
+        keys.forEach(key => {
+            const row = document.createElement('tr');
+            const name = document.createElement('th');
+            name.textContent = key;
+
+            const value = document.createElement('td');
+            const raw = frontmatter[key];
+            value.textContent = Array.isArray(raw) ? raw.join(', ')
+                : (raw !== null && typeof raw === 'object') ? JSON.stringify(raw) : String(raw);
+
+            row.appendChild(name);
+            row.appendChild(value);
+            table.appendChild(row);
+        });
+
+        return table;
+    }
+
+    createLinkSection(title, links, emptyText) {
+        const section = document.createElement('div');
+        section.className = 'note-links';
+
+        const heading = document.createElement('div');
+        heading.className = 'note-links-title';
+        heading.textContent = `${title} (${links.length})`;
+        section.appendChild(heading);
+
+        if (links.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'note-links-empty';
+            empty.textContent = emptyText;
+            section.appendChild(empty);
+            return section;
+        }
+
+        const list = document.createElement('ul');
+        links.forEach(target => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = '#';
+            link.className = 'note-link';
+            link.dataset.note = target;
+            link.textContent = target.replace(/\.md$/, '');
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+
+        return section;
+    }
+
+    formatDate(value) {
+        return value ? i18n.formatDateTime(value) : '—';
+    }
+}
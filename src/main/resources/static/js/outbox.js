@@ -0,0 +1,116 @@
+// Vtoroy AI Assistant - Persistent outbox for messages sent while offline
+//
+// Очередь хранится в localStorage, поэтому переживает перезагрузку страницы;
+// отправляется строго по порядку, когда бэкенд снова отвечает UP. Содержимое
+// файлов в очередь не попадает - только имена и размеры, сами файлы в памяти.
+// Сообщение, которое не ушло за maxAttempts попыток или отвергнуто сервером,
+// получает статус failed и ждёт, пока пользователь отправит его снова или удалит.
+class Outbox {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.key = 'vtoroy.outbox';
+    }
+
+    static maxAttempts = 3;
+
+    read() {
+        try {
+            const raw = this.storage.getItem(this.key);
+            return raw ? JSON.parse(raw) : [];
+        } catch (error) {
+            console.warn('Failed to read outbox from storage:', error);
+            return [];
+        }
+    }
+
+    // false when storage is full: the queue did not change
+    write(items) {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(items));
+            return true;
+        } catch (error) {
+            console.warn('Failed to write outbox to storage:', error);
+            return false;
+        }
+    }
+
+    // Queued messages, oldest first
+    list() {
+        return this.read();
+    }
+
+    // Messages still to be sent automatically (failed ones wait for the user)
+    pending() {
+        return this.read().filter(item => item.status !== 'failed');
+    }
+
+    get(id) {
+        return this.read().find(item => item.id === id) || null;
+    }
+
+    // attachments are { id, name, size } - contents stay in memory; null when the item could not be stored
+    enqueue(sessionId, message, references = [], attachments = []) {
+        const item = {
+            id: `outbox-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            sessionId,
+            message,
+            references,
+            attachments,
+            status: 'queued',
+            attempts: 0,
+            createdAt: Date.now()
+        };
+        const items = this.read();
+        items.push(item);
+        return this.write(items) ? item : null;
+    }
+
+    setStatus(id, status) {
+        const items = this.read();
+        const item = items.find(entry => entry.id === id);
+        if (!item) return;
+
+        item.status = status;
+        this.write(items);
+    }
+
+    // Count a failed attempt; retryable errors go back to the queue until attempts run out. Returns the new status
+    recordFailure(id, retryable) {
+        const items = this.read();
+        const item = items.find(entry => entry.id === id);
+        if (!item) return 'failed';
+
+        item.attempts = (item.attempts || 0) + 1;
+        item.status = retryable && item.attempts < Outbox.maxAttempts ? 'queued' : 'failed';
+        this.write(items);
+        return item.status;
+    }
+
+    // Resend requested by the user: a fresh set of attempts
+    retry(id) {
+        const items = this.read();
+        const item = items.find(entry => entry.id === id);
+        if (!item) return;
+
+        item.status = 'queued';
+        item.attempts = 0;
+        this.write(items);
+    }
+
+    remove(id) {
+        this.write(this.read().filter(item => item.id !== id));
+    }
+
+    removeSession(sessionId) {
+        this.write(this.read().filter(item => item.sessionId !== sessionId));
+    }
+
+    // A page reload in the middle of a replay leaves items in 'sending'
+    resetInterrupted() {
+        const items = this.read();
+        items.forEach(item => {
+            if (item.status === 'sending') item.status = 'queued';
+        });
+        this.write(items);
+    }
+}
@@ -0,0 +1,50 @@
+// Vtoroy AI Assistant - User preferences (shortcuts, theme, ...)
+//
+// Все настройки лежат одним JSON-объектом в localStorage, модули читают
+// и пишут свои ключи через get/set и подписываются на изменения.
+class Preferences {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.key = 'vtoroy.preferences';
+        this.listeners = [];
+        this.values = this.read();
+    }
+
+    read() {
+        try {
+            const raw = this.storage.getItem(this.key);
+            return raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            console.warn('Failed to read preferences from storage:', error);
+            return {};
+        }
+    }
+
+    write() {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Failed to write preferences to storage:', error);
+        }
+    }
+
+    get(name, fallback = null) {
+        return name in this.values ? this.values[name] : fallback;
+    }
+
+    set(name, value) {
+        this.values[name] = value;
+        this.write();
+        this.listeners.forEach(listener => listener(name, value));
+    }
+
+    remove(name) {
+        delete this.values[name];
+        this.write();
+        this.listeners.forEach(listener => listener(name, null));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
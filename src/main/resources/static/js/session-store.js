@@ -0,0 +1,153 @@
+// Vtoroy AI Assistant - Client-side chat session storage
+//
+// Индекс сессий и транскрипты хранятся в localStorage раздельно,
+// чтобы список в сайдбаре не требовал чтения всех переписок.
+class SessionStore {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.indexKey = 'vtoroy.sessions';
+        this.activeKey = 'vtoroy.activeSession';
+        this.transcriptPrefix = 'vtoroy.session.';
+        this.titleLength = 60;
+    }
+
+    // Read JSON value from storage
+    read(key, fallback) {
+        try {
+            const raw = this.storage.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (error) {
+            console.warn(`Failed to read ${key} from storage:`, error);
+            return fallback;
+        }
+    }
+
+    // Write JSON value to storage
+    write(key, value) {
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.warn(`Failed to write ${key} to storage:`, error);
+            return false;
+        }
+    }
+
+    // All sessions: pinned first, then by last activity
+    listSessions() {
+        return this.read(this.indexKey, [])
+            .slice()
+            .sort((a, b) => (b.pinned - a.pinned) || (b.updatedAt - a.updatedAt));
+    }
+
+    getSession(sessionId) {
+        return this.read(this.indexKey, []).find(session => session.id === sessionId) || null;
+    }
+
+    // Create session entry if it does not exist yet
+    ensureSession(sessionId) {
+        const sessions = this.read(this.indexKey, []);
+        let session = sessions.find(s => s.id === sessionId);
+        if (!session) {
+            const now = Date.now();
+            session = {
+                id: sessionId,
+                title: '',
+                customTitle: false,
+                pinned: false,
+                createdAt: now,
+                updatedAt: now,
+                messageCount: 0
+            };
+            sessions.push(session);
+            this.write(this.indexKey, sessions);
+        }
+        return session;
+    }
+
+    // Update session entry fields
+    updateSession(sessionId, changes) {
+        const sessions = this.read(this.indexKey, []);
+        const session = sessions.find(s => s.id === sessionId);
+        if (!session) return null;
+
+        Object.assign(session, changes);
+        this.write(this.indexKey, sessions);
+        return session;
+    }
+
+    renameSession(sessionId, title) {
+        const trimmed = (title || '').trim();
+        return this.updateSession(sessionId, { title: trimmed, customTitle: trimmed.length > 0 });
+    }
+
+    togglePin(sessionId) {
+        const session = this.getSession(sessionId);
+        return session ? this.updateSession(sessionId, { pinned: !session.pinned }) : null;
+    }
+
+    deleteSession(sessionId) {
+        const sessions = this.read(this.indexKey, []).filter(s => s.id !== sessionId);
+        this.write(this.indexKey, sessions);
+        this.storage.removeItem(this.transcriptPrefix + sessionId);
+        if (this.getActiveSessionId() === sessionId) {
+            this.storage.removeItem(this.activeKey);
+        }
+    }
+
+    getTranscript(sessionId) {
+        return this.read(this.transcriptPrefix + sessionId, []);
+    }
+
+    // Replace whole transcript (e.g. restored from server history)
+    setTranscript(sessionId, messages) {
+        this.ensureSession(sessionId);
+        this.write(this.transcriptPrefix + sessionId, messages);
+
+        const firstUserMessage = messages.find(m => m.role === 'user');
+        const session = this.getSession(sessionId);
+        const last = messages[messages.length - 1];
+        this.updateSession(sessionId, {
+            messageCount: messages.length,
+            updatedAt: last ? last.timestamp : session.updatedAt,
+            title: session.customTitle || !firstUserMessage ? session.title : this.makeTitle(firstUserMessage.content)
+        });
+    }
+
+    // Append message to transcript and refresh index entry; null when the transcript could not be written
+    appendMessage(sessionId, message) {
+        const transcript = this.getTranscript(sessionId);
+        transcript.push(message);
+        if (!this.write(this.transcriptPrefix + sessionId, transcript)) {
+            return null;
+        }
+
+        const session = this.ensureSession(sessionId);
+        const changes = {
+            messageCount: transcript.length,
+            updatedAt: message.timestamp
+        };
+        if (!session.title && !session.customTitle && message.role === 'user') {
+            changes.title = this.makeTitle(message.content);
+        }
+        return this.updateSession(sessionId, changes);
+    }
+
+    // Build sidebar title from the first user message
+    makeTitle(content) {
+        const text = String(content || '').replace(/\s+/g, ' ').trim();
+        return text.length > this.titleLength ? `${text.slice(0, this.titleLength - 1)}…` : text;
+    }
+
+    getActiveSessionId() {
+        return this.storage.getItem(this.activeKey);
+    }
+
+    setActiveSessionId(sessionId) {
+        try {
+            this.storage.setItem(this.activeKey, sessionId);
+        } catch (error) {
+            console.warn('Failed to store active session:', error);
+        }
+    }
+}
@@ -0,0 +1,279 @@
+// Vtoroy AI Assistant - UI actions and rebindable keyboard shortcuts
+//
+// Каждое действие интерфейса регистрируется один раз: палитра команд
+// показывает их все, а горячие клавиши - только те, у которых есть сочетание.
+// Пользовательские сочетания хранятся в preferences поверх значений по умолчанию.
+class ShortcutManager {
+    constructor(preferences) {
+        this.preferences = preferences;
+        this.preferenceKey = 'shortcuts';
+        this.actions = new Map();
+        this.enabled = true;
+    }
+
+    static modifierKeys = ['Control', 'Shift', 'Alt', 'Meta'];
+
+    // { id, title, keys, run, when } - title may be a function for live translation
+    register(action) {
+        if (!action.id || typeof action.run !== 'function') {
+            throw new Error('Action needs an id and a run function');
+        }
+        this.actions.set(action.id, {
+            keys: '',
+            when: () => true,
+            ...action
+        });
+    }
+
+    get(id) {
+        return this.actions.get(id) || null;
+    }
+
+    // Actions in registration order
+    list() {
+        return Array.from(this.actions.values());
+    }
+
+    getTitle(action) {
+        return typeof action.title === 'function' ? action.title() : action.title;
+    }
+
+    getOverrides() {
+        return this.preferences.get(this.preferenceKey, {});
+    }
+
+    // User binding, else the default; '' means unbound
+    getBinding(id) {
+        const overrides = this.getOverrides();
+        if (id in overrides) return overrides[id];
+
+        const action = this.get(id);
+        return action ? action.keys : '';
+    }
+
+    // One combo per action: taking a combo unbinds whatever used it before
+    setBinding(id, combo) {
+        const overrides = { ...this.getOverrides() };
+        if (combo) {
+            this.list()
+                .filter(action => action.id !== id && this.getBinding(action.id) === combo)
+                .forEach(action => {
+                    overrides[action.id] = '';
+                });
+        }
+        overrides[id] = combo;
+        this.preferences.set(this.preferenceKey, overrides);
+    }
+
+    resetBindings() {
+        this.preferences.remove(this.preferenceKey);
+    }
+
+    findByCombo(combo) {
+        return this.list().find(action => this.getBinding(action.id) === combo) || null;
+    }
+
+    async run(id) {
+        const action = this.get(id);
+        if (!action || !action.when()) return false;
+
+        await action.run();
+        return true;
+    }
+
+    // Global keydown handler; plain keys are left to text fields, open dialogs handle their own keys
+    handle(event) {
+        if (!this.enabled || event.defaultPrevented) return;
+        if (document.querySelector('dialog[open]')) return;
+
+        const combo = ShortcutManager.comboFromEvent(event);
+        if (!combo) return;
+
+        const action = this.findByCombo(combo);
+        if (!action || !action.when()) return;
+        if (ShortcutManager.isTextTarget(event.target) && !ShortcutManager.worksInText(event)) return;
+
+        event.preventDefault();
+        Promise.resolve(action.run()).catch(error => console.error(`Shortcut ${action.id} failed:`, error));
+    }
+
+    // "Ctrl+Shift+P", "Alt+1", "?" - Shift is implied by symbols like "?"
+    static comboFromEvent(event) {
+        if (!event.key || ShortcutManager.modifierKeys.includes(event.key)) return null;
+
+        let key = event.key === ' ' ? 'Space' : event.key;
+        // Letters by physical key, so Ctrl+K also works on the Russian layout
+        const latin = /^Key([A-Z])$/.exec(event.code || '');
+        if (latin && ((key.length === 1 && /\p{L}/u.test(key)) || event.altKey)) {
+            key = latin[1];
+        }
+        // With Alt, digits and letters by physical key as well: on macOS Option+1 types "¡", Option+T "†"
+        const digit = /^Digit(\d)$/.exec(event.code || '');
+        if (digit && event.altKey) {
+            key = digit[1];
+        }
+        const symbol = key.length === 1 && key.toLowerCase() === key.toUpperCase() && !/\d/.test(key);
+        if (key.length === 1) {
+            key = key.toUpperCase();
+        }
+
+        const parts = [];
+        if (event.ctrlKey) parts.push('Ctrl');
+        if (event.metaKey) parts.push('Meta');
+        if (event.altKey) parts.push('Alt');
+        if (event.shiftKey && !symbol) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
+    }
+
+    static worksInText(event) {
+        return event.ctrlKey || event.metaKey || event.altKey || event.key === 'Escape' || /^F\d+$/.test(event.key);
+    }
+
+    static isTextTarget(target) {
+        if (!target || !target.tagName) return false;
+        return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+
+    // Human-readable combo for <kbd> rendering
+    static format(combo) {
+        const names = {
+            ArrowUp: '↑',
+            ArrowDown: '↓',
+            ArrowLeft: '←',
+            ArrowRight: '→',
+            Escape: 'Esc',
+            Enter: '↩'
+        };
+        return combo.split('+').map(part => names[part] || part);
+    }
+}
+
+// "?" overlay: every action with its combo, click a combo to record a new one
+class ShortcutCheatSheet {
+    constructor(dialog, shortcuts) {
+        this.dialog = dialog;
+        this.shortcuts = shortcuts;
+        this.list = dialog.querySelector('.shortcuts-list');
+        this.status = dialog.querySelector('.log-export-status');
+        this.recordingId = null;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('.shortcut-binding');
+            if (button) {
+                this.startRecording(button.dataset.actionId);
+            }
+        });
+
+        this.dialog.querySelector('.shortcuts-reset').addEventListener('click', () => {
+            this.shortcuts.resetBindings();
+            this.stopRecording();
+        });
+
+        // Capture phase: the recorded combo must not trigger its action
+        this.dialog.addEventListener('keydown', (e) => {
+            if (!this.recordingId) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+
+            if (e.key === 'Escape') {
+                this.stopRecording();
+                return;
+            }
+            if (e.key === 'Backspace' || e.key === 'Delete') {
+                this.shortcuts.setBinding(this.recordingId, '');
+                this.stopRecording();
+                return;
+            }
+
+            const combo = ShortcutManager.comboFromEvent(e);
+            if (!combo) return;
+
+            const id = this.recordingId;
+            const previous = this.shortcuts.findByCombo(combo);
+            this.shortcuts.setBinding(id, combo);
+            this.stopRecording();
+            if (previous && previous.id !== id) {
+                this.setStatus(i18n.t('shortcuts.reassigned', {
+                    combo: ShortcutManager.format(combo).join(' + '),
+                    action: this.shortcuts.getTitle(previous)
+                }));
+            }
+        }, true);
+
+        this.dialog.addEventListener('close', () => this.stopRecording());
+    }
+
+    open() {
+        this.setStatus('');
+        this.render();
+        this.dialog.showModal();
+    }
+
+    startRecording(id) {
+        this.recordingId = id;
+        this.setStatus(i18n.t('shortcuts.recording'));
+        this.render();
+    }
+
+    stopRecording() {
+        const wasRecording = this.recordingId !== null;
+        this.recordingId = null;
+        if (wasRecording) {
+            this.setStatus('');
+        }
+        this.render();
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        this.shortcuts.list().forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'shortcut-row';
+
+            const title = document.createElement('span');
+            title.className = 'shortcut-title';
+            title.textContent = this.shortcuts.getTitle(action);
+            row.appendChild(title);
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'shortcut-binding';
+            button.dataset.actionId = action.id;
+            button.title = i18n.t('shortcuts.change');
+            button.classList.toggle('recording', action.id === this.recordingId);
+
+            const combo = this.shortcuts.getBinding(action.id);
+            if (action.id === this.recordingId) {
+                button.textContent = i18n.t('shortcuts.pressKeys');
+            } else if (combo) {
+                button.appendChild(ShortcutCheatSheet.renderCombo(combo));
+            } else {
+                button.textContent = i18n.t('shortcuts.unbound');
+            }
+            row.appendChild(button);
+
+            this.list.appendChild(row);
+        });
+    }
+
+    static renderCombo(combo) {
+        const fragment = document.createDocumentFragment();
+        ShortcutManager.format(combo).forEach(part => {
+            const kbd = document.createElement('kbd');
+            kbd.textContent = part;
+            fragment.appendChild(kbd);
+        });
+        return fragment;
+    }
+
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+}
@@ -0,0 +1,204 @@
+// Vtoroy AI Assistant - Slash commands for the chat input
+//
+// Команды регистрируются в реестре, поэтому новые возможности агентов
+// добавляют свои команды через registry.register() без правок в попапе.
+
+// Registry of /commands: { name, args, description, run(args), complete(partial) }
+class SlashCommandRegistry {
+    constructor() {
+        this.commands = new Map();
+    }
+
+    register(command) {
+        if (!command.name || typeof command.run !== 'function') {
+            throw new Error('Slash command needs a name and a run function');
+        }
+        this.commands.set(command.name.toLowerCase(), {
+            args: '',
+            description: '',
+            complete: null,
+            ...command
+        });
+    }
+
+    unregister(name) {
+        this.commands.delete(String(name).toLowerCase());
+    }
+
+    get(name) {
+        return this.commands.get(String(name).toLowerCase()) || null;
+    }
+
+    // Commands whose name starts with the typed prefix, in registration order (keys are lowercased)
+    match(prefix) {
+        const lower = String(prefix).toLowerCase();
+        return Array.from(this.commands.entries())
+            .filter(([key]) => key.startsWith(lower))
+            .map(([, command]) => command);
+    }
+
+    // "/search foo bar" -> { command, args: "foo bar" }, null for plain text
+    parse(text) {
+        const match = /^\/(\S+)(?:\s+([\s\S]*))?$/.exec(String(text).trim());
+        if (!match) return null;
+
+        const command = this.get(match[1]);
+        return command ? { command, args: (match[2] || '').trim() } : null;
+    }
+
+    async execute(text) {
+        const parsed = this.parse(text);
+        if (!parsed) return false;
+
+        await parsed.command.run(parsed.args);
+        return true;
+    }
+
+    getDescription(command) {
+        return typeof command.description === 'function' ? command.description() : command.description;
+    }
+}
+
+// Autocomplete popup above the chat textarea
+class SlashCommandPopup {
+    constructor(input, popup, options = {}) {
+        this.input = input;
+        this.popup = popup;
+        this.registry = options.registry;
+        this.onChange = options.onChange || (() => {});
+
+        this.items = [];
+        this.selectedIndex = 0;
+
+        this.bindEvents();
+    }
+
+    // Registered before the app's own keydown handler so Enter/Escape can be taken over
+    bindEvents() {
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('blur', () => setTimeout(() => this.close(), 150));
+
+        this.input.addEventListener('keydown', (e) => {
+            if (!this.isOpen()) return;
+
+            const handled = {
+                ArrowDown: () => this.select(this.selectedIndex + 1),
+                ArrowUp: () => this.select(this.selectedIndex - 1),
+                Tab: () => this.accept(),
+                Enter: () => (e.ctrlKey ? false : this.accept()),
+                Escape: () => this.close()
+            }[e.key];
+
+            if (handled && handled() !== false) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+            }
+        });
+
+        this.popup.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.slash-item');
+            if (!item) return;
+            e.preventDefault();
+            this.select(parseInt(item.dataset.index, 10));
+            this.accept();
+        });
+    }
+
+    isOpen() {
+        return !this.popup.hidden;
+    }
+
+    close() {
+        this.popup.hidden = true;
+        this.items = [];
+    }
+
+    // Suggest command names while typing the first word, then argument values or the hint
+    update() {
+        const value = this.input.value;
+        const match = /^\/(\S*)(\s+(.*))?$/s.exec(value);
+        if (!match) {
+            this.close();
+            return;
+        }
+
+        const [, name, argsPart, partialArg] = match;
+        if (argsPart === undefined) {
+            this.items = this.registry.match(name).map(command => ({
+                command,
+                label: `/${command.name}`,
+                insert: `/${command.name}${command.args ? ' ' : ''}`
+            }));
+        } else {
+            const command = this.registry.get(name);
+            if (!command) {
+                this.close();
+                return;
+            }
+            const values = command.complete ? command.complete(partialArg || '') : [];
+            this.items = values.length > 0
+                ? values.map(item => ({ command, label: item, insert: `/${command.name} ${item}` }))
+                : [{ command, label: `/${command.name}`, insert: null }];
+        }
+
+        if (this.items.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.selectedIndex = 0;
+        this.render();
+        this.popup.hidden = false;
+    }
+
+    select(index) {
+        if (this.items.length === 0) return;
+        this.selectedIndex = (index + this.items.length) % this.items.length;
+        this.render();
+    }
+
+    // Complete the selected suggestion; a bare hint (nothing to insert) lets Enter through
+    accept() {
+        const item = this.items[this.selectedIndex];
+        if (!item || item.insert === null || item.insert === this.input.value) {
+            this.close();
+            return false;
+        }
+
+        this.input.value = item.insert;
+        this.input.setSelectionRange(item.insert.length, item.insert.length);
+        this.onChange();
+        this.update();
+        return true;
+    }
+
+    render() {
+        this.popup.innerHTML = '';
+
+        this.items.forEach((item, index) => {
+            const element = document.createElement('div');
+            element.className = 'slash-item';
+            element.classList.toggle('selected', index === this.selectedIndex);
+            element.dataset.index = index;
+
+            const name = document.createElement('span');
+            name.className = 'slash-name';
+            name.textContent = item.label;
+            element.appendChild(name);
+
+            if (item.command.args) {
+                const args = document.createElement('span');
+                args.className = 'slash-args';
+                args.textContent = item.command.args;
+                element.appendChild(args);
+            }
+
+            const description = document.createElement('span');
+            description.className = 'slash-description';
+            description.textContent = this.registry.getDescription(item.command);
+            element.appendChild(description);
+
+            this.popup.appendChild(element);
+        });
+    }
+}
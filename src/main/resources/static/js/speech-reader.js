@@ -0,0 +1,187 @@
+// Vtoroy AI Assistant - Read answers aloud with the browser's speechSynthesis
+//
+// Озвучка полностью локальная: Markdown превращается в простой текст, длинный
+// ответ режется на фразы (Chrome обрывает слишком длинные utterance), голос,
+// скорость и автозачитывание хранятся в preferences. События boundary
+// отдаются наружу, чтобы аватар шевелил губами в такт речи.
+class SpeechReader {
+    constructor(preferences, options = {}) {
+        this.preferences = preferences;
+        this.synth = window.speechSynthesis || null;
+        this.onStart = options.onStart || (() => {});
+        this.onBoundary = options.onBoundary || (() => {});
+        this.onEnd = options.onEnd || (() => {});
+        this.reading = null; // { id } of the message being read
+    }
+
+    static preferenceKeys = {
+        voice: 'speech.voice',
+        rate: 'speech.rate',
+        autoRead: 'speech.autoRead'
+    };
+    static rates = [0.75, 1, 1.25, 1.5, 2];
+    static maxChunkLength = 200;
+
+    isSupported() {
+        return this.synth !== null && typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    // Voices load asynchronously in Chrome: the list is empty until voiceschanged
+    getVoices() {
+        return this.isSupported() ? this.synth.getVoices() : [];
+    }
+
+    onVoicesChanged(listener) {
+        if (this.isSupported()) {
+            this.synth.addEventListener('voiceschanged', listener);
+        }
+    }
+
+    // Chosen voice, or the first one for the UI language
+    getVoice() {
+        const voices = this.getVoices();
+        const uri = this.preferences.get(SpeechReader.preferenceKeys.voice);
+        return voices.find(voice => voice.voiceURI === uri)
+            || voices.find(voice => voice.lang.toLowerCase().startsWith(i18n.locale))
+            || null;
+    }
+
+    // Stored voice URI, '' for the default
+    getVoiceChoice() {
+        return this.preferences.get(SpeechReader.preferenceKeys.voice, '');
+    }
+
+    setVoice(uri) {
+        if (uri) {
+            this.preferences.set(SpeechReader.preferenceKeys.voice, uri);
+        } else {
+            this.preferences.remove(SpeechReader.preferenceKeys.voice);
+        }
+    }
+
+    getRate() {
+        const rate = Number(this.preferences.get(SpeechReader.preferenceKeys.rate, 1));
+        return SpeechReader.rates.includes(rate) ? rate : 1;
+    }
+
+    setRate(rate) {
+        this.preferences.set(SpeechReader.preferenceKeys.rate, Number(rate));
+    }
+
+    isAutoRead() {
+        return this.isSupported() && this.preferences.get(SpeechReader.preferenceKeys.autoRead, false) === true;
+    }
+
+    setAutoRead(enabled) {
+        this.preferences.set(SpeechReader.preferenceKeys.autoRead, Boolean(enabled));
+    }
+
+    // Anything being read, or the given message specifically
+    isSpeaking(id) {
+        return this.reading !== null && (id === undefined || this.reading.id === id);
+    }
+
+    // Read a Markdown answer; replaces whatever is being read now
+    speak(id, markdown) {
+        if (!this.isSupported()) return false;
+        this.stop();
+
+        const chunks = SpeechReader.split(SpeechReader.toPlainText(markdown));
+        if (chunks.length === 0) return false;
+
+        const reading = { id };
+        const voice = this.getVoice();
+        const rate = this.getRate();
+        this.reading = reading;
+
+        chunks.forEach((chunk, index) => {
+            const utterance = new SpeechSynthesisUtterance(chunk);
+            utterance.lang = voice ? voice.lang : i18n.locale;
+            utterance.voice = voice;
+            utterance.rate = rate;
+            utterance.addEventListener('boundary', (event) => {
+                if (this.reading === reading) this.onBoundary(event);
+            });
+            utterance.addEventListener('error', (event) => {
+                if (this.reading !== reading) return; // cancelled by stop()
+                console.warn('Speech synthesis failed:', event.error);
+                this.stop();
+            });
+            if (index === chunks.length - 1) {
+                utterance.addEventListener('end', () => this.finish(reading));
+            }
+            this.synth.speak(utterance);
+        });
+
+        this.onStart(id);
+        return true;
+    }
+
+    finish(reading) {
+        if (this.reading !== reading) return;
+        this.reading = null;
+        this.onEnd(reading.id);
+    }
+
+    stop() {
+        if (!this.reading) return;
+
+        // Forget the reading first: cancel() fires error events on the queued utterances
+        const reading = this.reading;
+        this.reading = null;
+        this.synth.cancel();
+        this.onEnd(reading.id);
+    }
+
+    // Markdown -> text worth hearing: no code blocks, URLs, markup or table pipes
+    static toPlainText(markdown) {
+        return String(markdown || '')
+            .replace(/```[\s\S]*?(```|$)/g, '\n')
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/\[\[([^\]|]+)\|([^\]]+)\]\]/g, '$2')
+            .replace(/\[\[([^\]]+)\]\]/g, (match, path) => path.split('/').pop().replace(/\.md$/i, ''))
+            .replace(/^[ \t]*>[ \t]*\[![^\]]+\][+-]?/gm, '')
+            .replace(/^[ \t]{0,3}(#{1,6}|>+|[-*+]|\d+[.)])[ \t]+/gm, '')
+            .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, '')
+            .replace(/^[ \t]*\|?([ \t]*:?-+:?[ \t]*\|)+[ \t]*(:?-+:?)?[ \t]*$/gm, '')
+            .replace(/^[ \t]*\|[ \t]*|[ \t]*\|[ \t]*$/gm, '')
+            .replace(/[ \t]*\|[ \t]*/g, ', ')
+            .replace(/<[^>]+>/g, '')
+            .replace(/https?:\/\/\S+/g, '')
+            .replace(/[*~`]+/g, '')
+            .replace(/(^|\s)_+|_+(?=[\s.,!?;:]|$)/gm, '$1')
+            .replace(/[ \t]+/g, ' ')
+            .replace(/\s*\n\s*/g, '\n')
+            .trim()
+            .split('\n')
+            .filter(Boolean)
+            // Headings and list items have no final punctuation: add it so the voice pauses
+            .map(line => (/[.!?…;:,]$/.test(line) ? line : `${line}.`))
+            .join('\n');
+    }
+
+    // Sentences packed into chunks of at most maxLength characters
+    static split(text, maxLength = SpeechReader.maxChunkLength) {
+        const chunks = [];
+        let current = '';
+        const push = () => {
+            if (current.trim()) chunks.push(current.trim());
+            current = '';
+        };
+
+        text.split(/(?<=[.!?…;:])\s+|\n+/).filter(Boolean).forEach(sentence => {
+            if (current.length + sentence.length + 1 > maxLength) push();
+            if (sentence.length <= maxLength) {
+                current += ` ${sentence}`;
+                return;
+            }
+            sentence.split(/\s+/).forEach(word => {
+                if (current.length + word.length + 1 > maxLength) push();
+                current += ` ${word}`;
+            });
+        });
+        push();
+        return chunks;
+    }
+}
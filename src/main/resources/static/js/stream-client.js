@@ -0,0 +1,159 @@
+// Vtoroy AI Assistant - Resilient SSE client
+//
+// Общий клиент для потоков мыслей и логов: переподключение с экспоненциальной
+// задержкой и джиттером, детектор "зависшего" потока по heartbeat-событиям
+// сервера и, при необходимости, запасной опрос вместо SSE.
+class StreamClient {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.name = options.name || url;
+        this.events = options.events || {};           // SSE event name -> handler(data)
+        this.onStateChange = options.onStateChange || (() => {});
+        this.poll = options.poll || null;             // async fallback when SSE is unavailable
+        this.pollIntervalMs = options.pollIntervalMs || 5000;
+        this.pollAfterFailures = options.pollAfterFailures || 3;
+        this.stallTimeoutMs = options.stallTimeoutMs || 45000;
+        this.baseDelayMs = options.baseDelayMs || 1000;
+        this.maxDelayMs = options.maxDelayMs || 30000;
+
+        this.eventSource = null;
+        this.state = 'idle';
+        this.failures = 0;
+        this.reconnectTimer = null;
+        this.stallTimer = null;
+        this.pollTimer = null;
+        this.closed = false;
+    }
+
+    // Open the stream (or start polling if the browser has no EventSource)
+    connect() {
+        this.closed = false;
+        clearTimeout(this.reconnectTimer);
+        this.closeEventSource();
+
+        if (typeof EventSource === 'undefined') {
+            this.startPolling();
+            return;
+        }
+
+        this.setState(this.failures > 0 ? 'reconnecting' : 'connecting');
+
+        const eventSource = new EventSource(this.url);
+        this.eventSource = eventSource;
+
+        eventSource.onopen = () => {
+            console.debug(`Stream connected: ${this.name}`);
+            this.failures = 0;
+            this.stopPolling();
+            this.setState('open');
+            this.armStallTimer();
+        };
+
+        eventSource.onerror = () => {
+            // EventSource retries on its own only for some failures; take control of all of them
+            if (eventSource !== this.eventSource) return;
+            console.warn(`Stream error: ${this.name}`);
+            this.handleFailure();
+        };
+
+        eventSource.addEventListener('heartbeat', () => this.armStallTimer());
+
+        Object.entries(this.events).forEach(([eventName, handler]) => {
+            eventSource.addEventListener(eventName, (event) => {
+                this.armStallTimer();
+                try {
+                    handler(JSON.parse(event.data));
+                } catch (error) {
+                    console.error(`Failed to handle ${eventName} event from ${this.name}:`, error);
+                }
+            });
+        });
+    }
+
+    // Reconnect right away, e.g. when the backend is back UP
+    reconnectNow() {
+        if (this.closed || this.state === 'open' || this.state === 'connecting') return;
+        this.failures = 0;
+        this.connect();
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.closeEventSource();
+        this.stopPolling();
+        this.setState('closed');
+    }
+
+    closeEventSource() {
+        clearTimeout(this.stallTimer);
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    handleFailure() {
+        this.closeEventSource();
+        if (this.closed) return;
+
+        this.failures++;
+        if (this.poll && this.failures >= this.pollAfterFailures) {
+            this.startPolling();
+        } else {
+            this.setState('reconnecting');
+        }
+
+        const delay = this.getReconnectDelay();
+        console.debug(`Reconnecting ${this.name} in ${Math.round(delay)}ms (attempt ${this.failures})`);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    // Exponential backoff with "equal jitter": half fixed, half random
+    getReconnectDelay() {
+        const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (this.failures - 1));
+        return exponential / 2 + Math.random() * exponential / 2;
+    }
+
+    // No events (not even heartbeats) for too long means the connection is dead
+    armStallTimer() {
+        clearTimeout(this.stallTimer);
+        this.stallTimer = setTimeout(() => {
+            console.warn(`Stream stalled: ${this.name}`);
+            this.handleFailure();
+        }, this.stallTimeoutMs);
+    }
+
+    startPolling() {
+        if (!this.poll) {
+            this.setState('reconnecting');
+            return;
+        }
+
+        this.setState('polling');
+        if (this.pollTimer) return;
+
+        const tick = async () => {
+            try {
+                await this.poll();
+            } catch (error) {
+                console.warn(`Polling failed for ${this.name}:`, error);
+            }
+            if (this.pollTimer) {
+                this.pollTimer = setTimeout(tick, this.pollIntervalMs);
+            }
+        };
+        this.pollTimer = setTimeout(tick, 0);
+    }
+
+    stopPolling() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        this.onStateChange(state, this);
+    }
+}
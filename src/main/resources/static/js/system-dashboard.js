@@ -0,0 +1,257 @@
+// Vtoroy AI Assistant - System tab: health components, connections, version
+//
+// Состояние и история берутся из HealthMonitor (он опрашивает бэкенд и без
+// открытой вкладки), а подробности - подключения к потоку мыслей, версия и
+// аптайм процесса - загружаются при открытии вкладки и после каждой проверки.
+class SystemDashboard {
+    constructor(elements, options = {}) {
+        this.elements = elements;
+        this.monitor = options.monitor;
+        this.getSessionId = options.getSessionId || (() => null);
+        this.details = { connections: null, version: null, uptimeSeconds: null };
+        this.frame = null;
+
+        this.bindEvents();
+    }
+
+    static stateColors = {
+        online: '--success',
+        degraded: '--warning',
+        offline: '--error'
+    };
+
+    bindEvents() {
+        this.elements.refreshButton.addEventListener('click', () => {
+            this.monitor.checkNow();
+            this.loadDetails();
+        });
+
+        window.addEventListener('resize', () => {
+            if (!this.isVisible() || this.frame) return;
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.drawCharts(this.monitor.getSnapshot());
+            });
+        });
+    }
+
+    isVisible() {
+        return this.elements.panel.offsetParent !== null;
+    }
+
+    // Tab opened (or re-translated): render what the monitor has and fetch the rest
+    show() {
+        this.refresh(this.monitor.getSnapshot());
+    }
+
+    // After every health check while the tab is shown
+    refresh(snapshot) {
+        this.update(snapshot);
+        this.loadDetails();
+    }
+
+    update(snapshot) {
+        this.renderStats(snapshot);
+        this.renderComponents(snapshot);
+        this.renderPolling(snapshot);
+        this.drawCharts(snapshot);
+    }
+
+    async loadDetails() {
+        const [connections, version, uptime] = await Promise.all([
+            this.fetchJson('/api/thinking/status'),
+            this.fetchJson('/api/system/version'),
+            this.fetchJson('/actuator/metrics/process.uptime')
+        ]);
+
+        const measurement = uptime && (uptime.measurements || []).find(item => item.statistic === 'VALUE');
+        this.details = {
+            connections,
+            version,
+            uptimeSeconds: measurement ? measurement.value : null
+        };
+        this.renderDetails();
+    }
+
+    // null when the endpoint is unreachable or not exposed
+    async fetchJson(url) {
+        try {
+            const response = await fetch(url, { cache: 'no-store' });
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            console.warn(`Failed to load ${url}:`, error);
+            return null;
+        }
+    }
+
+    renderStats(snapshot) {
+        const { stats } = this.elements;
+        const last = snapshot.history[snapshot.history.length - 1];
+
+        stats.state.textContent = i18n.t(`status.${snapshot.state}`);
+        stats.state.dataset.state = snapshot.state;
+        stats.latency.textContent = last && last.latencyMs !== null
+            ? i18n.t('analytics.milliseconds', { value: i18n.formatNumber(last.latencyMs) })
+            : '-';
+        stats.availability.textContent = snapshot.availability === null
+            ? '-'
+            : i18n.formatNumber(snapshot.availability, { style: 'percent', maximumFractionDigits: 1 });
+    }
+
+    renderDetails() {
+        const { stats } = this.elements;
+        const { version, uptimeSeconds } = this.details;
+
+        stats.uptime.textContent = uptimeSeconds === null ? '-' : SystemDashboard.formatDuration(uptimeSeconds);
+        stats.version.textContent = version && version.version ? version.version : '-';
+        stats.version.title = version && version.buildTime && version.buildTime !== 'unknown'
+            ? i18n.t('system.buildTime', { time: i18n.formatDateTime(version.buildTime) })
+            : '';
+
+        this.renderConnections();
+    }
+
+    // "2 d 5 h", "3 h 12 min", "45 min" - the two largest units
+    static formatDuration(seconds) {
+        const units = [['day', 86400], ['hour', 3600], ['minute', 60]];
+        let rest = Math.floor(seconds);
+        const parts = [];
+
+        units.forEach(([unit, size]) => {
+            const value = Math.floor(rest / size);
+            rest -= value * size;
+            if (value > 0 && parts.length < 2) {
+                parts.push(i18n.formatNumber(value, { style: 'unit', unit, unitDisplay: 'short' }));
+            }
+        });
+        return parts.length > 0
+            ? parts.join(' ')
+            : i18n.formatNumber(Math.floor(seconds), { style: 'unit', unit: 'second', unitDisplay: 'short' });
+    }
+
+    renderComponents(snapshot) {
+        const container = this.elements.components;
+        container.innerHTML = '';
+
+        if (snapshot.state === 'offline' || snapshot.components.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'sources-empty';
+            empty.textContent = snapshot.state === 'offline' ? i18n.t('system.unavailable') : i18n.t('system.noComponents');
+            container.appendChild(empty);
+            return;
+        }
+
+        snapshot.components.forEach(component => container.appendChild(this.createComponentCard(component)));
+    }
+
+    createComponentCard(component) {
+        const state = component.status === 'UP' ? 'active' : component.status === 'UNKNOWN' ? 'inactive' : 'error';
+
+        const card = document.createElement('div');
+        card.className = `source-card health-component ${state}`;
+
+        const header = document.createElement('div');
+        header.className = 'source-card-header';
+
+        const title = document.createElement('div');
+        title.className = 'source-card-title';
+        title.textContent = component.name;
+        header.appendChild(title);
+
+        const badge = document.createElement('span');
+        badge.className = `source-state ${state}`;
+        badge.textContent = component.status;
+        header.appendChild(badge);
+        card.appendChild(header);
+
+        const entries = Object.entries(component.details);
+        if (entries.length > 0) {
+            const list = document.createElement('dl');
+            list.className = 'health-details';
+            entries.forEach(([key, value]) => {
+                const term = document.createElement('dt');
+                term.textContent = key;
+                const description = document.createElement('dd');
+                description.textContent = SystemDashboard.formatDetail(key, value);
+                list.appendChild(term);
+                list.appendChild(description);
+            });
+            card.appendChild(list);
+        }
+
+        return card;
+    }
+
+    // Disk space indicators report bytes
+    static formatDetail(key, value) {
+        if (typeof value === 'number' && /^(total|free|threshold)$/i.test(key)) {
+            return i18n.formatNumber(value / 1024 ** 3, { style: 'unit', unit: 'gigabyte', maximumFractionDigits: 1 });
+        }
+        if (value !== null && typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    renderConnections() {
+        const container = this.elements.connections;
+        const { connections } = this.details;
+        container.innerHTML = '';
+
+        const summary = document.createElement('div');
+        summary.className = 'health-connections-summary';
+        summary.textContent = connections
+            ? i18n.t('system.connectionsCount', { count: connections.activeConnections || 0 })
+            : i18n.t('system.unavailable');
+        container.appendChild(summary);
+
+        const sessions = connections ? connections.sessions || [] : [];
+        if (sessions.length === 0) return;
+
+        const list = document.createElement('ul');
+        list.className = 'health-sessions';
+        sessions.forEach(sessionId => {
+            const item = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = sessionId;
+            item.appendChild(code);
+            if (sessionId === this.getSessionId()) {
+                const current = document.createElement('span');
+                current.className = 'health-current-session';
+                current.textContent = i18n.t('system.currentSession');
+                item.appendChild(current);
+            }
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+    }
+
+    renderPolling(snapshot) {
+        this.elements.polling.textContent = snapshot.nextCheckAt
+            ? i18n.t('system.nextCheck', { time: i18n.formatTime(snapshot.nextCheckAt) })
+            : i18n.t('system.paused');
+    }
+
+    drawCharts(snapshot) {
+        const { charts } = this.elements;
+        const colors = CanvasCharts.colors();
+        const style = getComputedStyle(document.documentElement);
+        const emptyText = i18n.t('system.noHistory');
+
+        const points = snapshot.history
+            .filter(entry => entry.latencyMs !== null)
+            .map(entry => ({
+                label: i18n.formatTime(entry.timestamp),
+                value: entry.latencyMs,
+                color: entry.state === 'degraded' ? colors.warning : null
+            }));
+        CanvasCharts.line(charts.latency, points, {
+            emptyText,
+            format: value => i18n.t('analytics.milliseconds', { value: i18n.formatNumber(Math.round(value)) })
+        });
+
+        CanvasCharts.strip(charts.uptime, snapshot.history.map(entry => ({
+            color: style.getPropertyValue(SystemDashboard.stateColors[entry.state]).trim() || colors.muted
+        })), { emptyText, slots: this.monitor.historySize });
+    }
+}
@@ -0,0 +1,82 @@
+// Vtoroy AI Assistant - Theme presets (dark, light, high contrast)
+//
+// Все цвета живут в CSS-переменных style.css, здесь только выбирается пресет:
+// по умолчанию ("system") он следует prefers-color-scheme и prefers-contrast,
+// явный выбор пользователя хранится в preferences. Канвасы (аватар, графики)
+// читают переменные через getColors и перерисовываются по onChange.
+class ThemeManager {
+    constructor(preferences, root = document.documentElement) {
+        this.preferences = preferences;
+        this.root = root;
+        this.preferenceKey = 'theme';
+        this.listeners = [];
+        this.theme = null;
+
+        this.colorScheme = window.matchMedia('(prefers-color-scheme: light)');
+        this.contrast = window.matchMedia('(prefers-contrast: more)');
+    }
+
+    static themes = ['dark', 'light', 'high-contrast'];
+    static choices = ['system', ...ThemeManager.themes];
+
+    start() {
+        // Live switch when the OS setting changes while "system" is selected
+        [this.colorScheme, this.contrast].forEach(query => {
+            query.addEventListener('change', () => this.apply());
+        });
+        this.preferences.onChange((name) => {
+            if (name === this.preferenceKey) this.apply();
+        });
+        this.apply();
+    }
+
+    // 'system' or one of the presets
+    getChoice() {
+        const choice = this.preferences.get(this.preferenceKey, 'system');
+        return ThemeManager.choices.includes(choice) ? choice : 'system';
+    }
+
+    setChoice(choice) {
+        if (!ThemeManager.choices.includes(choice)) return;
+
+        if (choice === 'system') {
+            this.preferences.remove(this.preferenceKey);
+        } else {
+            this.preferences.set(this.preferenceKey, choice);
+        }
+    }
+
+    // Next choice in the list, wrapping around (Alt+T)
+    cycle() {
+        const index = ThemeManager.choices.indexOf(this.getChoice());
+        this.setChoice(ThemeManager.choices[(index + 1) % ThemeManager.choices.length]);
+    }
+
+    resolve(choice) {
+        if (choice !== 'system') return choice;
+        if (this.contrast.matches) return 'high-contrast';
+        return this.colorScheme.matches ? 'light' : 'dark';
+    }
+
+    apply() {
+        const theme = this.resolve(this.getChoice());
+        this.root.dataset.theme = theme;
+        this.root.style.colorScheme = theme === 'light' ? 'light' : 'dark';
+
+        if (theme === this.theme) return;
+        this.theme = theme;
+        this.listeners.forEach(listener => listener(theme));
+    }
+
+    // Called with the resolved preset whenever it actually changes
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // { name: '--css-variable' } -> { name: 'resolved value' }
+    getColors(variables, element = this.root) {
+        const style = getComputedStyle(element);
+        return Object.fromEntries(Object.entries(variables)
+            .map(([name, variable]) => [name, style.getPropertyValue(variable).trim()]));
+    }
+}
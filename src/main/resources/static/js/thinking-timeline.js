@@ -0,0 +1,174 @@
+// Vtoroy AI Assistant - Thinking timeline built from /api/thinking/stream events
+//
+// Время шагов приводится к часам браузера: смещение считается по первому
+// событию, дальше сохраняются серверные интервалы между шагами.
+class ThinkingTimeline {
+    constructor(data = null) {
+        const state = data || {};
+        this.startedAt = state.startedAt || Date.now();
+        this.finishedAt = state.finishedAt || null;
+        this.status = state.status || 'running';
+        this.steps = (state.steps || []).slice();
+        this.clockOffset = null;
+        this.ticker = null;
+
+        this.element = document.createElement('details');
+        this.element.className = 'thinking-timeline';
+        this.element.open = this.status === 'running';
+
+        this.render();
+        if (this.status === 'running') {
+            this.ticker = setInterval(() => this.updateSummary(), 250);
+        }
+    }
+
+    // Server timestamp -> browser clock
+    toLocalTime(timestamp) {
+        if (!timestamp) return Date.now();
+        if (this.clockOffset === null) {
+            this.clockOffset = Date.now() - timestamp;
+        }
+        return timestamp + this.clockOffset;
+    }
+
+    // Add step from a thinking SSE event {type, message, timestamp}
+    addStep(event) {
+        this.steps.push({
+            type: event.type || 'thinking',
+            message: event.message || '',
+            at: this.toLocalTime(event.timestamp)
+        });
+        this.render();
+    }
+
+    // Stop the clock: status is 'complete', 'cancelled' or 'error'
+    finish(status = 'complete', timestamp = null) {
+        if (this.status !== 'running') return;
+
+        this.status = status;
+        this.finishedAt = timestamp ? this.toLocalTime(timestamp) : Date.now();
+        clearInterval(this.ticker);
+        this.ticker = null;
+        this.render();
+    }
+
+    isEmpty() {
+        return this.steps.length === 0;
+    }
+
+    // Plain data stored with the assistant message
+    toJSON() {
+        return {
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            status: this.status,
+            steps: this.steps
+        };
+    }
+
+    getElapsed() {
+        return (this.finishedAt || Date.now()) - this.startedAt;
+    }
+
+    formatDuration(ms) {
+        return ms < 1000
+            ? i18n.t('thinking.ms', { value: Math.max(0, Math.round(ms)) })
+            : i18n.t('thinking.seconds', { value: i18n.formatNumber(ms / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) });
+    }
+
+    // Unknown event types are shown as is
+    getTypeLabel(type) {
+        const key = `thinking.type.${type}`;
+        return i18n.has(key) ? i18n.t(key) : type;
+    }
+
+    // Duration of a step lasts until the next one (or the end of thinking)
+    getStepDuration(index) {
+        const next = this.steps[index + 1];
+        const end = next ? next.at : (this.finishedAt || Date.now());
+        return Math.max(0, end - this.steps[index].at);
+    }
+
+    render() {
+        this.element.innerHTML = '';
+        this.element.classList.toggle('running', this.status === 'running');
+        this.element.classList.toggle('cancelled', this.status === 'cancelled');
+
+        this.summary = document.createElement('summary');
+        this.summary.className = 'thinking-header';
+        this.element.appendChild(this.summary);
+
+        this.bar = document.createElement('div');
+        this.bar.className = 'timeline-bar';
+        this.element.appendChild(this.bar);
+
+        this.element.appendChild(this.createGroups());
+        this.updateSummary();
+    }
+
+    // Summary line and elapsed bar change every tick while running
+    updateSummary() {
+        const title = i18n.t(`thinking.${['running', 'cancelled', 'error'].includes(this.status) ? this.status : 'complete'}`);
+        const elapsed = this.getElapsed();
+        this.summary.textContent = i18n.t('thinking.summary', {
+            title,
+            count: this.steps.length,
+            duration: this.formatDuration(elapsed)
+        });
+
+        this.bar.innerHTML = '';
+        this.steps.forEach((step, index) => {
+            const segment = document.createElement('div');
+            segment.className = `timeline-segment thinking-${step.type}`;
+            segment.style.left = `${elapsed > 0 ? (step.at - this.startedAt) / elapsed * 100 : 0}%`;
+            segment.style.width = `${elapsed > 0 ? this.getStepDuration(index) / elapsed * 100 : 0}%`;
+            segment.title = `${this.getTypeLabel(step.type)}: ${this.formatDuration(this.getStepDuration(index))}`;
+            this.bar.appendChild(segment);
+        });
+    }
+
+    // Consecutive steps of the same type form one group
+    createGroups() {
+        const container = document.createElement('div');
+        container.className = 'thinking-steps';
+
+        let group = null;
+        this.steps.forEach((step, index) => {
+            if (!group || group.type !== step.type) {
+                group = { type: step.type, element: document.createElement('div'), duration: 0, header: document.createElement('div') };
+                group.element.className = 'timeline-group';
+                group.header.className = 'timeline-group-header';
+                group.element.appendChild(group.header);
+                container.appendChild(group.element);
+                group.count = 0;
+            }
+
+            const duration = this.getStepDuration(index);
+            group.duration += duration;
+            group.count++;
+            group.header.textContent = `${this.getTypeLabel(step.type)} · ${group.count} · ${this.formatDuration(group.duration)}`;
+
+            const stepElement = document.createElement('div');
+            stepElement.className = `thinking-step thinking-${step.type}`;
+
+            const offset = document.createElement('span');
+            offset.className = 'timeline-offset';
+            offset.textContent = `+${this.formatDuration(step.at - this.startedAt)}`;
+
+            const message = document.createElement('span');
+            message.className = 'timeline-message';
+            message.textContent = step.message;
+
+            const stepDuration = document.createElement('span');
+            stepDuration.className = 'timeline-duration';
+            stepDuration.textContent = this.formatDuration(duration);
+
+            stepElement.appendChild(offset);
+            stepElement.appendChild(message);
+            stepElement.appendChild(stepDuration);
+            group.element.appendChild(stepElement);
+        });
+
+        return container;
+    }
+}
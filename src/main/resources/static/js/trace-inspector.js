@@ -0,0 +1,336 @@
+// Vtoroy AI Assistant - ReAct trace inspector for reasoning_details / execution_details
+//
+// Слева шаги ReAct (мысль, инструмент, вход, наблюдение), справа шаги
+// выполнения; шаг выполнения связан с шагом reasoning через reasoning_step
+// (или тот же номер step). JSON во входах и наблюдениях показывается деревом.
+class TraceInspector {
+    constructor(reasoningDetails = [], executionDetails = [], options = {}) {
+        this.reasoning = reasoningDetails || [];
+        this.execution = executionDetails || [];
+        this.markdown = options.markdown;
+        this.toolFilter = 'all';
+
+        this.element = document.createElement('details');
+        this.element.className = 'trace-inspector';
+
+        this.render();
+    }
+
+    static statusIcons = {
+        success: '✅',
+        error: '❌',
+        pending: '⏳',
+        final: '💭'
+    };
+
+    // Explicit status wins; otherwise guessed from the presence of action / observation
+    static statusOf(step, resultField = 'observation') {
+        if (step.status && TraceInspector.statusIcons[step.status]) return step.status;
+        if (resultField === 'observation' && !step.action) return 'final';
+
+        const result = step[resultField];
+        if (result === undefined || result === null || result === '') return 'pending';
+        // Error prefixes of the two locales the agent answers in (en, ru); extend when a locale is added
+        return /^(error|ошибка|❌)/i.test(String(result).trim()) ? 'error' : 'success';
+    }
+
+    // Reasoning step number an execution step belongs to
+    static linkOf(step) {
+        return step.reasoning_step !== undefined ? step.reasoning_step : step.step;
+    }
+
+    // Tool names in order of first use
+    getTools() {
+        const tools = this.reasoning.map(step => step.action).filter(Boolean);
+        return Array.from(new Set(tools));
+    }
+
+    getToolOfStep(stepNumber) {
+        const step = this.reasoning.find(item => String(item.step) === String(stepNumber));
+        return step ? step.action || '' : '';
+    }
+
+    render() {
+        this.element.innerHTML = '';
+
+        const summary = document.createElement('summary');
+        summary.className = 'trace-summary';
+        const tools = this.getTools();
+        summary.textContent = `🧠 ${[
+            this.reasoning.length > 0 ? i18n.t('trace.reasoningSteps', { count: this.reasoning.length }) : null,
+            this.execution.length > 0 ? i18n.t('trace.executionSteps', { count: this.execution.length }) : null,
+            tools.length > 0 ? i18n.t('trace.tools', { count: tools.length }) : null
+        ].filter(Boolean).join(' · ')}`;
+        this.element.appendChild(summary);
+
+        this.element.appendChild(this.renderToolbar(tools));
+
+        const columns = document.createElement('div');
+        columns.className = 'trace-columns';
+        columns.classList.toggle('split', this.reasoning.length > 0 && this.execution.length > 0);
+
+        if (this.reasoning.length > 0) {
+            columns.appendChild(this.renderColumn(i18n.t('trace.reasoning'), this.reasoning.map(step => this.renderReasoningStep(step))));
+        }
+        if (this.execution.length > 0) {
+            columns.appendChild(this.renderColumn(i18n.t('trace.execution'), this.execution.map(step => this.renderExecutionStep(step))));
+        }
+        this.element.appendChild(columns);
+
+        this.applyFilter();
+    }
+
+    renderToolbar(tools) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'trace-toolbar';
+
+        if (tools.length > 0) {
+            const select = document.createElement('select');
+            select.className = 'search-select trace-filter';
+            select.title = i18n.t('trace.filter');
+            [['all', i18n.t('trace.allTools')], ...tools.map(tool => [tool, tool])].forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = this.toolFilter;
+            select.addEventListener('change', () => {
+                this.toolFilter = select.value;
+                this.applyFilter();
+            });
+            toolbar.appendChild(select);
+        }
+
+        [['expand', 'trace.expandAll'], ['collapse', 'trace.collapseAll']].forEach(([mode, key]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'control-button trace-toggle';
+            button.textContent = i18n.t(key);
+            button.addEventListener('click', () => this.setAllOpen(mode === 'expand'));
+            toolbar.appendChild(button);
+        });
+
+        return toolbar;
+    }
+
+    renderColumn(title, items) {
+        const column = document.createElement('div');
+        column.className = 'trace-column';
+
+        const heading = document.createElement('div');
+        heading.className = 'trace-column-title';
+        heading.textContent = title;
+        column.appendChild(heading);
+
+        items.forEach(item => column.appendChild(item));
+        return column;
+    }
+
+    renderReasoningStep(step) {
+        const status = TraceInspector.statusOf(step);
+        const element = document.createElement('details');
+        element.className = `trace-step ${status}`;
+        element.dataset.step = step.step;
+        element.dataset.tool = step.action || '';
+
+        const summary = document.createElement('summary');
+        summary.appendChild(this.renderStepHeader(status, step.step, step.action));
+        if (step.thought) {
+            const preview = document.createElement('span');
+            preview.className = 'trace-preview';
+            preview.textContent = step.thought;
+            summary.appendChild(preview);
+        }
+        element.appendChild(summary);
+
+        const body = document.createElement('div');
+        body.className = 'trace-step-body';
+        if (step.thought) {
+            body.appendChild(this.renderField('💭', i18n.t('reasoning.thought'), step.thought));
+        }
+        if (step.input !== undefined && step.input !== null && step.input !== '') {
+            body.appendChild(this.renderField('📝', i18n.t('reasoning.input'), step.input));
+        }
+        if (step.observation !== undefined && step.observation !== null && step.observation !== '') {
+            body.appendChild(this.renderField('👁️', i18n.t('reasoning.observation'), step.observation));
+        }
+        element.appendChild(body);
+
+        element.addEventListener('mouseenter', () => this.highlight(step.step, true));
+        element.addEventListener('mouseleave', () => this.highlight(step.step, false));
+        return element;
+    }
+
+    renderExecutionStep(step) {
+        const status = TraceInspector.statusOf(step, 'result');
+        const link = TraceInspector.linkOf(step);
+        const element = document.createElement('details');
+        element.className = `trace-step trace-exec ${status}`;
+        element.dataset.link = link;
+        element.dataset.tool = this.getToolOfStep(link);
+
+        const summary = document.createElement('summary');
+        summary.appendChild(this.renderStepHeader(status, step.step, step.type));
+        if (step.action) {
+            const preview = document.createElement('span');
+            preview.className = 'trace-preview';
+            preview.textContent = step.action;
+            summary.appendChild(preview);
+        }
+        element.appendChild(summary);
+
+        const body = document.createElement('div');
+        body.className = 'trace-step-body';
+        if (this.reasoning.some(item => String(item.step) === String(link))) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'trace-link';
+            button.textContent = i18n.t('trace.linkedStep', { step: link });
+            button.addEventListener('click', () => this.reveal(link));
+            body.appendChild(button);
+        }
+        if (step.result !== undefined && step.result !== null && step.result !== '') {
+            body.appendChild(this.renderField('📤', i18n.t('trace.result'), step.result));
+        }
+        element.appendChild(body);
+
+        element.addEventListener('mouseenter', () => this.highlight(link, true));
+        element.addEventListener('mouseleave', () => this.highlight(link, false));
+        return element;
+    }
+
+    renderStepHeader(status, number, badge) {
+        const header = document.createElement('span');
+        header.className = 'trace-step-header';
+
+        const icon = document.createElement('span');
+        icon.className = 'trace-status';
+        icon.title = i18n.t(`trace.status.${status}`);
+        icon.textContent = TraceInspector.statusIcons[status];
+        header.appendChild(icon);
+
+        const title = document.createElement('span');
+        title.className = 'trace-step-number';
+        title.textContent = i18n.t('reasoning.step', { step: number });
+        header.appendChild(title);
+
+        if (badge) {
+            const tool = document.createElement('span');
+            tool.className = 'trace-tool';
+            tool.textContent = badge;
+            header.appendChild(tool);
+        }
+        return header;
+    }
+
+    // JSON (object or JSON-looking string) becomes a tree, anything else is Markdown
+    renderField(icon, label, value) {
+        const field = document.createElement('div');
+        field.className = 'trace-field';
+
+        const title = document.createElement('div');
+        title.className = 'trace-field-label';
+        title.textContent = `${icon} ${label}`;
+        field.appendChild(title);
+
+        const json = TraceInspector.asJson(value);
+        if (json !== undefined) {
+            const tree = document.createElement('div');
+            tree.className = 'json-tree';
+            tree.appendChild(TraceInspector.renderJson(json, 0));
+            field.appendChild(tree);
+        } else {
+            const text = document.createElement('div');
+            text.className = 'trace-field-value';
+            if (this.markdown) {
+                this.markdown.renderInto(text, String(value));
+            } else {
+                text.textContent = String(value);
+            }
+            field.appendChild(text);
+        }
+        return field;
+    }
+
+    static asJson(value) {
+        if (value !== null && typeof value === 'object') return value;
+        if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) return undefined;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    // Objects and arrays fold; the first level starts open
+    static renderJson(value, depth) {
+        if (value === null || typeof value !== 'object') {
+            const leaf = document.createElement('span');
+            const type = value === null ? 'null' : typeof value;
+            leaf.className = `json-${type}`;
+            leaf.textContent = type === 'string' ? JSON.stringify(value) : String(value);
+            return leaf;
+        }
+
+        const isArray = Array.isArray(value);
+        const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+        const node = document.createElement('details');
+        node.className = 'json-node';
+        node.open = depth === 0;
+
+        const summary = document.createElement('summary');
+        summary.textContent = isArray ? `[${entries.length}]` : `{${entries.length}}`;
+        node.appendChild(summary);
+
+        const children = document.createElement('div');
+        children.className = 'json-children';
+        entries.forEach(([key, item]) => {
+            const row = document.createElement('div');
+            row.className = 'json-row';
+
+            const keyElement = document.createElement('span');
+            keyElement.className = 'json-key';
+            keyElement.textContent = isArray ? `${key}:` : `${JSON.stringify(key)}:`;
+            row.appendChild(keyElement);
+            row.appendChild(TraceInspector.renderJson(item, depth + 1));
+            children.appendChild(row);
+        });
+        node.appendChild(children);
+        return node;
+    }
+
+    applyFilter() {
+        this.element.querySelectorAll('.trace-step').forEach(step => {
+            step.hidden = this.toolFilter !== 'all' && step.dataset.tool !== this.toolFilter;
+        });
+    }
+
+    setAllOpen(open) {
+        this.element.querySelectorAll('.trace-step, .json-node').forEach(node => {
+            node.open = open;
+        });
+    }
+
+    // Reasoning step and the execution steps it triggered light up together
+    highlight(stepNumber, on) {
+        this.element.querySelectorAll(`.trace-step[data-step="${stepNumber}"], .trace-exec[data-link="${stepNumber}"]`)
+            .forEach(node => node.classList.toggle('linked', on));
+    }
+
+    reveal(stepNumber) {
+        const target = this.element.querySelector(`.trace-step[data-step="${stepNumber}"]`);
+        if (!target) return;
+
+        if (target.hidden) {
+            this.toolFilter = 'all';
+            const select = this.element.querySelector('.trace-filter');
+            if (select) select.value = 'all';
+            this.applyFilter();
+        }
+        target.open = true;
+        target.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        target.classList.add('flash');
+        setTimeout(() => target.classList.remove('flash'), 1200);
+    }
+}
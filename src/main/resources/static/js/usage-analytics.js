@@ -0,0 +1,272 @@
+// Vtoroy AI Assistant - Client-side usage analytics over stored sessions
+//
+// Метрики собираются из сохранённых транскриптов: каждый ответ ассистента
+// несёт metadata (approach, tools_used, reasoning_steps, steps_count) и
+// задержку запроса latencyMs, измеренную в requestAnswer. Ветки копируют
+// сообщения исходной сессии, поэтому одинаковые ответы считаются один раз.
+class UsageAnalytics {
+    constructor(sessionStore) {
+        this.sessionStore = sessionStore;
+    }
+
+    static dayMs = 24 * 60 * 60 * 1000;
+
+    // One record per assistant answer (cancelled ones never reached the agent), oldest first
+    collect(periodDays = 0) {
+        const since = periodDays > 0 ? Date.now() - periodDays * UsageAnalytics.dayMs : 0;
+        const seen = new Set();
+        const records = [];
+
+        this.sessionStore.listSessions().forEach(session => {
+            this.sessionStore.getTranscript(session.id).forEach(message => {
+                if (message.role !== 'assistant' || !message.timestamp || message.timestamp < since) return;
+
+                const metadata = message.metadata || {};
+                if (metadata.cancelled) return;
+
+                const key = `${message.timestamp}:${message.content}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+
+                records.push(UsageAnalytics.toRecord(session.id, message, metadata));
+            });
+        });
+
+        return records.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    static toRecord(sessionId, message, metadata) {
+        let reasoningSteps = null;
+        if (typeof metadata.reasoning_steps === 'number') {
+            reasoningSteps = metadata.reasoning_steps;
+        } else if (Array.isArray(metadata.reasoning_details)) {
+            reasoningSteps = metadata.reasoning_details.length;
+        }
+
+        return {
+            sessionId,
+            timestamp: message.timestamp,
+            latencyMs: typeof message.latencyMs === 'number' ? message.latencyMs : null,
+            approach: metadata.approach || null,
+            tools: Array.isArray(metadata.tools_used) ? metadata.tools_used : [],
+            reasoningSteps,
+            stepsCount: typeof metadata.steps_count === 'number' ? metadata.steps_count : null,
+            error: Boolean(metadata.error)
+        };
+    }
+
+    static average(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+
+    static percentile(values, p) {
+        if (values.length === 0) return null;
+        const sorted = values.slice().sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+    }
+
+    // Map of name -> count, most used first
+    static countBy(names) {
+        const counts = new Map();
+        names.forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+        return Array.from(counts.entries())
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    static summarize(records) {
+        const latencies = records.map(record => record.latencyMs).filter(value => value !== null);
+        const reasoning = records.map(record => record.reasoningSteps).filter(value => value !== null);
+        const errors = records.filter(record => record.error).length;
+
+        // Error rate per local calendar day that had requests
+        const days = new Map();
+        records.forEach(record => {
+            const date = new Date(record.timestamp);
+            const day = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+            const entry = days.get(day) || { day, requests: 0, errors: 0 };
+            entry.requests += 1;
+            entry.errors += record.error ? 1 : 0;
+            days.set(day, entry);
+        });
+
+        return {
+            requests: records.length,
+            errors,
+            errorRate: records.length > 0 ? errors / records.length : 0,
+            latency: {
+                measured: latencies.length,
+                averageMs: UsageAnalytics.average(latencies),
+                medianMs: UsageAnalytics.percentile(latencies, 50),
+                p95Ms: UsageAnalytics.percentile(latencies, 95)
+            },
+            averageReasoningSteps: UsageAnalytics.average(reasoning),
+            tools: UsageAnalytics.countBy(records.flatMap(record => record.tools)),
+            approaches: UsageAnalytics.countBy(records.map(record => record.approach)),
+            errorsByDay: Array.from(days.values()).sort((a, b) => a.day - b.day)
+        };
+    }
+
+    static toJSON(records, periodDays) {
+        return JSON.stringify({
+            generatedAt: new Date().toISOString(),
+            periodDays: periodDays || null,
+            summary: UsageAnalytics.summarize(records),
+            records: records.map(record => ({ ...record, timestamp: new Date(record.timestamp).toISOString() }))
+        }, null, 2);
+    }
+
+    static toCSV(records) {
+        const escapeCsv = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = 'timestamp,session_id,latency_ms,approach,tools_used,reasoning_steps,steps_count,error';
+        return [header]
+            .concat(records.map(record => [
+                new Date(record.timestamp).toISOString(),
+                record.sessionId,
+                record.latencyMs,
+                record.approach,
+                record.tools.join(';'),
+                record.reasoningSteps,
+                record.stepsCount,
+                record.error
+            ].map(escapeCsv).join(',')))
+            .join('\r\n') + '\r\n';
+    }
+}
+
+// Analytics tab: summary cards, four canvas charts and export buttons
+class AnalyticsDashboard {
+    constructor(elements, options = {}) {
+        this.elements = elements;
+        this.analytics = new UsageAnalytics(options.sessionStore);
+        this.records = [];
+        this.frame = null;
+
+        this.bindEvents();
+    }
+
+    static maxLatencyPoints = 200;
+    static maxBars = 8;
+
+    bindEvents() {
+        this.elements.periodSelect.addEventListener('change', () => this.render());
+        this.elements.exportJsonButton.addEventListener('click', () => this.export('json'));
+        this.elements.exportCsvButton.addEventListener('click', () => this.export('csv'));
+
+        // Canvas size follows the layout; redraw only while the tab is shown
+        window.addEventListener('resize', () => {
+            if (!this.isVisible() || this.frame) return;
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.drawCharts();
+            });
+        });
+    }
+
+    isVisible() {
+        return this.elements.panel.offsetParent !== null;
+    }
+
+    getPeriod() {
+        return parseInt(this.elements.periodSelect.value, 10) || 0;
+    }
+
+    render() {
+        this.records = this.analytics.collect(this.getPeriod());
+        this.summary = UsageAnalytics.summarize(this.records);
+        this.renderStats();
+        this.drawCharts();
+    }
+
+    renderStats() {
+        const { stats } = this.elements;
+        const summary = this.summary;
+
+        stats.requests.textContent = i18n.formatNumber(summary.requests);
+        stats.latency.textContent = AnalyticsDashboard.formatLatency(summary.latency.averageMs);
+        stats.latency.title = summary.latency.measured > 0
+            ? i18n.t('analytics.latencyDetails', {
+                median: AnalyticsDashboard.formatLatency(summary.latency.medianMs),
+                p95: AnalyticsDashboard.formatLatency(summary.latency.p95Ms),
+                count: summary.latency.measured
+            })
+            : '';
+        stats.reasoning.textContent = summary.averageReasoningSteps === null
+            ? '-'
+            : i18n.formatNumber(summary.averageReasoningSteps, { maximumFractionDigits: 1 });
+        stats.errorRate.textContent = summary.requests > 0
+            ? i18n.formatNumber(summary.errorRate, { style: 'percent', maximumFractionDigits: 1 })
+            : '-';
+    }
+
+    drawCharts() {
+        if (!this.summary) return;
+
+        const { charts } = this.elements;
+        const colors = CanvasCharts.colors();
+        const emptyText = i18n.t('analytics.noData');
+
+        const latencyPoints = this.records
+            .filter(record => record.latencyMs !== null)
+            .slice(-AnalyticsDashboard.maxLatencyPoints)
+            .map(record => ({
+                label: i18n.formatDate(record.timestamp),
+                value: record.latencyMs / 1000,
+                color: record.error ? colors.error : null
+            }));
+        CanvasCharts.line(charts.latency, latencyPoints, {
+            emptyText,
+            format: value => i18n.t('analytics.seconds', { value: i18n.formatNumber(value, { maximumFractionDigits: 1 }) })
+        });
+
+        CanvasCharts.histogram(charts.tools, this.summary.tools
+            .slice(0, AnalyticsDashboard.maxBars)
+            .map(({ name, count }) => ({ label: name, value: count })), { emptyText });
+
+        CanvasCharts.histogram(charts.approaches, this.summary.approaches
+            .slice(0, AnalyticsDashboard.maxBars)
+            .map(({ name, count }) => ({
+                label: name || i18n.t('analytics.noApproach'),
+                value: count,
+                color: name ? null : colors.muted
+            })), { emptyText });
+
+        CanvasCharts.bars(charts.errors, this.summary.errorsByDay.map(entry => ({
+            label: i18n.formatDate(entry.day),
+            value: (entry.errors / entry.requests) * 100,
+            color: entry.errors > 0 ? colors.error : colors.success
+        })), {
+            emptyText,
+            max: 100,
+            format: value => `${Math.round(value)}%`
+        });
+    }
+
+    static formatLatency(ms) {
+        if (ms === null || ms === undefined) return '-';
+        return ms < 1000
+            ? i18n.t('analytics.milliseconds', { value: i18n.formatNumber(Math.round(ms)) })
+            : i18n.t('analytics.seconds', { value: i18n.formatNumber(ms / 1000, { maximumFractionDigits: 1 }) });
+    }
+
+    export(format) {
+        const records = this.analytics.collect(this.getPeriod());
+        const content = format === 'csv'
+            ? UsageAnalytics.toCSV(records)
+            : UsageAnalytics.toJSON(records, this.getPeriod());
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+
+        const blob = new Blob([content], { type: `${type};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `vtoroy-analytics-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
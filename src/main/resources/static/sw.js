@@ -0,0 +1,90 @@
+// Vtoroy AI Assistant - Service worker: offline app shell
+//
+// Оболочка берётся из сети, а кэш используется только когда бэкенд
+// недоступен, поэтому обновления фронтенда видны сразу. API и SSE
+// потоки через воркер не проходят.
+const SHELL_CACHE = 'vtoroy-shell-v1';
+
+const SHELL_ASSETS = [
+    '/',
+    '/index.html',
+    '/css/style.css',
+    '/js/i18n.js',
+    '/js/preferences.js',
+    '/js/theme-manager.js',
+    '/js/markdown.js',
+    '/js/stream-client.js',
+    '/js/chat-stream.js',
+    '/js/thinking-timeline.js',
+    '/js/trace-inspector.js',
+    '/js/session-store.js',
+    '/js/outbox.js',
+    '/js/knowledge-search.js',
+    '/js/knowledge-dashboard.js',
+    '/js/note-viewer.js',
+    '/js/log-viewer.js',
+    '/js/log-export.js',
+    '/js/conversation-export.js',
+    '/js/slash-commands.js',
+    '/js/composer-references.js',
+    '/js/composer-attachments.js',
+    '/js/shortcuts.js',
+    '/js/command-palette.js',
+    '/js/canvas-charts.js',
+    '/js/usage-analytics.js',
+    '/js/health-monitor.js',
+    '/js/system-dashboard.js',
+    '/js/ai-avatar.js',
+    '/js/speech-reader.js',
+    '/js/app.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_ASSETS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches of previous shell versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/actuator/')) return;
+
+    event.respondWith(networkFirst(request));
+});
+
+// Network first, refresh the cached copy; fall back to cache when offline
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+
+        // Navigations to any path still get the shell
+        if (request.mode === 'navigate') {
+            const shell = await cache.match('/index.html');
+            if (shell) return shell;
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,84 @@
+package com.vtoroy.agent
+
+import com.vtoroy.agent.contract.AgentSelection
+import com.vtoroy.agent.contract.SubAgent
+import com.vtoroy.dto.ChatAttachment
+import com.vtoroy.service.KnowledgeService
+import com.vtoroy.service.ThinkingService
+import io.mockk.*
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.launch
+import kotlinx.coroutines.runBlocking
+import kotlinx.coroutines.withTimeout
+import org.assertj.core.api.Assertions.assertThat
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import org.springframework.ai.anthropic.AnthropicChatModel
+import org.springframework.ai.chat.prompt.Prompt
+import java.util.concurrent.CountDownLatch
+import java.util.concurrent.TimeUnit
+
+class VtoroyMainAgentTest {
+
+    private lateinit var mainAgent: VtoroyMainAgent
+    private lateinit var mockDispatcher: AgentDispatcher
+    private lateinit var mockChatModel: AnthropicChatModel
+    private lateinit var mockThinkingService: ThinkingService
+
+    @BeforeEach
+    fun setup() {
+        mockDispatcher = mockk()
+        mockChatModel = mockk()
+        mockThinkingService = mockk(relaxed = true)
+
+        mainAgent = VtoroyMainAgent(mockDispatcher, mockk<KnowledgeService>(), mockChatModel, mockThinkingService)
+    }
+
+    // Test: Cancelling a query interrupts the blocking model call instead of waiting for it
+    @Test
+    fun `processQuery should interrupt model call in flight when cancelled`() = runBlocking {
+        // Given
+        val callStarted = CountDownLatch(1)
+        coEvery { mockDispatcher.selectAgent(any(), any()) } returns null
+        every { mockChatModel.call(any<Prompt>()) } answers {
+            callStarted.countDown()
+            Thread.sleep(60_000) // a slow model answer; interruption ends it
+            throw IllegalStateException("The call was not interrupted")
+        }
+
+        val query = launch(Dispatchers.Default) { mainAgent.processQuery("Hello", "session-1", emptyList()) }
+        assertThat(callStarted.await(5, TimeUnit.SECONDS)).isTrue()
+
+        // When
+        val startedAt = System.currentTimeMillis()
+        query.cancel()
+        withTimeout(5000) { query.join() }
+
+        // Then
+        assertThat(query.isCancelled).isTrue()
+        assertThat(System.currentTimeMillis() - startedAt).isLessThan(5000)
+        verify(exactly = 1) { mockChatModel.call(any<Prompt>()) }
+        verify { mockThinkingService.finishThinking("session-1", "⏹️ Остановлено") }
+    }
+
+    // Test: Agent selection sees attachment names, only the chosen agent gets their contents
+    @Test
+    fun `processQuery should pass attachment contents only to the handling agent`() = runBlocking {
+        // Given
+        val subAgent = mockk<SubAgent>()
+        val routedQuery = slot<String>()
+        val handledQuery = slot<String>()
+        every { subAgent.name } returns "obsidian-manager"
+        coEvery { mockDispatcher.selectAgent(capture(routedQuery), any()) } returns AgentSelection(subAgent, 0.9, "notes")
+        coEvery { subAgent.handle(capture(handledQuery), any()) } returns "Done"
+        val attachment = ChatAttachment(name = "plan.md", type = "markdown", content = "secret plan body")
+
+        // When
+        val result = mainAgent.processQuery("Save this", "session-1", emptyList(), attachments = listOf(attachment))
+
+        // Then
+        assertThat(result).isEqualTo("Done")
+        assertThat(routedQuery.captured).contains("plan.md").doesNotContain("secret plan body")
+        assertThat(handledQuery.captured).contains("secret plan body")
+    }
+}
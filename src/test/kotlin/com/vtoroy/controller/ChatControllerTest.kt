@@ -1,19 +1,35 @@
 package com.vtoroy.controller
 
 import com.fasterxml.jackson.databind.ObjectMapper
+import com.vtoroy.dto.ChatAttachment
+import com.vtoroy.dto.ChatReference
 import com.vtoroy.dto.ChatRequest
 import com.vtoroy.dto.ChatResponse
+import com.vtoroy.dto.ChatSeedMessage
+import com.vtoroy.dto.ChatSeedRequest
+import com.vtoroy.entity.ChatMessage
+import com.vtoroy.entity.ChatSession
+import com.vtoroy.entity.MessageRole
 import com.vtoroy.service.VtoroyService
 import com.ninjasquad.springmockk.MockkBean
 import io.mockk.coEvery
 import io.mockk.coVerify
+import io.mockk.every
+import kotlinx.coroutines.CancellationException
+import org.assertj.core.api.Assertions.assertThat
+import org.assertj.core.api.Assertions.assertThatCode
+import org.hamcrest.Matchers.containsString
 import org.junit.jupiter.api.Test
 import org.springframework.beans.factory.annotation.Autowired
 import org.springframework.boot.test.autoconfigure.web.servlet.WebMvcTest
 import org.springframework.http.MediaType
 import org.springframework.test.web.servlet.MockMvc
+import org.springframework.test.web.servlet.request.MockMvcRequestBuilders.asyncDispatch
+import org.springframework.test.web.servlet.request.MockMvcRequestBuilders.get
 import org.springframework.test.web.servlet.request.MockMvcRequestBuilders.post
 import org.springframework.test.web.servlet.result.MockMvcResultMatchers.*
+import java.io.IOException
+import java.io.OutputStream
 import java.time.LocalDateTime
 
 @WebMvcTest(ChatController::class)
@@ -283,4 +299,323 @@ class ChatControllerTest {
         coVerify(exactly = 1) { vtoroyService.chat("Hello", "session-1") }
         coVerify(exactly = 1) { vtoroyService.chat("Hi", "session-2") }
     }
-}
\ No newline at end of file
+
+    // Test: Session history for restoring the web UI transcript
+    @Test
+    fun `GET history should return session transcript`() {
+        // Given
+        val session = ChatSession(id = "session-1")
+        every { vtoroyService.getSessionHistory("session-1") } returns listOf(
+            ChatMessage(session = session, role = MessageRole.USER, content = "Hello"),
+            ChatMessage(session = session, role = MessageRole.ASSISTANT, content = "Hi there")
+        )
+
+        // When & Then
+        mockMvc.perform(get("/api/chat/session-1/history"))
+            .andExpect(status().isOk)
+            .andExpect(jsonPath("$.sessionId").value("session-1"))
+            .andExpect(jsonPath("$.messages.length()").value(2))
+            .andExpect(jsonPath("$.messages[0].role").value("user"))
+            .andExpect(jsonPath("$.messages[1].content").value("Hi there"))
+    }
+
+    // Test: Stop button cancels the in-flight request
+    @Test
+    fun `POST cancel should cancel active request`() {
+        // Given
+        every { vtoroyService.cancelChat("session-1") } returns true
+
+        // When & Then
+        mockMvc.perform(post("/api/chat/session-1/cancel"))
+            .andExpect(status().isOk)
+            .andExpect(jsonPath("$.sessionId").value("session-1"))
+            .andExpect(jsonPath("$.cancelled").value(true))
+    }
+
+    // Test: Cancelled chat is reported as a normal response, not an error
+    @Test
+    fun `POST chat should report cancelled request`() {
+        // Given
+        val request = ChatRequest(query = "Long question", sessionId = "session-1")
+        coEvery { vtoroyService.chat(request.query, request.sessionId) } throws CancellationException("Cancelled by user")
+
+        // When & Then
+        mockMvc.perform(
+            post("/api/chat")
+                .contentType(MediaType.APPLICATION_JSON)
+                .content(objectMapper.writeValueAsString(request))
+        )
+            .andExpect(status().isOk)
+            .andExpect(jsonPath("$.metadata.cancelled").value(true))
+    }
+
+    // Test: @note / #tag references from the composer reach the agent as structured hints
+    @Test
+    fun `POST chat should pass references to service`() {
+        // Given
+        val references = listOf(
+            ChatReference(type = "note", value = "Projects/Vtoroy.md"),
+            ChatReference(type = "tag", value = "roadmap")
+        )
+        val request = ChatRequest(query = "Add the roadmap link", sessionId = "session-1", references = references)
+        coEvery { vtoroyService.chat(request.query, request.sessionId, references) } returns ChatResponse(
+            response = "Done",
+            sessionId = "session-1"
+        )
+
+        // When & Then
+        mockMvc.perform(
+            post("/api/chat")
+                .contentType(MediaType.APPLICATION_JSON)
+                .content(objectMapper.writeValueAsString(request))
+        )
+            .andExpect(status().isOk)
+            .andExpect(jsonPath("$.response").value("Done"))
+
+        coVerify(exactly = 1) { vtoroyService.chat(request.query, request.sessionId, references) }
+    }
+
+    // Test: Unknown reference type is rejected by validation
+    @Test
+    fun `POST chat should reject invalid reference type`() {
+        // Given
+        val invalidRequest = """
+            {
+                "query": "Hello",
+                "sessionId": "session-1",
+                "references": [{"type": "folder", "value": "Projects"}]
+            }
+        """.trimIndent()
+
+        // When & Then
+        mockMvc.perform(
+            post("/api/chat")
+                .contentType(MediaType.APPLICATION_JSON)
+                .content(invalidRequest)
+        )
+            .andExpect(status().isBadRequest)
+    }
+
+    // Test: Branch creates a new session with the history up to the branch point
+    @Test
+    fun `POST history should seed new session`() {
+        // Given
+        val history = listOf(
+            ChatSeedMessage(role = "user", content = "Hello"),
+            ChatSeedMessage(role = "assistant", content = "Hi there")
+        )
+        every { vtoroyService.seedSession("branch-1", history) } returns true
+
+        // When & Then
+        mockMvc.perform(
+            post("/api/chat/branch-1/history")
+                .contentType(MediaType.APPLICATION_JSON)
+                .content(objectMapper.writeValueAsString(ChatSeedRequest(history)))
+        )
+            .andExpect(status().isCreated)
+            .andExpect(jsonPath("$.sessionId").value("branch-1"))
+            .andExpect(jsonPath("$.messages").value(2))
+    }
+
+    // Test: Existing session is never overwritten by a seed
+    @Test
+    fun `POST history should return 409 for existing session`() {
+        // Given
+        val history = listOf(ChatSeedMessage(role = "user", content = "Hello"))
+        every { vtoroyService.seedSession("session-1", history) } returns false
+
+        // When & Then
+        mockMvc.perform(
+            post("/api/chat/session-1/history")
+                .contentType(MediaType.APPLICATION_JSON)
+                .content(objectMapper.writeValueAsString(ChatSeedRequest(history)))
+        )
+            .andExpect(status().isConflict)
+            .andExpect(jsonPath("$.error").value("Session already exists"))
+    }
+
+    // Test: Attached files reach the service with their parsed frontmatter
+    @Test
+    fun `POST chat should pass attachments to service`() {
+        // Given
+        val attachments = listOf(
+            ChatAttachment(
+                name = "meetings.md",
+                type = "markdown",
+                content = "# Meetings summary\n- Release on Friday",
+                frontmatter = mapOf("tags" to listOf("work", "meetings"))
+            ),
+            ChatAttachment(name = "budget.csv", type = "csv", content = "item,amount\nhosting,20")
+        )
+        val request = ChatRequest(query = "Summarize the files", sessionId = "session-1", attachments = attachments)
+        coEvery { vtoroyService.chat(request.query, request.sessionId, emptyList(), attachments) } returns ChatResponse(
+            response = "Summary",
+            sessionId = "session-1"
+        )
+
+        // When & Then
+        mockMvc.perform(
+            post("/api/chat")
+                .contentType(MediaType.APPLICATION_JSON)
+                .content(objectMapper.writeValueAsString(request))
+        )
+            .andExpect(status().isOk)
+            .andExpect(jsonPath("$.response").value("Summary"))
+
+        coVerify(exactly = 1) { vtoroyService.chat(request.query, request.sessionId, emptyList(), attachments) }
+    }
+
+    // Test: Only text formats can be attached
+    @Test
+    fun `POST chat should reject unsupported attachment type`() {
+        // Given
+        val invalidRequest = """
+            {
+                "query": "Hello",
+                "sessionId": "session-1",
+                "attachments": [{"name": "photo.png", "type": "image", "content": "..."}]
+            }
+        """.trimIndent()
+
+        // When & Then
+        mockMvc.perform(
+            post("/api/chat")
+                .contentType(MediaType.APPLICATION_JSON)
+                .content(invalidRequest)
+        )
+            .andExpect(status().isBadRequest)
+
+        coVerify(exactly = 0) { vtoroyService.chat(any(), any(), any(), any()) }
+    }
+
+    // Test: Attachment size limit is enforced on the server too
+    @Test
+    fun `POST chat should reject too large attachment`() {
+        // Given
+        val attachment = ChatAttachment(name = "huge.txt", type = "text", content = "a".repeat(102401))
+        val request = ChatRequest(query = "Read this", sessionId = "session-1", attachments = listOf(attachment))
+
+        // When & Then
+        mockMvc.perform(
+            post("/api/chat")
+                .contentType(MediaType.APPLICATION_JSON)
+                .content(objectMapper.writeValueAsString(request))
+        )
+            .andExpect(status().isBadRequest)
+
+        coVerify(exactly = 0) { vtoroyService.chat(any(), any(), any(), any()) }
+    }
+
+    // Test: Streaming chat sends text chunks as they come, then the final answer
+    @Test
+    fun `POST chat stream should send deltas and final response`() {
+        // Given
+        val chatRequest = ChatRequest(query = "Hello", sessionId = "session-1")
+        coEvery {
+            vtoroyService.chat(chatRequest.query, chatRequest.sessionId, emptyList(), emptyList(), any())
+        } coAnswers {
+            val onToken = arg<suspend (String) -> Unit>(4)
+            onToken("Hel")
+            onToken("lo!")
+            ChatResponse(response = "Hello!", sessionId = "session-1", metadata = mapOf("history_size" to 1))
+        }
+
+        // When & Then
+        val result = mockMvc.perform(
+            post("/api/chat/stream")
+                .contentType(MediaType.APPLICATION_JSON)
+                .content(objectMapper.writeValueAsString(chatRequest))
+        )
+            .andExpect(request().asyncStarted())
+            .andReturn()
+
+        mockMvc.perform(asyncDispatch(result))
+            .andExpect(status().isOk)
+            .andExpect(content().contentType(MediaType.APPLICATION_NDJSON))
+            .andExpect(content().string(containsString("{\"type\":\"delta\",\"text\":\"Hel\"}\n{\"type\":\"delta\",\"text\":\"lo!\"}\n")))
+            .andExpect(content().string(containsString("\"type\":\"done\"")))
+            .andExpect(content().string(containsString("\"response\":\"Hello!\"")))
+            .andExpect(content().string(containsString("\"history_size\":1")))
+    }
+
+    // Test: A stopped streaming request ends with a cancelled line instead of an answer
+    @Test
+    fun `POST chat stream should report cancellation`() {
+        // Given
+        val chatRequest = ChatRequest(query = "Long task", sessionId = "session-1")
+        coEvery {
+            vtoroyService.chat(chatRequest.query, chatRequest.sessionId, emptyList(), emptyList(), any())
+        } throws CancellationException("Cancelled by user")
+
+        // When & Then
+        val result = mockMvc.perform(
+            post("/api/chat/stream")
+                .contentType(MediaType.APPLICATION_JSON)
+                .content(objectMapper.writeValueAsString(chatRequest))
+        )
+            .andExpect(request().asyncStarted())
+            .andReturn()
+
+        mockMvc.perform(asyncDispatch(result))
+            .andExpect(status().isOk)
+            .andExpect(content().string("{\"type\":\"cancelled\"}\n"))
+    }
+
+    // Test: A client that went away mid-answer stops generation without error lines or rethrown exceptions
+    @Test
+    fun `POST chat stream should stop quietly when delta write fails`() {
+        // Given
+        val chatRequest = ChatRequest(query = "Hello", sessionId = "session-1")
+        var tokensAfterDisconnect = 0
+        coEvery {
+            vtoroyService.chat(chatRequest.query, chatRequest.sessionId, emptyList(), emptyList(), any())
+        } coAnswers {
+            val onToken = arg<suspend (String) -> Unit>(4)
+            onToken("Hel") // the write fails: the callback throws and generation must stop here
+            tokensAfterDisconnect++
+            ChatResponse(response = "Hello!", sessionId = "session-1")
+        }
+        val disconnectedClient = BrokenOutputStream()
+        val body = ChatController(vtoroyService, objectMapper).chatStream(chatRequest).body!!
+
+        // When
+        assertThatCode { body.writeTo(disconnectedClient) }.doesNotThrowAnyException()
+
+        // Then
+        assertThat(tokensAfterDisconnect).isZero()
+        assertThat(disconnectedClient.writeAttempts).isEqualTo(1) // no cancelled/error line after the failed delta
+    }
+
+    // Test: A client that went away before the final line is not reported as an error
+    @Test
+    fun `POST chat stream should stop quietly when done write fails`() {
+        // Given
+        val chatRequest = ChatRequest(query = "Hello", sessionId = "session-1")
+        coEvery {
+            vtoroyService.chat(chatRequest.query, chatRequest.sessionId, emptyList(), emptyList(), any())
+        } returns ChatResponse(response = "Hello!", sessionId = "session-1")
+        val disconnectedClient = BrokenOutputStream()
+        val body = ChatController(vtoroyService, objectMapper).chatStream(chatRequest).body!!
+
+        // When
+        assertThatCode { body.writeTo(disconnectedClient) }.doesNotThrowAnyException()
+
+        // Then
+        assertThat(disconnectedClient.writeAttempts).isEqualTo(1)
+    }
+
+    // Output stream of a client that has disconnected
+    private class BrokenOutputStream : OutputStream() {
+        var writeAttempts = 0
+
+        override fun write(b: Int) {
+            writeAttempts++
+            throw IOException("Broken pipe")
+        }
+
+        override fun write(b: ByteArray, off: Int, len: Int) {
+            writeAttempts++
+            throw IOException("Broken pipe")
+        }
+    }
+}
@@ -0,0 +1,117 @@
+package com.vtoroy.controller
+
+import com.fasterxml.jackson.databind.ObjectMapper
+import com.vtoroy.dto.KnowledgeSyncSourceRequest
+import com.vtoroy.service.KnowledgeService
+import com.vtoroy.service.knowledge.contract.KnowledgeSourceStatus
+import com.ninjasquad.springmockk.MockkBean
+import io.mockk.coEvery
+import io.mockk.coVerify
+import io.mockk.every
+import org.junit.jupiter.api.Test
+import org.springframework.beans.factory.annotation.Autowired
+import org.springframework.boot.test.autoconfigure.web.servlet.WebMvcTest
+import org.springframework.http.MediaType
+import org.springframework.test.web.servlet.MockMvc
+import org.springframework.test.web.servlet.request.MockMvcRequestBuilders.get
+import org.springframework.test.web.servlet.request.MockMvcRequestBuilders.post
+import org.springframework.test.web.servlet.result.MockMvcResultMatchers.*
+
+@WebMvcTest(KnowledgeController::class)
+class KnowledgeControllerTest {
+
+    @Autowired
+    private lateinit var mockMvc: MockMvc
+
+    @Autowired
+    private lateinit var objectMapper: ObjectMapper
+
+    @MockkBean
+    private lateinit var knowledgeService: KnowledgeService
+
+    // Test: Single source sync only touches the requested source
+    @Test
+    fun `POST sync source should sync only requested source`() {
+        // Given
+        val request = KnowledgeSyncSourceRequest(sourceId = "obsidian")
+        coEvery { knowledgeService.syncSource("obsidian") } returns 42
+
+        // When & Then
+        mockMvc.perform(
+            post("/api/knowledge/sync/source")
+                .contentType(MediaType.APPLICATION_JSON)
+                .content(objectMapper.writeValueAsString(request))
+        )
+            .andExpect(status().isOk)
+            .andExpect(jsonPath("$.sourceId").value("obsidian"))
+            .andExpect(jsonPath("$.itemsProcessed").value(42))
+
+        coVerify(exactly = 1) { knowledgeService.syncSource("obsidian") }
+        coVerify(exactly = 0) { knowledgeService.syncAllSources() }
+    }
+
+    // Test: Sources list exposes display names for the dashboard
+    @Test
+    fun `GET sources should return display names`() {
+        // Given
+        every { knowledgeService.getSourceNames() } returns mapOf("obsidian" to "Obsidian Vault")
+
+        // When & Then
+        mockMvc.perform(get("/api/knowledge/sources"))
+            .andExpect(status().isOk)
+            .andExpect(jsonPath("$.sources[0]").value("obsidian"))
+            .andExpect(jsonPath("$.displayNames.obsidian").value("Obsidian Vault"))
+            .andExpect(jsonPath("$.totalSources").value(1))
+
+        coVerify(exactly = 0) { knowledgeService.getSourceStatuses() }
+    }
+
+    // Test: Syncing an unknown source is a 404, not a server error
+    @Test
+    fun `POST sync source should return 404 for unknown source`() {
+        // Given
+        val request = KnowledgeSyncSourceRequest(sourceId = "missing")
+        coEvery { knowledgeService.syncSource("missing") } throws NoSuchElementException("Source not found: missing")
+
+        // When & Then
+        mockMvc.perform(
+            post("/api/knowledge/sync/source")
+                .contentType(MediaType.APPLICATION_JSON)
+                .content(objectMapper.writeValueAsString(request))
+        )
+            .andExpect(status().isNotFound)
+            .andExpect(jsonPath("$.sourceId").value("missing"))
+    }
+
+    // Test: Status of one source doesn't build the statuses of all sources
+    @Test
+    fun `GET source status should load only requested source`() {
+        // Given
+        coEvery { knowledgeService.getSourceStatus("obsidian") } returns KnowledgeSourceStatus(
+            sourceId = "obsidian",
+            isActive = true,
+            indexedCount = 12
+        )
+
+        // When & Then
+        mockMvc.perform(get("/api/knowledge/sources/obsidian/status"))
+            .andExpect(status().isOk)
+            .andExpect(jsonPath("$.status.sourceId").value("obsidian"))
+            .andExpect(jsonPath("$.status.indexedCount").value(12))
+
+        coVerify(exactly = 1) { knowledgeService.getSourceStatus("obsidian") }
+        coVerify(exactly = 0) { knowledgeService.getSourceStatuses() }
+    }
+
+    // Test: Status of an unknown source is a 404
+    @Test
+    fun `GET source status should return 404 for unknown source`() {
+        // Given
+        coEvery { knowledgeService.getSourceStatus("missing") } returns null
+
+        // When & Then
+        mockMvc.perform(get("/api/knowledge/sources/missing/status"))
+            .andExpect(status().isNotFound)
+            .andExpect(jsonPath("$.sourceId").value("missing"))
+    }
+}
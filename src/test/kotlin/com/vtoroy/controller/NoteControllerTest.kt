@@ -0,0 +1,172 @@
+package com.vtoroy.controller
+
+import com.fasterxml.jackson.databind.ObjectMapper
+import com.vtoroy.dto.CreateNoteRequest
+import com.vtoroy.dto.MarkdownNote
+import com.vtoroy.dto.ObsidianResult
+import com.vtoroy.service.knowledge.ObsidianVaultManager
+import com.ninjasquad.springmockk.MockkBean
+import io.mockk.coEvery
+import io.mockk.coVerify
+import org.junit.jupiter.api.Test
+import org.springframework.beans.factory.annotation.Autowired
+import org.springframework.boot.test.autoconfigure.web.servlet.WebMvcTest
+import org.springframework.http.MediaType
+import org.springframework.test.web.servlet.MockMvc
+import org.springframework.test.web.servlet.request.MockMvcRequestBuilders.get
+import org.springframework.test.web.servlet.request.MockMvcRequestBuilders.post
+import org.springframework.test.web.servlet.result.MockMvcResultMatchers.*
+import java.time.LocalDateTime
+
+@WebMvcTest(NoteController::class)
+class NoteControllerTest {
+
+    @Autowired
+    private lateinit var mockMvc: MockMvc
+
+    @Autowired
+    private lateinit var objectMapper: ObjectMapper
+
+    @MockkBean
+    private lateinit var vaultManager: ObsidianVaultManager
+
+    // Test: Note is returned together with its backlinks
+    @Test
+    fun `GET note should return note with backlinks`() {
+        // Given
+        val note = MarkdownNote(
+            path = "Projects/Vtoroy.md",
+            title = "Vtoroy",
+            content = "See [[Roadmap]]",
+            rawContent = "---\nstatus: active\n---\nSee [[Roadmap]]",
+            frontmatter = mapOf("status" to "active"),
+            tags = setOf("project"),
+            wikiLinks = listOf("Roadmap"),
+            backlinks = emptyList(),
+            createdAt = LocalDateTime.now(),
+            modifiedAt = LocalDateTime.now(),
+            size = 42
+        )
+        coEvery { vaultManager.readNoteByLink("Vtoroy") } returns ObsidianResult.Success(note)
+        coEvery { vaultManager.getBacklinks("Projects/Vtoroy.md") } returns ObsidianResult.Success(listOf("Daily/2025-08-22.md"))
+
+        // When & Then
+        mockMvc.perform(get("/api/notes").param("path", "Vtoroy"))
+            .andExpect(status().isOk)
+            .andExpect(jsonPath("$.note.path").value("Projects/Vtoroy.md"))
+            .andExpect(jsonPath("$.note.frontmatter.status").value("active"))
+            .andExpect(jsonPath("$.note.wikiLinks[0]").value("Roadmap"))
+            .andExpect(jsonPath("$.note.backlinks[0]").value("Daily/2025-08-22.md"))
+    }
+
+    // Test: Missing note maps to 404
+    @Test
+    fun `GET note should return 404 when note does not exist`() {
+        // Given
+        coEvery { vaultManager.readNoteByLink("missing") } returns ObsidianResult.Error("Note not found: missing")
+
+        // When & Then
+        mockMvc.perform(get("/api/notes").param("path", "missing"))
+            .andExpect(status().isNotFound)
+            .andExpect(jsonPath("$.path").value("missing"))
+    }
+
+    // Test: Exported conversation is saved as a new note
+    @Test
+    fun `POST note should create note in vault`() {
+        // Given
+        val request = CreateNoteRequest(
+            path = "Reports/Разговор.md",
+            title = "Разговор",
+            content = "# Разговор",
+            tags = setOf("vtoroy", "conversation"),
+            frontmatter = mapOf("session_id" to "session-1")
+        )
+        val note = MarkdownNote(
+            path = "Reports/Разговор.md",
+            title = "Разговор",
+            content = "# Разговор",
+            rawContent = "# Разговор",
+            frontmatter = mapOf("session_id" to "session-1"),
+            tags = setOf("vtoroy", "conversation"),
+            wikiLinks = emptyList(),
+            backlinks = emptyList(),
+            createdAt = LocalDateTime.now(),
+            modifiedAt = LocalDateTime.now(),
+            size = 10
+        )
+        coEvery { vaultManager.createNote(request) } returns ObsidianResult.Success(note)
+
+        // When & Then
+        mockMvc.perform(
+            post("/api/notes")
+                .contentType(MediaType.APPLICATION_JSON)
+                .content(objectMapper.writeValueAsString(request))
+        )
+            .andExpect(status().isCreated)
+            .andExpect(jsonPath("$.note.path").value("Reports/Разговор.md"))
+    }
+
+    // Test: Existing note is never overwritten
+    @Test
+    fun `POST note should return 409 when note already exists`() {
+        // Given
+        val request = CreateNoteRequest(path = "Reports/Отчет.md", title = "Отчет", content = "text")
+        coEvery { vaultManager.createNote(request) } returns ObsidianResult.Error("Note already exists: Reports/Отчет.md")
+
+        // When & Then
+        mockMvc.perform(
+            post("/api/notes")
+                .contentType(MediaType.APPLICATION_JSON)
+                .content(objectMapper.writeValueAsString(request))
+        )
+            .andExpect(status().isConflict)
+            .andExpect(jsonPath("$.path").value("Reports/Отчет.md"))
+    }
+
+    // Test: Vault tags feed #tag autocomplete
+    @Test
+    fun `GET tags should return vault tags`() {
+        // Given
+        coEvery { vaultManager.getAllTags() } returns ObsidianResult.Success(listOf("project", "roadmap"))
+
+        // When & Then
+        mockMvc.perform(get("/api/notes/tags"))
+            .andExpect(status().isOk)
+            .andExpect(jsonPath("$.tags[0]").value("project"))
+            .andExpect(jsonPath("$.tags[1]").value("roadmap"))
+    }
+
+    // Test: Hidden folders are not offered as a place to save notes
+    @Test
+    fun `GET folders should skip hidden folders`() {
+        // Given
+        coEvery { vaultManager.listFolders() } returns ObsidianResult.Success(
+            listOf(".obsidian", ".obsidian/plugins", ".trash", "Projects", "Projects/.drafts", "Reports")
+        )
+
+        // When & Then
+        mockMvc.perform(get("/api/notes/folders"))
+            .andExpect(status().isOk)
+            .andExpect(jsonPath("$.folders.length()").value(2))
+            .andExpect(jsonPath("$.folders[0]").value("Projects"))
+            .andExpect(jsonPath("$.folders[1]").value("Reports"))
+    }
+
+    // Test: Notes can't be written into hidden folders
+    @Test
+    fun `POST note should reject hidden folder`() {
+        // Given
+        val request = CreateNoteRequest(path = ".obsidian/Отчет.md", title = "Отчет", content = "text")
+
+        // When & Then
+        mockMvc.perform(
+            post("/api/notes")
+                .contentType(MediaType.APPLICATION_JSON)
+                .content(objectMapper.writeValueAsString(request))
+        )
+            .andExpect(status().isBadRequest)
+
+        coVerify(exactly = 0) { vaultManager.createNote(any()) }
+    }
+}
@@ -0,0 +1,79 @@
+package com.vtoroy.service
+
+import com.fasterxml.jackson.databind.ObjectMapper
+import com.vtoroy.agent.VtoroyMainAgent
+import com.vtoroy.entity.ChatMessage
+import com.vtoroy.entity.ChatSession
+import com.vtoroy.repository.ChatMessageRepository
+import com.vtoroy.repository.ChatSessionRepository
+import io.mockk.*
+import kotlinx.coroutines.CancellationException
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.async
+import kotlinx.coroutines.awaitCancellation
+import kotlinx.coroutines.delay
+import kotlinx.coroutines.runBlocking
+import kotlinx.coroutines.withTimeout
+import org.assertj.core.api.Assertions.assertThat
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import java.util.Optional
+import java.util.concurrent.atomic.AtomicInteger
+
+class VtoroyServiceTest {
+
+    private lateinit var vtoroyService: VtoroyService
+    private lateinit var mockMainAgent: VtoroyMainAgent
+    private lateinit var mockSessionRepository: ChatSessionRepository
+    private lateinit var mockMessageRepository: ChatMessageRepository
+
+    @BeforeEach
+    fun setup() {
+        mockMainAgent = mockk()
+        mockSessionRepository = mockk()
+        mockMessageRepository = mockk()
+
+        every { mockSessionRepository.findById("session-1") } returns Optional.of(ChatSession(id = "session-1"))
+        every { mockSessionRepository.save(any()) } answers { firstArg<ChatSession>() }
+        every { mockMessageRepository.save(any()) } answers { firstArg<ChatMessage>() }
+        every { mockMessageRepository.findBySessionIdOrderByCreatedAtDesc("session-1") } returns emptyList()
+
+        vtoroyService = VtoroyService(mockMainAgent, mockSessionRepository, mockMessageRepository, ObjectMapper())
+    }
+
+    // Test: Cancel stops every in-flight request of the session, not only the latest one
+    @Test
+    fun `cancelChat should cancel all in-flight requests of the session`() = runBlocking {
+        // Given
+        val started = AtomicInteger()
+        coEvery { mockMainAgent.processQuery(any(), "session-1", any(), any(), any(), any()) } coAnswers {
+            started.incrementAndGet()
+            awaitCancellation()
+        }
+
+        val first = async(Dispatchers.Default) { runCatching { vtoroyService.chat("First", "session-1") } }
+        val second = async(Dispatchers.Default) { runCatching { vtoroyService.chat("Second", "session-1") } }
+        withTimeout(5000) {
+            while (started.get() < 2) delay(10)
+        }
+
+        // When
+        val cancelled = vtoroyService.cancelChat("session-1")
+
+        // Then
+        assertThat(cancelled).isTrue()
+        withTimeout(5000) {
+            assertThat(first.await().exceptionOrNull()).isInstanceOf(CancellationException::class.java)
+            assertThat(second.await().exceptionOrNull()).isInstanceOf(CancellationException::class.java)
+        }
+        assertThat(vtoroyService.cancelChat("session-1")).isFalse()
+        // Only the two questions were stored, no answers
+        verify(exactly = 2) { mockMessageRepository.save(any()) }
+    }
+
+    // Test: Nothing to cancel in an idle session
+    @Test
+    fun `cancelChat should return false without in-flight requests`() {
+        assertThat(vtoroyService.cancelChat("session-1")).isFalse()
+    }
+}
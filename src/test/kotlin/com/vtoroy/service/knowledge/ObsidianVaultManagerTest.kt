@@ -83,6 +83,47 @@ This is test content.""")
         assertThat(errorResult.message).contains("Note not found")
     }
 
+    @Test
+    fun `readNote should reject paths outside of vault`() = runTest {
+        // When
+        val result = vaultManager.readNote("../outside.md")
+
+        // Then
+        assertThat(result).isInstanceOf(ObsidianResult.Error::class.java)
+        val errorResult = result as ObsidianResult.Error
+        assertThat(errorResult.cause).isInstanceOf(IllegalArgumentException::class.java)
+    }
+
+    @Test
+    fun `readNoteByLink should resolve wiki-link by file name in subfolder`() = runTest {
+        // Given
+        val noteFile = tempDir.resolve("Projects/Linked Note.md")
+        noteFile.parent.createDirectories()
+        noteFile.writeText("# Linked Note")
+
+        // When
+        val result = vaultManager.readNoteByLink("linked note|alias")
+
+        // Then
+        assertThat(result).isInstanceOf(ObsidianResult.Success::class.java)
+        val note = (result as ObsidianResult.Success<*>).data as MarkdownNote
+        assertThat(note.path).isEqualTo("Projects/Linked Note.md")
+    }
+
+    @Test
+    fun `readNoteByLink should not resolve wiki-link to notes in hidden folders`() = runTest {
+        // Given
+        val trashedNote = tempDir.resolve(".trash/Deleted Note.md")
+        trashedNote.parent.createDirectories()
+        trashedNote.writeText("# Deleted Note")
+
+        // When
+        val result = vaultManager.readNoteByLink("Deleted Note")
+
+        // Then
+        assertThat(result).isInstanceOf(ObsidianResult.Error::class.java)
+    }
+
     @Test
     fun `createNote should create new note successfully`() = runTest {
         // Given